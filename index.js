@@ -2,29 +2,56 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
-const ImageScraper = require('./services/imageScraper');
-const vpsImageStorage = require('./services/vpsImageStorage');
 
-// Load environment variables
+// Load environment variables before services read them at require time
 dotenv.config();
 
+const imageSearchService = require('./services/imageSearchService');
+const jobManager = require('./services/jobManager');
+const vpsImageStorage = require('./services/vpsImageStorage');
+const storageLayout = require('./services/storageLayout');
+const storage = require('./services/storage');
+const imageTransformer = require('./services/imageTransformer');
+const webhookDispatcher = require('./services/webhookDispatcher');
+const jobsRouter = require('./routes/jobs');
+const { router: imagesRouter } = require('./routes/images');
+const { router: watermarksRouter } = require('./routes/watermarks');
+const proxiesRouter = require('./routes/proxies');
+const adminRouter = require('./routes/admin');
+const apiKeys = require('./services/apiKeys');
+const clientRateLimiter = require('./services/clientRateLimiter');
+const schedulerRouter = require('./routes/scheduler');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize servicess
-const imageScraper = new ImageScraper();
+// Behind a reverse proxy, take the client IP from X-Forwarded-For (true, a hop count or a subnet list)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Static file serving for uploaded images
-const uploadDir = process.env.VPS_UPLOAD_DIR || './images';
+// Redirect image URLs that moved during a storage layout migration
+app.use('/images', storageLayout.redirectMiddleware());
+
+// Resized / re-encoded variants, e.g. /images/<file>?w=400&h=300&fit=cover&format=avif
+app.use('/images', imageTransformer.middleware());
+
+// Static file serving for uploaded images (same directory the storage service writes to)
+const uploadDir = vpsImageStorage.uploadDir;
 app.use('/images', express.static(path.resolve(uploadDir), {
   maxAge: '1d', // Cache images for 1 day
   etag: true,
-  lastModified: true
+  lastModified: true,
+  setHeaders: (res, filePath) => {
+    // Express' MIME table predates AVIF and would serve it as application/octet-stream
+    if (filePath.endsWith('.avif')) res.set('Content-Type', 'image/avif');
+  }
 }));
 
 // Request logging middleware
@@ -33,6 +60,12 @@ app.use((req, res, next) => {
   next();
 });
 
+// API key required on /api routes, except the docs and the admin routes (ADMIN_API_TOKEN)
+app.use('/api', apiKeys.middleware({ exclude: ['/docs', '/admin'] }));
+
+// Per-client request rate on every /api route, identified by API key (or IP with API_AUTH=off)
+app.use('/api', clientRateLimiter.middleware('api'));
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -43,136 +76,115 @@ app.get('/health', (req, res) => {
 });
 
 // Main image search and upload endpoint
-app.post('/api/search-images', async (req, res) => {
+app.post('/api/search-images', clientRateLimiter.middleware('search'), async (req, res) => {
   const startTime = Date.now();
   
   try {
-    const { keyword, count = 3, watermark } = req.body;
-    
     // Validation
-    if (!keyword || typeof keyword !== 'string') {
-      return res.status(400).json({
+    const { request, error: validationError } = imageSearchService.validateRequest(req.body);
+    
+    if (validationError) {
+      return res.status(validationError.status).json({
         success: false,
-        error: 'Keyword is required and must be a string',
-        code: 'INVALID_KEYWORD'
+        error: validationError.message,
+        code: validationError.code
       });
     }
 
-    if (keyword.trim().length < 2) {
+    const { callback_url: callbackUrl } = req.body;
+
+    const callbackError = callbackUrl !== undefined ? await webhookDispatcher.checkCallbackUrl(callbackUrl) : null;
+
+    if (callbackError) {
       return res.status(400).json({
         success: false,
-        error: 'Keyword must be at least 2 characters long',
-        code: 'KEYWORD_TOO_SHORT'
+        error: callbackError,
+        code: 'INVALID_CALLBACK_URL'
       });
     }
 
-    const imageCount = Math.min(Math.max(parseInt(count) || 3, 1), 10); // Limit between 1-10
-    const watermarkText = watermark && typeof watermark === 'string' && watermark.trim() ? watermark.trim() : null;
-    
-    console.log(`\n🔍 Starting image search for keyword: "${keyword}" (${imageCount} images)`);
-    if (watermarkText) {
-      console.log(`🏷️  Watermark text: "${watermarkText}"`);
-    }
-    
-    // Step 1: Search for images using DuckDuckGo
-    console.log('📡 Searching for images...');
-    const imageData = await imageScraper.searchImages(keyword, imageCount);
-    
-    if (!imageData || imageData.length === 0) {
-      return res.status(404).json({
+    // Count the request against the caller's API key quotas
+    request.api_key_id = req.apiKey ? req.apiKey.id : null;
+    const { reservation, error: quotaError } = await apiKeys.reserve(req.apiKey, request.count);
+
+    if (quotaError) {
+      if (quotaError.retry_after) res.set('Retry-After', String(quotaError.retry_after));
+      return res.status(quotaError.status).json({
         success: false,
-        error: 'No images found for the given keyword',
-        code: 'NO_IMAGES_FOUND',
-        keyword: keyword
+        error: quotaError.message,
+        code: quotaError.code,
+        quota: quotaError.quota
       });
     }
+    request.quota_reservation = reservation;
 
-    console.log(`✅ Found ${imageData.length} images to process`);
-    
-    // Step 2: Process and store images on VPS
-    console.log('🔄 Processing and storing images on VPS...');
-    const uploadResults = await vpsImageStorage.processMultipleImages(imageData, keyword, watermarkText);
-    
-    if (uploadResults.length === 0) {
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to process any images on VPS',
-        code: 'UPLOAD_FAILED',
-        keyword: keyword
+    // With a callback URL, run as a background job and POST the result when it finishes
+    if (callbackUrl !== undefined) {
+      let job;
+      try {
+        job = await jobManager.createJob(request, { callback_url: callbackUrl });
+      } catch (error) {
+        // The job was never created, so nothing of the reservation will be used
+        await apiKeys.settle(request.api_key_id, reservation);
+        throw error;
+      }
+      
+      return res.status(202).json({
+        success: true,
+        job_id: job.id,
+        state: job.state,
+        status_url: `/api/jobs/${job.id}`,
+        callback_url: callbackUrl,
+        timestamp: new Date().toISOString()
       });
     }
 
-    const processingTime = Date.now() - startTime;
+    const result = await imageSearchService.run(request);
     
     // Success response
     res.json({
       success: true,
-      keyword: keyword,
-      watermark: watermarkText || null,
-      requested_count: imageCount,
-      found_count: imageData.length,
-      uploaded_count: uploadResults.length,
-      processing_time_ms: processingTime,
-      images: uploadResults.map(result => ({
-        url: result.url,
-        title: result.title || 'Untitled'
-      })),
-      timestamp: new Date().toISOString()
+      ...result
     });
 
-    console.log(`✨ Successfully completed request in ${processingTime}ms`);
-    console.log(`📊 Stats: Found ${imageData.length}, Uploaded ${uploadResults.length}\n`);
-
   } catch (error) {
     const processingTime = Date.now() - startTime;
     
     console.error('❌ Error processing request:', error.message);
     
     // Determine error type and status code
-    let statusCode = 500;
-    let errorCode = 'INTERNAL_ERROR';
-    
-    if (error.message.includes('timeout') || error.message.includes('ECONNABORTED')) {
-      statusCode = 408;
-      errorCode = 'REQUEST_TIMEOUT';
-    } else if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
-      statusCode = 503;
-      errorCode = 'NETWORK_ERROR';
-    } else if (error.message.includes('API') || error.message.includes('processing')) {
-      statusCode = 503;
-      errorCode = 'STORAGE_ERROR';
-    }
+    const { statusCode, errorCode } = imageSearchService.classifyError(error);
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
 
     res.status(statusCode).json({
       success: false,
       error: error.message,
       code: errorCode,
+      retry_after: error.retryAfter,
+      keyword: req.body && req.body.keyword,
+      candidates: error.candidates,
+      stats: error.stats,
       processing_time_ms: processingTime,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Get images by keyword (list previously uploaded images)
-app.get('/api/images/:keyword', async (req, res) => {
+// Quotas and consumption of the calling API key
+app.get('/api/usage', async (req, res) => {
   try {
-    const { keyword } = req.params;
-    
-    if (!keyword) {
+    if (!req.apiKey) {
       return res.status(400).json({
         success: false,
-        error: 'Keyword parameter is required',
-        code: 'MISSING_KEYWORD'
+        error: 'Usage is tracked per API key and API_AUTH is off',
+        code: 'API_AUTH_DISABLED'
       });
     }
 
-    // This would require implementing a database or Firebase Firestore to track uploaded images
-    // For now, return a placeholder response
     res.json({
       success: true,
-      message: 'Feature not implemented yet',
-      note: 'To implement this feature, we would need to store metadata about uploaded images in a database',
-      keyword: keyword
+      ...(await apiKeys.report(req.apiKey)),
+      timestamp: new Date().toISOString()
     });
 
   } catch (error) {
@@ -184,33 +196,217 @@ app.get('/api/images/:keyword', async (req, res) => {
   }
 });
 
+// Previously uploaded images by keyword
+app.use('/api/images', imagesRouter);
+
+// Asynchronous search jobs
+app.use('/api/jobs', jobsRouter);
+
+// Watermark logo library and presets
+app.use('/api/watermarks', watermarksRouter);
+
+// Proxy pool health
+app.use('/api/proxies', proxiesRouter);
+
+// Search concurrency and rate limits
+app.use('/api/scheduler', schedulerRouter);
+
+// API key administration
+app.use('/api/admin', adminRouter);
+
 // API documentation endpoint
 app.get('/api/docs', (req, res) => {
   res.json({
     title: 'Image Scraper API Documentation',
     version: '1.0.0',
-    description: 'API for searching and storing images from DuckDuckGo in Firebase Storage',
+    description: 'API for searching images and storing them on local disk, Firebase Storage or S3-compatible object storage',
+    authentication: 'Every /api route except /api/docs needs an API key in X-API-Key or Authorization: Bearer (401 API_KEY_REQUIRED / INVALID_API_KEY). Searches and jobs count against the key\'s requests_per_day, images_per_day and storage_bytes quotas (429 QUOTA_EXCEEDED with Retry-After for daily quotas); the requested images and API_KEY_RESERVED_BYTES_PER_IMAGE bytes per image are reserved when a request is accepted and the unused part is returned when it finishes. Keys are issued with `npm run api-keys` or /api/admin/keys. API_AUTH=off disables keys',
+    rate_limits: 'Per client (API key, or IP with API_AUTH=off): CLIENT_RATE_LIMIT_PER_MINUTE on every /api route and CLIENT_SEARCH_RATE_LIMIT_PER_MINUTE on searches and jobs (429 RATE_LIMITED with Retry-After). At most SEARCH_MAX_CONCURRENT searches run at once with SEARCH_QUEUE_SIZE waiting; beyond that searches get 429 SEARCH_QUEUE_FULL with Retry-After (jobs wait instead)',
     endpoints: {
       'POST /api/search-images': {
-        description: 'Search for images and upload to Firebase Storage',
+        description: 'Search for images and store them on the configured storage backend',
         body: {
           keyword: 'string (required) - Search keyword',
-          count: 'number (optional) - Number of images to fetch (1-10, default: 3)',
-          watermark: 'string (optional) - Watermark text to apply on images'
+          count: `number (optional) - Number of images to fetch (1-${imageSearchService.maxImageCount}, default: 3)`,
+          watermark: 'string|object (optional) - Watermark text, or { text | logo, position (top_left, top_right, bottom_left, bottom_right, center, corners_center, tiled), opacity (0-1), color, font_family, font_size, rotation, scale (logo width / image width) }, or { preset: "<id>", ...overrides }',
+          provider: 'string (optional) - Search provider to try first: duckduckgo, bing, google (Custom Search API, needs GOOGLE_CSE_API_KEY and GOOGLE_CSE_CX) or fixture (default: SEARCH_PROVIDER). Falls back through SEARCH_FALLBACK_PROVIDERS on failure',
+          size: 'string (optional) - small, medium, large or wallpaper',
+          color: 'string (optional) - color, monochrome, red, orange, yellow, green, blue, purple, pink, brown, black, gray, teal or white',
+          type: 'string (optional) - photo, clipart, gif, transparent or line. transparent cannot be combined with color=color|monochrome when google is in the provider chain (400 CONFLICTING_FILTERS)',
+          layout: 'string (optional) - square, tall or wide',
+          license: 'string (optional) - creative_commons, public_domain, free_to_share, free_to_share_commercially, free_to_modify or free_to_modify_commercially',
+          min_width: 'number (optional) - Drop results narrower than this (when the provider reports dimensions)',
+          min_height: 'number (optional) - Drop results shorter than this (when the provider reports dimensions)',
+          allow_domains: 'array|string (optional) - Only keep results whose page or image host matches (e.g. ["*.unsplash.com"])',
+          deny_domains: 'array|string (optional) - Drop results whose page or image host matches, in addition to DOMAIN_DENYLIST',
+          format: 'string (optional) - Output format of stored images: webp, avif, jpeg or png (default: webp). Sets the file extension and content type',
+          quality: 'number (optional) - Output quality 1-100 (default: 85, ignored for png)',
+          max_width: 'number|null (optional) - Shrink images wider than this (16-8192, default: 1920, null for no limit)',
+          max_height: 'number|null (optional) - Shrink images taller than this (16-8192, default: none)',
+          strip_metadata: 'boolean (optional) - Remove EXIF, XMP and ICC metadata from stored images (default: true)',
+          processing: 'object (optional) - Processing steps (decode -> orient -> resize -> watermark -> encode): { orient: true, resize: { max_width: 1920, max_height: null } | false, encode: { format: "webp", quality: 85, effort: 6 }, strip_metadata: true }. Top-level format, quality, max_width, max_height and strip_metadata take precedence. Undecodable downloads are rejected',
+          variants: 'array (optional) - Extra sizes/formats stored with every image, e.g. [{"name":"thumb","width":320},{"name":"hero","width":1600,"format":"avif"}]. Each: name, width and/or height, fit (default inside), format (webp, avif, jpeg, png; default webp), quality (default 80)',
+          storage: `array|string (optional) - Storage backends to write to: ${storage.backendNames.join(', ')} (default: STORAGE_BACKEND). The first one provides url. firebase URLs are tokenized download URLs, or plain URLs with FIREBASE_PUBLIC_URLS=true for buckets that allow public reads. Backends missing their settings (e.g. s3 without S3_BUCKET) are rejected with 400 STORAGE_BACKEND_NOT_CONFIGURED`,
+          cache: 'string (optional) - Search result cache: default (use cached results younger than SEARCH_CACHE_TTL_SECONDS), bypass (ignore the cache) or refresh (search again and replace the cached results)',
+          callback_url: 'string (optional) - Process in the background and POST the response body to this URL (202 with job_id is returned immediately). The host must resolve to public addresses only; loopback, private, link-local and other reserved ranges are rejected with 400 INVALID_CALLBACK_URL (WEBHOOK_ALLOW_PRIVATE_URLS=true allows them)'
         },
         response: {
           success: 'boolean',
           keyword: 'string',
-          images: 'array of image objects with url and title',
+          provider: 'string - Provider that returned the results',
+          cache: 'object - { status: hit, miss, bypass, refresh or disabled, age_seconds of the cached results }',
+          watermark: 'string - Watermark text or logo:<name> (null when none)',
+          watermark_options: 'object - Resolved watermark options, including preset values',
+          images: 'array of image objects with url, urls (per storage backend), variants (url, width, height, format per name), format (of url), srcset (entries in that format), srcsets (one srcset per format), title and reused (true when an identical stored image was returned instead of a new file)',
+          duplicate_count: 'number - Near-duplicate candidates skipped and replaced by the next result',
+          rejected_results: 'array of dropped search results with image, source, reason and detail',
+          candidates: 'array, one entry per search result passed to the downloader: index, status (stored, reused, duplicate, failed, skipped, cancelled), stage where it failed (download, validate, process, store), code (INVALID_CONTENT_TYPE, NOT_AN_IMAGE, SVG_NOT_ALLOWED, UNDECODABLE_IMAGE, IMAGE_TOO_SMALL, IMAGE_TOO_LARGE, EMPTY_RESPONSE, FILE_TOO_LARGE, DOWNLOAD_TIMEOUT, DOWNLOAD_FAILED, DUPLICATE_IMAGE, WATERMARK_FAILED, IMAGE_FAILED), error, original_url, source, url, original_format/width/height/bytes, original_shared (download reused from a concurrent request with another watermark) and stored format/width/height/bytes. Also returned with UPLOAD_FAILED errors',
+          stats: 'object - total, successful, stored, reused, duplicates, failed, failed_by_stage, skipped and success_rate (percent) over the attempted candidates',
+          stored_bytes: 'number - Bytes written to storage by this search (0 for coalesced requests)',
+          coalesced: 'string - request (joined an identical search already in flight), originals (reused downloads of a concurrent search with another watermark) or null',
           processing_time_ms: 'number'
+        },
+        callbacks: 'Signed with X-Webhook-Signature: sha256=HMAC(WEBHOOK_SECRET, "<X-Webhook-Timestamp>.<body>"), retried with exponential backoff. The host is resolved and checked again before every attempt; a destination that has become non-public goes straight to the dead-letter list. Retries are kept in memory only, so deliveries still pending when the server restarts are lost and never reach the dead-letter list'
+      },
+      'GET /images/:file': {
+        description: 'Serve a stored image, optionally resized and re-encoded on the fly. Variants are cached on disk up to TRANSFORM_CACHE_MAX_BYTES (default 1 GiB), least recently used first out. Transforms need a signed URL unless w/h match a TRANSFORM_ALLOWED_SIZES entry (e.g. "320,640x480") and q is left out (403 INVALID_SIGNATURE or TRANSFORM_NOT_ALLOWED); with neither setting they are disabled',
+        query: {
+          w: 'number (optional) - Target width in pixels',
+          h: 'number (optional) - Target height in pixels',
+          fit: 'string (optional) - cover, contain, fill, inside or outside (default: cover)',
+          format: 'string (optional) - avif, webp, jpeg or png (default: negotiated from the Accept header)',
+          q: 'number (optional) - Quality 1-100 (default: 80)',
+          sig: 'string (optional) - Signature from `npm run sign:image-url` (needs TRANSFORM_SIGNING_SECRET), required for sizes outside TRANSFORM_ALLOWED_SIZES or with q'
         }
       },
       'GET /api/images/:keyword': {
-        description: 'Get previously uploaded images for a keyword (not implemented)',
+        description: 'Get images stored or received with the calling API key for a keyword, newest first (every image when API_AUTH=off)',
         params: {
           keyword: 'string - Search keyword'
+        },
+        query: {
+          page: 'number (optional) - Page number (default: 1)',
+          limit: 'number (optional) - Images per page (1-100, default: 20)'
+        },
+        response: {
+          success: 'boolean',
+          total: 'number',
+          total_pages: 'number',
+          images: 'array of image records with url, urls, variants, title, source, original_url, width, height, bytes, watermark, created_at'
+        }
+      },
+      'POST /api/jobs': {
+        description: 'Queue an image search job and return its id immediately',
+        body: 'same as POST /api/search-images',
+        response: {
+          success: 'boolean',
+          job_id: 'string',
+          state: 'string',
+          status_url: 'string'
+        }
+      },
+      'GET /api/jobs/:id': {
+        description: 'Get job state (queued/searching/downloading/done/failed/cancelled) with per-image progress (only for jobs created with the same API key)',
+        params: {
+          id: 'string - Job id'
+        },
+        response: {
+          success: 'boolean',
+          job: 'object with state, progress, result (when done) and error (when failed)'
+        }
+      },
+      'DELETE /api/jobs/:id': {
+        description: 'Cancel a queued or running job created with the same API key',
+        params: {
+          id: 'string - Job id'
+        }
+      },
+      'GET /api/admin/webhooks/dead-letters': {
+        description: 'List callbacks that failed every delivery attempt, newest first (Authorization: Bearer <ADMIN_API_TOKEN>)'
+      },
+      'POST /api/admin/webhooks/dead-letters/:id/retry': {
+        description: 'Remove a dead letter and deliver it again (Authorization: Bearer <ADMIN_API_TOKEN>)',
+        params: {
+          id: 'string - Dead letter id'
         }
       },
+      'GET /api/watermarks/logos': {
+        description: 'List logos in the watermark library'
+      },
+      'PUT /api/admin/watermarks/logos/:name': {
+        description: 'Upload a logo (raw body, Content-Type image/png or image/svg+xml, max 2MB) (Authorization: Bearer <ADMIN_API_TOKEN>)'
+      },
+      'DELETE /api/admin/watermarks/logos/:name': {
+        description: 'Remove a logo from the library (Authorization: Bearer <ADMIN_API_TOKEN>)'
+      },
+      'GET /api/watermarks/presets': {
+        description: 'List named watermark presets'
+      },
+      'GET /api/watermarks/presets/:id': {
+        description: 'Get a watermark preset'
+      },
+      'PUT /api/admin/watermarks/presets/:id': {
+        description: 'Create or replace a preset; body uses the same fields as the watermark object (Authorization: Bearer <ADMIN_API_TOKEN>)'
+      },
+      'DELETE /api/admin/watermarks/presets/:id': {
+        description: 'Delete a watermark preset (Authorization: Bearer <ADMIN_API_TOKEN>)'
+      },
+      'GET /api/proxies': {
+        description: 'Proxy pool health. Proxies are picked by score (success rate and latency); PROXY_FAILURE_THRESHOLD consecutive failures quarantine a proxy for PROXY_QUARANTINE_SECONDS, doubling up to PROXY_QUARANTINE_MAX_SECONDS',
+        response: {
+          total: 'number',
+          available: 'number',
+          quarantined: 'number',
+          direct_fallback: 'boolean - Whether requests connect directly while every proxy is quarantined',
+          proxies: 'array of { id, proxy (credentials masked), state, score, successes, failures, consecutive_failures, avg_latency_ms, quarantines, quarantined_until, last_used_at, last_error }',
+          direct: 'object - The same stats for direct connections'
+        }
+      },
+      'GET /api/scheduler': {
+        description: 'Outbound scraping limits: running and queued searches, and the token buckets per provider (search sessions) and per proxy (HTTP requests)',
+        response: {
+          active: 'number - Searches running',
+          queued: 'number - Searches waiting for a slot',
+          max_concurrent: 'number - SEARCH_MAX_CONCURRENT',
+          queue_size: 'number - SEARCH_QUEUE_SIZE',
+          avg_search_ms: 'number - Moving average search duration, used for Retry-After',
+          providers: 'object - { rate_per_minute, burst, tokens } per provider',
+          proxies: 'object - { rate_per_minute, burst, tokens } per proxy (credentials masked) or direct'
+        }
+      },
+      'GET /api/usage': {
+        description: 'Quotas and consumption of the calling API key',
+        response: {
+          key: 'object - { id, name, prefix, quotas, created_at, revoked_at }',
+          quotas: 'object - requests_per_day, images_per_day, storage_bytes (0 = unlimited)',
+          today: 'object - requests, images and storage_bytes used today (UTC), including reservations of requests still running',
+          total: 'object - requests, images and storage_bytes used since the key was issued',
+          remaining: 'object - requests_today, images_today, storage_bytes (null when unlimited)',
+          resets_at: 'string - When the daily counters reset'
+        }
+      },
+      'GET /api/admin/keys': {
+        description: 'List API keys with their usage (Authorization: Bearer <ADMIN_API_TOKEN>)'
+      },
+      'POST /api/admin/keys': {
+        description: 'Issue an API key (Authorization: Bearer <ADMIN_API_TOKEN>). The key is returned once and stored hashed',
+        body: {
+          name: 'string (required) - Who the key is for',
+          requests_per_day: 'number (optional) - Searches and jobs per UTC day (default: API_KEY_DEFAULT_REQUESTS_PER_DAY, 0 = unlimited)',
+          images_per_day: 'number (optional) - Images returned per UTC day (default: API_KEY_DEFAULT_IMAGES_PER_DAY, 0 = unlimited)',
+          storage_bytes: 'number (optional) - Bytes of new images stored with the key (default: API_KEY_DEFAULT_STORAGE_BYTES, 0 = unlimited)'
+        },
+        response: {
+          api_key: 'string - The key',
+          key: 'object - { id, name, prefix, quotas, created_at, revoked_at }'
+        }
+      },
+      'DELETE /api/admin/keys/:id': {
+        description: 'Revoke an API key (Authorization: Bearer <ADMIN_API_TOKEN>). Its usage and image tags are kept'
+      },
+      'GET /api/admin/images/:keyword': {
+        description: 'Get every API key\'s images for a keyword (Authorization: Bearer <ADMIN_API_TOKEN>). Same query and response as GET /api/images/:keyword, plus api_key_id (key that stored or received the image) per image'
+      },
       'GET /health': {
         description: 'Health check endpoint',
         response: {
@@ -242,6 +438,26 @@ app.use('*', (req, res) => {
     available_endpoints: [
       'POST /api/search-images',
       'GET /api/images/:keyword',
+      'GET /images/:file',
+      'POST /api/jobs',
+      'GET /api/jobs/:id',
+      'DELETE /api/jobs/:id',
+      'GET /api/admin/webhooks/dead-letters',
+      'POST /api/admin/webhooks/dead-letters/:id/retry',
+      'GET /api/watermarks/logos',
+      'PUT /api/admin/watermarks/logos/:name',
+      'DELETE /api/admin/watermarks/logos/:name',
+      'GET /api/watermarks/presets',
+      'GET /api/watermarks/presets/:id',
+      'PUT /api/admin/watermarks/presets/:id',
+      'DELETE /api/admin/watermarks/presets/:id',
+      'GET /api/proxies',
+      'GET /api/scheduler',
+      'GET /api/usage',
+      'GET /api/admin/keys',
+      'POST /api/admin/keys',
+      'DELETE /api/admin/keys/:id',
+      'GET /api/admin/images/:keyword',
       'GET /api/docs',
       'GET /health'
     ]
@@ -260,13 +476,18 @@ app.use((error, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Image Scraper API Server running on port ${PORT}`);
-  console.log(`📖 API Documentation: http://localhost:${PORT}/api/docs`);
-  console.log(`❤️ Health Check: http://localhost:${PORT}/health`);
-  console.log(`\n🔧 Make sure to set up your .env file with Firebase credentials!`);
-  console.log(`📁 Copy .env.example to .env and fill in your Firebase service account details\n`);
-});
+// Start server, unless the app was required by the test suite
+if (require.main === module) {
+  app.listen(PORT, () => {
+    // Resume jobs that were interrupted by the last shutdown
+    jobManager.initialize();
+
+    console.log(`🚀 Image Scraper API Server running on port ${PORT}`);
+    console.log(`📖 API Documentation: http://localhost:${PORT}/api/docs`);
+    console.log(`❤️ Health Check: http://localhost:${PORT}/health`);
+    console.log(`💾 Storage backend: ${storage.defaultBackendName()}`);
+    console.log(`\n🔧 Make sure to set up your .env file with credentials for the storage backend you use!\n`);
+  });
+}
 
 module.exports = app;
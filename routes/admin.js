@@ -0,0 +1,109 @@
+const express = require('express');
+const apiKeys = require('../services/apiKeys');
+const webhooksRouter = require('./webhooks');
+const { adminRouter: watermarksRouter } = require('./watermarks');
+const { adminRouter: imagesRouter } = require('./images');
+
+const router = express.Router();
+
+// Every admin route needs ADMIN_API_TOKEN
+router.use(apiKeys.adminMiddleware());
+
+// Webhook dead letters hold every tenant's payloads and callback URLs
+router.use('/webhooks', webhooksRouter);
+
+// The watermark library and presets are shared by every tenant
+router.use('/watermarks', watermarksRouter);
+
+// Image listings across every tenant, with the key that stored each image
+router.use('/images', imagesRouter);
+
+// List API keys with their usage
+router.get('/keys', async (req, res) => {
+  try {
+    const keys = await apiKeys.reportAll();
+
+    res.json({
+      success: true,
+      count: keys.length,
+      keys
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Issue a key; the plaintext key is only ever returned here
+router.post('/keys', async (req, res) => {
+  try {
+    const { name } = req.body || {};
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required and must be a string',
+        code: 'INVALID_KEY_NAME'
+      });
+    }
+
+    for (const quota of apiKeys.quotaNames) {
+      const value = req.body[quota];
+      if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+        return res.status(400).json({
+          success: false,
+          error: `${quota} must be a non-negative integer (0 = unlimited)`,
+          code: 'INVALID_QUOTA'
+        });
+      }
+    }
+
+    const { key, record } = await apiKeys.create({ ...req.body, name: name.trim() });
+
+    res.status(201).json({
+      success: true,
+      api_key: key,
+      key: apiKeys.describe(record)
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Revoke a key
+router.delete('/keys/:id', async (req, res) => {
+  try {
+    const record = await apiKeys.revoke(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+        code: 'API_KEY_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      key: apiKeys.describe(record)
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const imageIndex = require('../services/imageIndex');
+
+// API keys list only the images stored or received with them; admins list every
+// tenant's images together with the key that stored them
+const router = express.Router();
+const adminRouter = express.Router();
+
+/**
+ * Respond with a page of indexed images for the keyword in req.params
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - Listing options
+ * @param {string|null} options.apiKeyId - Only list images of this key (undefined for every key)
+ * @param {boolean} options.includeKey - Report the key that stored each image
+ * @returns {Promise<void>}
+ */
+async function listImages(req, res, { apiKeyId, includeKey = false } = {}) {
+  try {
+    const { keyword } = req.params;
+
+    if (!keyword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Keyword parameter is required',
+        code: 'MISSING_KEYWORD'
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100); // Limit between 1-100
+
+    const result = await imageIndex.findByKeyword(keyword, { page, limit, apiKeyId });
+
+    res.json({
+      success: true,
+      keyword: keyword,
+      page: result.page,
+      limit: result.limit,
+      total: result.total,
+      total_pages: result.total_pages,
+      images: result.records.map(record => ({
+        id: record.id,
+        url: record.url,
+        urls: imageIndex.getBackendUrls(record),
+        variants: record.variants
+          ? Object.fromEntries(Object.entries(record.variants).map(([name, variant]) => [name, {
+            url: variant.url,
+            urls: variant.urls,
+            width: variant.width,
+            height: variant.height,
+            format: variant.format
+          }]))
+          : {},
+        title: record.title,
+        source: record.source,
+        original_url: record.original_url,
+        width: record.width,
+        height: record.height,
+        bytes: record.bytes,
+        watermark: record.watermark,
+        ...(includeKey ? { api_key_id: record.api_key_id || null } : {}),
+        created_at: record.created_at
+      }))
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+}
+
+// Get images by keyword (list previously uploaded images). Without API_AUTH every
+// caller is anonymous and sees every image.
+router.get('/:keyword', (req, res) => listImages(req, res, { apiKeyId: req.apiKey ? req.apiKey.id : undefined }));
+
+// Get every tenant's images by keyword
+adminRouter.get('/:keyword', (req, res) => listImages(req, res, { includeKey: true }));
+
+module.exports = { router, adminRouter };
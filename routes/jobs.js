@@ -0,0 +1,155 @@
+const express = require('express');
+const imageSearchService = require('../services/imageSearchService');
+const jobManager = require('../services/jobManager');
+const webhookDispatcher = require('../services/webhookDispatcher');
+const apiKeys = require('../services/apiKeys');
+const clientRateLimiter = require('../services/clientRateLimiter');
+
+const router = express.Router();
+
+/**
+ * Look up a job of the calling API key; other keys' jobs are reported as not found
+ * @param {Object} req - Express request (after API key authentication)
+ * @returns {Promise<Object|null>} Job or null
+ */
+async function findOwnJob(req) {
+  const job = await jobManager.getJob(req.params.id);
+  if (!job) return null;
+
+  // Without API_AUTH every caller is anonymous and sees every job
+  if (req.apiKey && (job.request.api_key_id || null) !== req.apiKey.id) return null;
+
+  return job;
+}
+
+// Create a search job and return its id immediately
+router.post('/', clientRateLimiter.middleware('search'), async (req, res) => {
+  try {
+    const { request, error: validationError } = imageSearchService.validateRequest(req.body);
+
+    if (validationError) {
+      return res.status(validationError.status).json({
+        success: false,
+        error: validationError.message,
+        code: validationError.code
+      });
+    }
+
+    const { callback_url: callbackUrl } = req.body;
+
+    const callbackError = callbackUrl !== undefined ? await webhookDispatcher.checkCallbackUrl(callbackUrl) : null;
+
+    if (callbackError) {
+      return res.status(400).json({
+        success: false,
+        error: callbackError,
+        code: 'INVALID_CALLBACK_URL'
+      });
+    }
+
+    // Count the request against the caller's API key quotas
+    request.api_key_id = req.apiKey ? req.apiKey.id : null;
+    const { reservation, error: quotaError } = await apiKeys.reserve(req.apiKey, request.count);
+
+    if (quotaError) {
+      if (quotaError.retry_after) res.set('Retry-After', String(quotaError.retry_after));
+      return res.status(quotaError.status).json({
+        success: false,
+        error: quotaError.message,
+        code: quotaError.code,
+        quota: quotaError.quota
+      });
+    }
+    request.quota_reservation = reservation;
+
+    let job;
+    try {
+      job = await jobManager.createJob(request, callbackUrl ? { callback_url: callbackUrl } : {});
+    } catch (error) {
+      // The job was never created, so nothing of the reservation will be used
+      await apiKeys.settle(request.api_key_id, reservation);
+      throw error;
+    }
+
+    res.status(202).json({
+      success: true,
+      job_id: job.id,
+      state: job.state,
+      status_url: `/api/jobs/${job.id}`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Failed to create job:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Report job state and per-image progress
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: jobManager.toJSON(job)
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Cancel a queued or running job
+router.delete('/:id', async (req, res) => {
+  try {
+    const job = await findOwnJob(req) && await jobManager.cancelJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    if (job.state === 'done' || job.state === 'failed') {
+      return res.status(409).json({
+        success: false,
+        error: `Job already ${job.state}`,
+        code: 'JOB_ALREADY_FINISHED',
+        job: jobManager.toJSON(job)
+      });
+    }
+
+    res.json({
+      success: true,
+      job: jobManager.toJSON(job)
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = router;
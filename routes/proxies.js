@@ -0,0 +1,15 @@
+const express = require('express');
+const imageSearchService = require('../services/imageSearchService');
+
+const router = express.Router();
+
+// Health of the proxy rotation pool (credentials masked)
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    ...imageSearchService.imageScraper.proxyPool.getStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const imageSearchService = require('../services/imageSearchService');
+const searchScheduler = require('../services/searchScheduler');
+
+const router = express.Router();
+
+// Running and queued searches, and the provider / proxy rate limit buckets (credentials masked)
+router.get('/', (req, res) => {
+  const { proxyPool } = imageSearchService.imageScraper;
+
+  res.json({
+    success: true,
+    ...searchScheduler.getStatus(proxy => proxyPool.mask(proxy)),
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const express = require('express');
+const watermarkService = require('../services/watermarkService');
+
+// Anyone with an API key may read the library; changing it affects every tenant's
+// watermarks, so writes are mounted under /api/admin
+const router = express.Router();
+const adminRouter = express.Router();
+
+/**
+ * Send an error as JSON, using the error's code when it is a validation error
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the watermark service
+ */
+function sendError(res, error) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message,
+    code: error.statusCode ? error.code : 'INTERNAL_ERROR'
+  });
+}
+
+// List logos in the watermark library
+router.get('/logos', (req, res) => {
+  try {
+    const logos = watermarkService.listLogos();
+    res.json({ success: true, count: logos.length, logos });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Upload a PNG or SVG logo as the raw request body
+adminRouter.put('/logos/:name', express.raw({ type: ['image/png', 'image/svg+xml'], limit: '2mb' }), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Send the logo as the request body with Content-Type image/png or image/svg+xml',
+        code: 'INVALID_LOGO'
+      });
+    }
+
+    const logo = await watermarkService.saveLogo(req.params.name, req.body);
+    res.status(201).json({ success: true, logo });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Remove a logo from the library
+adminRouter.delete('/logos/:name', (req, res) => {
+  try {
+    if (!watermarkService.deleteLogo(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Logo not found',
+        code: 'LOGO_NOT_FOUND'
+      });
+    }
+
+    res.json({ success: true, name: req.params.name });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List named watermark presets
+router.get('/presets', (req, res) => {
+  try {
+    const presets = watermarkService.listPresets();
+    res.json({ success: true, count: presets.length, presets });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get a preset
+router.get('/presets/:id', (req, res) => {
+  const preset = watermarkService.getPreset(req.params.id);
+
+  if (!preset) {
+    return res.status(404).json({
+      success: false,
+      error: 'Preset not found',
+      code: 'PRESET_NOT_FOUND'
+    });
+  }
+
+  res.json({ success: true, preset });
+});
+
+// Create or replace a preset; the body uses the same fields as the request watermark object
+adminRouter.put('/presets/:id', (req, res) => {
+  try {
+    const preset = watermarkService.savePreset(req.params.id, req.body);
+    res.json({ success: true, preset });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Delete a preset
+adminRouter.delete('/presets/:id', (req, res) => {
+  try {
+    if (!watermarkService.deletePreset(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Preset not found',
+        code: 'PRESET_NOT_FOUND'
+      });
+    }
+
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+module.exports = { router, adminRouter };
@@ -0,0 +1,54 @@
+const express = require('express');
+const webhookDispatcher = require('../services/webhookDispatcher');
+
+const router = express.Router();
+
+// List callbacks that exhausted their retries
+router.get('/dead-letters', async (req, res) => {
+  try {
+    const deadLetters = await webhookDispatcher.listDeadLetters();
+
+    res.json({
+      success: true,
+      count: deadLetters.length,
+      dead_letters: deadLetters
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Requeue a dead letter for delivery
+router.post('/dead-letters/:id/retry', async (req, res) => {
+  try {
+    const delivery = await webhookDispatcher.retryDeadLetter(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead letter not found',
+        code: 'DEAD_LETTER_NOT_FOUND'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      id: delivery.id,
+      callback_url: delivery.callback_url
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = router;
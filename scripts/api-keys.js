@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Manage API keys from the command line. Works on the same API_KEYS_FILE as the
+ * server, which picks up changes without a restart.
+ *
+ * Usage:
+ *   node scripts/api-keys.js create <name> [--requests-per-day=1000] [--images-per-day=5000] [--storage-bytes=1073741824]
+ *   node scripts/api-keys.js list
+ *   node scripts/api-keys.js usage [<id>]
+ *   node scripts/api-keys.js revoke <id>
+ *
+ * Quotas default to API_KEY_DEFAULT_*; 0 means unlimited.
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const apiKeys = require('../services/apiKeys');
+
+const USAGE = 'Usage: node scripts/api-keys.js create <name> [--requests-per-day=] [--images-per-day=] [--storage-bytes=] | list | usage [<id>] | revoke <id>';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [command, ...rest] = args.filter(arg => !arg.startsWith('--'));
+  const options = {};
+
+  for (const arg of args) {
+    const match = arg.match(/^--([^=]+)=(.*)$/);
+    if (match) options[match[1].replace(/-/g, '_')] = match[2];
+  }
+
+  switch (command) {
+    case 'create': {
+      const name = rest.join(' ').trim();
+      if (!name) throw new Error(USAGE);
+
+      const { key, record } = await apiKeys.create({ ...options, name });
+      console.log(JSON.stringify({ api_key: key, key: apiKeys.describe(record) }, null, 2));
+      console.log('\n⚠️  Store the key now, it cannot be shown again');
+      break;
+    }
+
+    case 'list': {
+      const keys = await apiKeys.loadKeys();
+      console.log(JSON.stringify(keys.map(record => apiKeys.describe(record)), null, 2));
+      break;
+    }
+
+    case 'usage': {
+      const reports = await apiKeys.reportAll();
+      const selected = rest[0] ? reports.filter(report => report.key.id === rest[0]) : reports;
+      if (rest[0] && selected.length === 0) throw new Error(`API key ${rest[0]} not found`);
+      console.log(JSON.stringify(selected, null, 2));
+      break;
+    }
+
+    case 'revoke': {
+      if (!rest[0]) throw new Error(USAGE);
+
+      const record = await apiKeys.revoke(rest[0]);
+      if (!record) throw new Error(`API key ${rest[0]} not found`);
+      console.log(JSON.stringify(apiKeys.describe(record), null, 2));
+      break;
+    }
+
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+/**
+ * Reorganize stored images into a storage layout and keep old URLs working.
+ *
+ * Usage:
+ *   node scripts/migrate-storage-layout.js [--layout=flat|keyword-date|content-hash] [--dry-run]
+ *
+ * The layout defaults to VPS_STORAGE_LAYOUT. Every moved file gets an entry in
+ * <upload dir>/.redirects.json (served as 301 redirects) and its image index record
+ * is updated to the new path and local URL. Variant files move along with their image.
+ * Only files in the local upload dir move; URLs on other backends (Firebase, S3) are
+ * left pointing at their existing objects.
+ *
+ * It can run while the server is up: the index is rewritten under the lock file the server
+ * appends under, so images it stores meanwhile keep their index records (in the layout the
+ * server is configured with), and the server picks up the rewritten index and the redirects
+ * within 30 seconds.
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const fs = require('fs').promises;
+const path = require('path');
+const storageLayout = require('../services/storageLayout');
+const imageIndex = require('../services/imageIndex');
+const { variantKey } = require('../services/imageVariants');
+
+const IMAGE_EXTENSIONS = ['.webp', '.avif', '.jpg', '.jpeg', '.png', '.gif'];
+
+/**
+ * Parse --key=value and --flag arguments
+ * @param {Array} argv - Process arguments
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  const options = {};
+
+  for (const arg of argv) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) options[match[1]] = match[2] === undefined ? true : match[2];
+  }
+
+  return options;
+}
+
+/**
+ * List image files below a directory, skipping dotfiles and dot-directories (caches, index)
+ * @param {string} rootDir - Upload directory
+ * @param {string} relativeDir - Directory relative to the root
+ * @returns {Promise<Array>} Relative file paths with forward slashes
+ */
+async function listImages(rootDir, relativeDir = '') {
+  const entries = await fs.readdir(path.join(rootDir, relativeDir), { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+    if (entry.isDirectory()) {
+      files.push(...await listImages(rootDir, relativePath));
+    } else if (entry.isFile() && IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Work out when a file was created: index record, then timestamp prefix, then mtime
+ * @param {Object} record - Index record (optional)
+ * @param {string} relativePath - File path
+ * @param {Object} stats - fs.Stats of the file
+ * @returns {Date} Creation date
+ */
+function resolveDate(record, relativePath, stats) {
+  if (record && record.created_at) return new Date(record.created_at);
+
+  const match = path.basename(relativePath).match(/^(\d{13})_/);
+  if (match) return new Date(parseInt(match[1]));
+
+  return stats.mtime;
+}
+
+/**
+ * Check whether a file exists
+ * @param {string} filePath - File path
+ * @returns {Promise<boolean>} True if present
+ */
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Move a file, or drop it when identical content already exists at the target
+ * @param {string} filePath - Current file
+ * @param {string} targetFile - New location
+ * @param {boolean} targetExists - Whether the target is already present
+ * @returns {Promise<void>}
+ */
+async function moveFile(filePath, targetFile, targetExists) {
+  if (targetExists) {
+    await fs.unlink(filePath);
+  } else {
+    await fs.mkdir(path.dirname(targetFile), { recursive: true });
+    await fs.rename(filePath, targetFile);
+  }
+}
+
+/**
+ * Remove directories left empty after moving files out of them
+ * @param {string} rootDir - Upload directory (never removed)
+ * @param {string} dir - Directory to clean up
+ * @returns {Promise<void>}
+ */
+async function removeEmptyDirs(rootDir, dir) {
+  let current = dir;
+
+  while (path.resolve(current) !== path.resolve(rootDir)) {
+    const entries = await fs.readdir(current);
+    if (entries.length > 0) return;
+
+    await fs.rmdir(current);
+    current = path.dirname(current);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const layout = storageLayout.normalizeLayout(options.layout || storageLayout.layout);
+  const dryRun = Boolean(options['dry-run']);
+  const uploadDir = storageLayout.uploadDir;
+
+  console.log(`🚚 Migrating ${uploadDir} to "${layout}" layout${dryRun ? ' (dry run)' : ''}`);
+
+  const records = await imageIndex.load();
+  const recordsByFile = new Map();
+  const variantFiles = new Set();
+  for (const record of records) {
+    if (record.filename && !recordsByFile.has(record.filename)) {
+      recordsByFile.set(record.filename, record);
+    }
+    for (const variant of Object.values(record.variants || {})) {
+      variantFiles.add(variant.key);
+    }
+  }
+
+  const files = await listImages(uploadDir);
+  const moves = {};
+  let skipped = 0;
+  let inPlace = 0;
+  let variantCount = 0;
+
+  for (const relativePath of files) {
+    // Variants are moved together with their image below
+    if (variantFiles.has(relativePath)) continue;
+
+    const filePath = path.join(uploadDir, ...relativePath.split('/'));
+    const stats = await fs.stat(filePath);
+    const record = recordsByFile.get(relativePath);
+    const extension = path.extname(relativePath).slice(1).toLowerCase();
+
+    const targetPath = storageLayout.buildRelativePath({
+      keyword: record ? record.keyword : 'unknown',
+      buffer: layout === 'content-hash' ? await fs.readFile(filePath) : null,
+      date: resolveDate(record, relativePath, stats),
+      extension,
+      layout,
+      basename: path.basename(relativePath)
+    });
+
+    if (targetPath === relativePath) {
+      inPlace++;
+      continue;
+    }
+
+    const targetFile = path.join(uploadDir, ...targetPath.split('/'));
+    const targetExists = await fileExists(targetFile);
+
+    // Same hash means same bytes, so the old copy can simply be dropped
+    if (targetExists && layout !== 'content-hash') {
+      console.warn(`⚠️ Skipping ${relativePath}: ${targetPath} already exists`);
+      skipped++;
+      continue;
+    }
+
+    console.log(`  ${relativePath} -> ${targetPath}${targetExists ? ' (duplicate content)' : ''}`);
+    moves[relativePath] = targetPath;
+
+    if (dryRun) continue;
+
+    await moveFile(filePath, targetFile, targetExists);
+
+    for (const [name, variant] of Object.entries(record ? record.variants || {} : {})) {
+      const variantTarget = variantKey(targetPath, { name, format: variant.format });
+      const variantFile = path.join(uploadDir, ...variant.key.split('/'));
+      const variantTargetFile = path.join(uploadDir, ...variantTarget.split('/'));
+
+      try {
+        await moveFile(variantFile, variantTargetFile, await fileExists(variantTargetFile));
+        moves[variant.key] = variantTarget;
+        variantCount++;
+      } catch (error) {
+        console.warn(`⚠️ Could not move variant ${variant.key}: ${error.message}`);
+      }
+    }
+
+    await removeEmptyDirs(uploadDir, path.dirname(filePath));
+  }
+
+  const moveCount = Object.keys(moves).length;
+
+  if (!dryRun && moveCount > 0) {
+    storageLayout.addRedirects(moves);
+
+    // Only local files were moved, so URLs of other backends (an S3 key under S3_PREFIX
+    // can also contain /images/<key>) keep pointing at their unmoved objects
+    const moveUrl = (url, from, to) => (url ? url.replace(`/images/${from}`, `/images/${to}`) : url);
+    const moveLocalUrls = (entry, from, to) => {
+      const localUrl = entry.urls ? entry.urls.local : entry.url;
+      if (!localUrl) return {};
+
+      const movedUrl = moveUrl(localUrl, from, to);
+      return {
+        url: entry.url === localUrl ? movedUrl : entry.url,
+        urls: entry.urls ? { ...entry.urls, local: movedUrl } : entry.urls
+      };
+    };
+
+    await imageIndex.rewrite(record => {
+      const target = moves[record.filename];
+      if (!target) return record;
+
+      const variants = record.variants
+        ? Object.fromEntries(Object.entries(record.variants).map(([name, variant]) => {
+          const variantTarget = moves[variant.key];
+          if (!variantTarget) return [name, variant];
+          return [name, {
+            ...variant,
+            key: variantTarget,
+            ...moveLocalUrls(variant, variant.key, variantTarget)
+          }];
+        }))
+        : record.variants;
+
+      return {
+        ...record,
+        filename: target,
+        ...moveLocalUrls(record, record.filename, target),
+        variants
+      };
+    });
+  }
+
+  console.log(`✅ ${dryRun ? 'Would move' : 'Moved'} ${moveCount - variantCount} files (+${variantCount} variants), skipped ${skipped}, ${inPlace} already in place`);
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Record the HTTP traffic of one search (search pages, API JSON, image bytes) as
+ * fixtures that HTTP_FIXTURES=replay serves offline.
+ *
+ * Usage:
+ *   node scripts/record-http-fixtures.js <keyword> [--count=3] [--provider=duckduckgo] [--dir=./fixtures/http]
+ *
+ * The search cache is bypassed so every request really goes out and gets recorded.
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const args = process.argv.slice(2);
+const options = {};
+
+for (const arg of args) {
+  const match = arg.match(/^--([^=]+)=(.*)$/);
+  if (match) options[match[1]] = match[2];
+}
+
+// Services read these at require time
+process.env.HTTP_FIXTURES = 'record';
+if (options.dir) process.env.HTTP_FIXTURES_DIR = options.dir;
+
+const ImageScraper = require('../services/imageScraper');
+const vpsImageStorage = require('../services/vpsImageStorage');
+
+async function main() {
+  const keyword = args.filter(arg => !arg.startsWith('--')).join(' ');
+  const count = parseInt(options.count) || 3;
+
+  if (keyword.trim().length < 2) {
+    console.error('Usage: node scripts/record-http-fixtures.js <keyword> [--count=] [--provider=] [--dir=]');
+    process.exit(1);
+  }
+
+  const scraper = new ImageScraper();
+  const { images, provider } = await scraper.search(keyword, count, {
+    provider: options.provider,
+    poolSize: scraper.candidatePoolSize(count),
+    cache: 'bypass'
+  });
+
+  console.log(`🔍 ${provider} returned ${images.length} candidates, downloading them`);
+
+  for (const image of images) {
+    try {
+      await vpsImageStorage.downloadImage(image.url);
+    } catch (error) {
+      // Failed downloads are recorded as well when the server answered
+      console.warn(`⚠️ ${image.url}: ${error.message}`);
+    }
+  }
+
+  console.log('✅ Done');
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
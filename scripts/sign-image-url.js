@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ * Print a signed transform URL for a stored image.
+ *
+ * Usage:
+ *   node scripts/sign-image-url.js <file> [--w=400] [--h=300] [--fit=cover] [--format=avif] [--q=70]
+ *
+ * <file> is the path under /images/ (e.g. cats/2025-01-31/1738300000000_ab12cd34_1.webp).
+ * The signature uses TRANSFORM_SIGNING_SECRET; without it the URL is printed unsigned and
+ * is only served for TRANSFORM_ALLOWED_SIZES sizes without --q.
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const imageTransformer = require('../services/imageTransformer');
+
+function main() {
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+  const query = {};
+
+  for (const arg of args) {
+    const match = arg.match(/^--([^=]+)=(.*)$/);
+    if (match) query[match[1]] = match[2];
+  }
+
+  if (!file || !imageTransformer.isValidKey(file)) {
+    console.error('Usage: node scripts/sign-image-url.js <file> [--w=] [--h=] [--fit=] [--format=] [--q=]');
+    process.exit(1);
+  }
+
+  const { params, error } = imageTransformer.parseParams(query);
+
+  if (error) {
+    console.error(`❌ ${error}`);
+    process.exit(1);
+  }
+
+  console.log(imageTransformer.buildUrl(file, params));
+}
+
+main();
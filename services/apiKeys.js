@@ -0,0 +1,482 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const AUTH_MODES = ['required', 'off'];
+const KEY_PREFIX = 'isk_';
+// Days of per-day usage kept for each key
+const USAGE_HISTORY_DAYS = 31;
+
+/**
+ * API keys with per-key quotas and usage accounting.
+ * Keys are stored as SHA-256 hashes in API_KEYS_FILE; the plaintext is shown once, when
+ * the key is issued. Usage lives in API_USAGE_FILE, so the admin CLI can edit keys while
+ * the server keeps writing usage. Quotas: requests_per_day and images_per_day reset at
+ * UTC midnight, storage_bytes caps the bytes of new images stored with the key. 0 means unlimited.
+ * A request reserves its image count and API_KEY_RESERVED_BYTES_PER_IMAGE per image when it
+ * is accepted, so concurrent requests cannot overshoot a quota; the unused part is
+ * refunded once the request finishes.
+ */
+class ApiKeys {
+  constructor() {
+    const mode = (process.env.API_AUTH || 'required').trim().toLowerCase();
+    this.mode = AUTH_MODES.includes(mode) ? mode : 'required';
+    this.keysFile = process.env.API_KEYS_FILE || './data/api-keys.json';
+    this.usageFile = process.env.API_USAGE_FILE || './data/api-usage.json';
+    this.adminToken = process.env.ADMIN_API_TOKEN || '';
+    this.defaultQuotas = {
+      requests_per_day: this.parseQuota(process.env.API_KEY_DEFAULT_REQUESTS_PER_DAY, 1000),
+      images_per_day: this.parseQuota(process.env.API_KEY_DEFAULT_IMAGES_PER_DAY, 5000),
+      storage_bytes: this.parseQuota(process.env.API_KEY_DEFAULT_STORAGE_BYTES, 1024 * 1024 * 1024) // 1GB
+    };
+    this.quotaNames = Object.keys(this.defaultQuotas);
+    this.reservedBytesPerImage = this.parseQuota(process.env.API_KEY_RESERVED_BYTES_PER_IMAGE, 512 * 1024);
+
+    this.keys = null;
+    this.keysMtime = 0;
+    this.usage = null;
+    this.writeQueue = Promise.resolve();
+
+    if (this.mode === 'off') {
+      console.warn('⚠️ API_AUTH=off, API endpoints are open to anyone');
+    }
+  }
+
+  /**
+   * Check whether requests must carry an API key
+   * @returns {boolean} True unless API_AUTH=off
+   */
+  isRequired() {
+    return this.mode === 'required';
+  }
+
+  /**
+   * Parse a quota from configuration or a request
+   * @param {*} value - Raw value
+   * @param {number} fallback - Used when the value is missing or invalid
+   * @returns {number} Non-negative integer (0 = unlimited)
+   */
+  parseQuota(value, fallback) {
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+  }
+
+  /**
+   * Hash a plaintext key. Keys carry 256 random bits, so a plain SHA-256 is enough.
+   * @param {string} key - Plaintext key
+   * @returns {string} Hex digest
+   */
+  hash(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+
+  /**
+   * Read the key list, again whenever the file changed (e.g. through the CLI)
+   * @returns {Promise<Array>} Key records
+   */
+  async loadKeys() {
+    let mtime = 0;
+
+    try {
+      mtime = (await fs.stat(this.keysFile)).mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (this.keys && mtime === this.keysMtime) return this.keys;
+
+    try {
+      this.keys = mtime ? JSON.parse(await fs.readFile(this.keysFile, 'utf8')) : [];
+    } catch (error) {
+      console.error('❌ Failed to load API keys:', error.message);
+      this.keys = this.keys || [];
+    }
+
+    this.keysMtime = mtime;
+    return this.keys;
+  }
+
+  /**
+   * Load usage counters from disk (once)
+   * @returns {Promise<Object>} Usage by key id
+   */
+  async loadUsage() {
+    if (this.usage) return this.usage;
+
+    try {
+      this.usage = JSON.parse(await fs.readFile(this.usageFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('❌ Failed to load API key usage:', error.message);
+      }
+      this.usage = {};
+    }
+
+    return this.usage;
+  }
+
+  /**
+   * Write a JSON file atomically, one write at a time
+   * @param {string} filePath - Destination
+   * @param {*} data - Data to serialize
+   * @returns {Promise<void>}
+   */
+  async writeJson(filePath, data) {
+    const snapshot = JSON.stringify(data, null, 2);
+
+    const write = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(`${filePath}.tmp`, snapshot);
+      await fs.rename(`${filePath}.tmp`, filePath);
+    });
+    this.writeQueue = write.catch(() => {});
+
+    await write;
+  }
+
+  /**
+   * Persist the key list and remember its new mtime so it is not re-read needlessly
+   * @returns {Promise<void>}
+   */
+  async saveKeys() {
+    await this.writeJson(this.keysFile, this.keys);
+    this.keysMtime = (await fs.stat(this.keysFile)).mtimeMs;
+  }
+
+  /**
+   * Issue a new key
+   * @param {Object} options - { name, requests_per_day, images_per_day, storage_bytes }
+   * @returns {Promise<Object>} { key (plaintext, shown only now), record }
+   */
+  async create(options = {}) {
+    const keys = await this.loadKeys();
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const quotas = Object.fromEntries(
+      this.quotaNames.map(name => [name, this.parseQuota(options[name], this.defaultQuotas[name])])
+    );
+    const record = {
+      id: uuidv4(),
+      name: String(options.name || 'unnamed').slice(0, 100),
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      hash: this.hash(key),
+      quotas,
+      created_at: new Date().toISOString(),
+      revoked_at: null
+    };
+
+    keys.push(record);
+    await this.saveKeys();
+
+    console.log(`🔑 Issued API key ${record.id} (${record.name})`);
+    return { key, record };
+  }
+
+  /**
+   * Revoke a key. The record is kept so usage and stored images stay attributable.
+   * @param {string} id - Key id
+   * @returns {Promise<Object|null>} Revoked record or null if unknown
+   */
+  async revoke(id) {
+    const keys = await this.loadKeys();
+    const record = keys.find(entry => entry.id === id);
+    if (!record) return null;
+
+    if (!record.revoked_at) {
+      record.revoked_at = new Date().toISOString();
+      await this.saveKeys();
+      console.log(`🔒 Revoked API key ${record.id} (${record.name})`);
+    }
+
+    return record;
+  }
+
+  /**
+   * Find the active key record for a plaintext key
+   * @param {string} key - Plaintext key
+   * @returns {Promise<Object|null>} Key record, or null when unknown or revoked
+   */
+  async verify(key) {
+    if (!key || typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+    const hash = Buffer.from(this.hash(key), 'hex');
+    const keys = await this.loadKeys();
+    const record = keys.find(entry => crypto.timingSafeEqual(Buffer.from(entry.hash, 'hex'), hash));
+
+    return record && !record.revoked_at ? record : null;
+  }
+
+  /**
+   * Read the key from X-API-Key or Authorization: Bearer
+   * @param {Object} req - Express request
+   * @returns {string|null} Plaintext key
+   */
+  extractKey(req) {
+    const header = req.get('x-api-key');
+    if (header) return header.trim();
+
+    const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Express middleware requiring a valid key on every route it guards. Sets req.apiKey.
+   * @param {Object} options - { exclude: path prefixes (relative to the mount point) left open }
+   * @returns {Function} Middleware
+   */
+  middleware({ exclude = [] } = {}) {
+    return async (req, res, next) => {
+      req.apiKey = null;
+      if (!this.isRequired() || exclude.some(prefix => req.path.startsWith(prefix))) return next();
+
+      try {
+        const key = this.extractKey(req);
+        const record = key ? await this.verify(key) : null;
+
+        if (!record) {
+          return res.status(401).json({
+            success: false,
+            error: key ? 'Invalid or revoked API key' : 'API key required (X-API-Key header or Authorization: Bearer)',
+            code: key ? 'INVALID_API_KEY' : 'API_KEY_REQUIRED'
+          });
+        }
+
+        req.apiKey = record;
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * Express middleware guarding admin routes with ADMIN_API_TOKEN
+   * @returns {Function} Middleware
+   */
+  adminMiddleware() {
+    return (req, res, next) => {
+      if (!this.adminToken) {
+        return res.status(403).json({
+          success: false,
+          error: 'Admin API is disabled; set ADMIN_API_TOKEN or use `npm run api-keys`',
+          code: 'ADMIN_DISABLED'
+        });
+      }
+
+      const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+      const token = match ? match[1] : req.get('x-admin-token') || '';
+      const valid = crypto.timingSafeEqual(
+        Buffer.from(this.hash(token), 'hex'),
+        Buffer.from(this.hash(this.adminToken), 'hex')
+      );
+
+      if (!valid) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid admin token',
+          code: 'INVALID_ADMIN_TOKEN'
+        });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Current UTC day
+   * @returns {string} YYYY-MM-DD
+   */
+  today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  /**
+   * Usage counters of a key, creating them on first use
+   * @param {string} id - Key id
+   * @returns {Promise<Object>} { days: { 'YYYY-MM-DD': counters }, total: counters }
+   */
+  async counters(id) {
+    await this.loadUsage();
+    return this.loadedCounters(id);
+  }
+
+  /**
+   * Usage counters of a key from the already loaded usage, with today's entry created.
+   * Synchronous, so a quota check and the increment that follows it cannot interleave
+   * with another request's.
+   * @param {string} id - Key id
+   * @returns {Object} { days, total }
+   */
+  loadedCounters(id) {
+    const usage = this.usage;
+    const empty = () => ({ requests: 0, images: 0, storage_bytes: 0 });
+
+    if (!usage[id]) usage[id] = { days: {}, total: empty() };
+    if (!usage[id].days[this.today()]) {
+      usage[id].days[this.today()] = empty();
+
+      // Keep a month of history
+      const days = Object.keys(usage[id].days).sort();
+      for (const day of days.slice(0, Math.max(days.length - USAGE_HISTORY_DAYS, 0))) {
+        delete usage[id].days[day];
+      }
+    }
+
+    return usage[id];
+  }
+
+  /**
+   * Check a search request against the key's quotas and reserve what it may use: the
+   * request itself, the images it asks for and an estimate of the bytes they take
+   * @param {Object} record - Key record
+   * @param {number} imageCount - Images the request asks for
+   * @returns {Promise<Object>} { reservation } when accepted (null without a key, pass it to
+   *   settle), or { error } with status, message, code and quota
+   */
+  async reserve(record, imageCount) {
+    if (!record) return { reservation: null };
+
+    // Nothing below awaits until the reservation is counted
+    await this.loadUsage();
+    const usage = this.loadedCounters(record.id);
+    const day = usage.days[this.today()];
+    const { requests_per_day: maxRequests, images_per_day: maxImages, storage_bytes: maxBytes } = record.quotas;
+    const reservation = { day: this.today(), images: imageCount, storage_bytes: imageCount * this.reservedBytesPerImage };
+
+    let exceeded = null;
+    if (maxRequests && day.requests >= maxRequests) exceeded = 'requests_per_day';
+    else if (maxImages && day.images + reservation.images > maxImages) exceeded = 'images_per_day';
+    else if (maxBytes && usage.total.storage_bytes + reservation.storage_bytes > maxBytes) exceeded = 'storage_bytes';
+
+    if (exceeded) {
+      return {
+        error: {
+          status: 429,
+          message: `API key quota exceeded: ${exceeded}`,
+          code: 'QUOTA_EXCEEDED',
+          quota: exceeded,
+          retry_after: exceeded === 'storage_bytes' ? null : this.secondsUntilReset()
+        }
+      };
+    }
+
+    this.addUsage(record.id, { requests: 1, images: reservation.images, storage_bytes: reservation.storage_bytes });
+    await this.saveUsage();
+    return { reservation };
+  }
+
+  /**
+   * Replace a reservation with what the request really used, refunding the difference
+   * @param {string} id - Key id
+   * @param {Object|null} reservation - From reserve; null books the usage as is
+   * @param {Object} used - { images, storage_bytes }
+   * @returns {Promise<void>}
+   */
+  async settle(id, reservation, used = {}) {
+    const reserved = reservation || {};
+
+    await this.record(id, {
+      images: (used.images || 0) - (reserved.images || 0),
+      storage_bytes: (used.storage_bytes || 0) - (reserved.storage_bytes || 0)
+    }, reserved.day);
+  }
+
+  /**
+   * Add to a key's usage counters and persist them
+   * @param {string} id - Key id
+   * @param {Object} delta - { requests, images, storage_bytes }
+   * @param {string} dayKey - Day the delta belongs to (default: today); skipped once it is out of the history
+   * @returns {Promise<void>}
+   */
+  async record(id, delta = {}, dayKey = this.today()) {
+    if (!id) return;
+
+    await this.loadUsage();
+    this.addUsage(id, delta, dayKey);
+    await this.saveUsage();
+  }
+
+  /**
+   * Add to a key's in-memory usage counters
+   * @param {string} id - Key id
+   * @param {Object} delta - { requests, images, storage_bytes }
+   * @param {string} dayKey - Day the delta belongs to (default: today); skipped once it is out of the history
+   */
+  addUsage(id, delta = {}, dayKey = this.today()) {
+    const usage = this.loadedCounters(id);
+    const day = usage.days[dayKey];
+
+    for (const name of ['requests', 'images', 'storage_bytes']) {
+      if (day) day[name] += delta[name] || 0;
+      usage.total[name] += delta[name] || 0;
+    }
+  }
+
+  /**
+   * Persist the usage counters
+   * @returns {Promise<void>}
+   */
+  async saveUsage() {
+    try {
+      await this.writeJson(this.usageFile, this.usage);
+    } catch (error) {
+      // The in-memory counters still enforce quotas until the next restart
+      console.error('❌ Failed to persist API key usage:', error.message);
+    }
+  }
+
+  /**
+   * Seconds until the daily counters reset
+   * @returns {number} Seconds until the next UTC midnight
+   */
+  secondsUntilReset() {
+    const now = new Date();
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((midnight - now.getTime()) / 1000);
+  }
+
+  /**
+   * Usage report of a key
+   * @param {Object} record - Key record
+   * @returns {Promise<Object>} { key, quotas, today, total, remaining, resets_at }
+   */
+  async report(record) {
+    const usage = await this.counters(record.id);
+    const today = usage.days[this.today()];
+    const remaining = (quota, used) => (quota ? Math.max(quota - used, 0) : null);
+
+    return {
+      key: this.describe(record),
+      quotas: record.quotas,
+      today,
+      total: usage.total,
+      remaining: {
+        requests_today: remaining(record.quotas.requests_per_day, today.requests),
+        images_today: remaining(record.quotas.images_per_day, today.images),
+        storage_bytes: remaining(record.quotas.storage_bytes, usage.total.storage_bytes)
+      },
+      resets_at: new Date(Date.now() + this.secondsUntilReset() * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Usage reports of every key, including revoked ones
+   * @returns {Promise<Array>} Reports
+   */
+  async reportAll() {
+    const keys = await this.loadKeys();
+    return Promise.all(keys.map(record => this.report(record)));
+  }
+
+  /**
+   * Shape a key record for API responses (never includes the hash)
+   * @param {Object} record - Key record
+   * @returns {Object} { id, name, prefix, quotas, created_at, revoked_at }
+   */
+  describe(record) {
+    const { hash, ...rest } = record;
+    return rest;
+  }
+}
+
+module.exports = new ApiKeys();
@@ -0,0 +1,82 @@
+const TokenBucket = require('./tokenBucket');
+
+// Idle buckets are dropped at most this often
+const SWEEP_INTERVAL_MS = 60000;
+
+/**
+ * Inbound per-client rate limits. Clients are identified by API key, or by IP when
+ * API_AUTH=off (set TRUST_PROXY behind a reverse proxy so req.ip is the real client).
+ * Named limits:
+ *   api    - every /api route (CLIENT_RATE_LIMIT_PER_MINUTE / CLIENT_RATE_LIMIT_BURST)
+ *   search - searches and jobs (CLIENT_SEARCH_RATE_LIMIT_PER_MINUTE / CLIENT_SEARCH_RATE_LIMIT_BURST)
+ * A rate of 0 disables a limit.
+ */
+class ClientRateLimiter {
+  constructor() {
+    this.limits = {
+      api: TokenBucket.parseLimit(process.env.CLIENT_RATE_LIMIT_PER_MINUTE, process.env.CLIENT_RATE_LIMIT_BURST, 120, 30),
+      search: TokenBucket.parseLimit(process.env.CLIENT_SEARCH_RATE_LIMIT_PER_MINUTE, process.env.CLIENT_SEARCH_RATE_LIMIT_BURST, 10, 3)
+    };
+    this.buckets = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  /**
+   * Identify the client of a request
+   * @param {Object} req - Express request (after API key authentication)
+   * @returns {string} Client id
+   */
+  clientId(req) {
+    return req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+  }
+
+  /**
+   * Express middleware enforcing a named limit
+   * @param {string} name - Limit name (api, search)
+   * @returns {Function} Middleware - answers 429 RATE_LIMITED with Retry-After when exceeded
+   */
+  middleware(name) {
+    const { perMinute, burst } = this.limits[name];
+
+    return (req, res, next) => {
+      if (!perMinute) return next();
+
+      const id = `${name}:${this.clientId(req)}`;
+      if (!this.buckets.has(id)) this.buckets.set(id, new TokenBucket(perMinute, burst));
+
+      const bucket = this.buckets.get(id);
+      const wait = bucket.take();
+      this.sweep();
+
+      res.set('RateLimit-Limit', String(bucket.capacity));
+      res.set('RateLimit-Remaining', String(Math.floor(bucket.tokens)));
+
+      if (wait > 0) {
+        const retryAfter = Math.ceil(wait / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: `Rate limit exceeded (${perMinute} requests per minute), retry in ${retryAfter}s`,
+          code: 'RATE_LIMITED',
+          retry_after: retryAfter
+        });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Forget buckets that refilled completely; they behave exactly like new ones
+   */
+  sweep() {
+    if (Date.now() - this.lastSweep < SWEEP_INTERVAL_MS) return;
+    this.lastSweep = Date.now();
+
+    for (const [id, bucket] of this.buckets) {
+      if (bucket.isFull()) this.buckets.delete(id);
+    }
+  }
+}
+
+module.exports = new ClientRateLimiter();
@@ -0,0 +1,132 @@
+const fs = require('fs');
+
+// Used when neither DOMAIN_DENYLIST nor a config file provides a denylist
+const DEFAULT_DENYLIST = ['*.wikipedia.org', '*.wikimedia.org'];
+
+class DomainFilter {
+  constructor() {
+    const fileConfig = this.loadConfigFile(process.env.DOMAIN_FILTER_FILE);
+    const envAllow = this.parseList(process.env.DOMAIN_ALLOWLIST);
+    const envDeny = this.parseList(process.env.DOMAIN_DENYLIST);
+
+    this.allowlist = [...envAllow, ...(fileConfig.allow || [])];
+    this.denylist = process.env.DOMAIN_DENYLIST !== undefined || fileConfig.deny
+      ? [...envDeny, ...(fileConfig.deny || [])]
+      : [...DEFAULT_DENYLIST];
+
+    console.log(`🌐 Domain filter: ${this.allowlist.length} allowed, ${this.denylist.length} denied patterns`);
+  }
+
+  /**
+   * Load `{ "allow": [...], "deny": [...] }` from a JSON config file
+   * @param {string} filePath - Path to the config file
+   * @returns {Object} Parsed config (empty if no file configured)
+   */
+  loadConfigFile(filePath) {
+    if (!filePath) return {};
+
+    try {
+      const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return {
+        allow: config.allow ? this.parseList(config.allow) : undefined,
+        deny: config.deny ? this.parseList(config.deny) : undefined
+      };
+    } catch (error) {
+      console.error(`❌ Failed to load domain filter file ${filePath}:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Parse a domain list from an array or comma separated string
+   * @param {Array|string} value - Domain patterns
+   * @returns {Array} Lower-cased, trimmed patterns
+   */
+  parseList(value) {
+    if (!value) return [];
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+  }
+
+  /**
+   * Check that every pattern is a hostname, optionally prefixed with `*.`
+   * @param {Array} patterns - Domain patterns
+   * @returns {boolean} True if all patterns are valid
+   */
+  isValidList(patterns) {
+    return patterns.every(pattern => /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(pattern));
+  }
+
+  /**
+   * Extract the lower-cased hostname of a URL
+   * @param {string} url - URL
+   * @returns {string|null} Hostname or null if unparseable
+   */
+  getHostname(url) {
+    if (!url) return null;
+
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Match a hostname against a pattern. `example.com` matches only that host,
+   * `*.example.com` matches example.com and any of its subdomains.
+   * @param {string} hostname - Hostname
+   * @param {string} pattern - Domain pattern
+   * @returns {boolean} True if the hostname matches
+   */
+  matches(hostname, pattern) {
+    if (pattern.startsWith('*.')) {
+      const base = pattern.slice(2);
+      return hostname === base || hostname.endsWith(`.${base}`);
+    }
+    return hostname === pattern;
+  }
+
+  /**
+   * Find the first pattern matching a hostname
+   * @param {string} hostname - Hostname
+   * @param {Array} patterns - Domain patterns
+   * @returns {string|null} Matching pattern
+   */
+  findMatch(hostname, patterns) {
+    if (!hostname) return null;
+    return patterns.find(pattern => this.matches(hostname, pattern)) || null;
+  }
+
+  /**
+   * Decide whether a search result passes the global and per-request domain rules.
+   * Deny rules drop a result when either the page or the image host matches.
+   * Each allowlist (global, request) is satisfied when either host matches it.
+   * @param {Object} result - Raw result with `url` (source page) and `image`
+   * @param {Object} rules - Per-request rules { allow: [], deny: [] }
+   * @returns {Object|null} Rejection { reason, detail } or null if allowed
+   */
+  check(result, rules = {}) {
+    const hosts = [...new Set([this.getHostname(result.url), this.getHostname(result.image)].filter(Boolean))];
+    const denylist = [...this.denylist, ...(rules.deny || [])];
+
+    for (const host of hosts) {
+      const pattern = this.findMatch(host, denylist);
+      if (pattern) {
+        return { reason: 'denied_domain', detail: `${host} matches ${pattern}` };
+      }
+    }
+
+    for (const allowlist of [this.allowlist, rules.allow || []]) {
+      if (allowlist.length === 0) continue;
+
+      if (!hosts.some(host => this.findMatch(host, allowlist))) {
+        return { reason: 'domain_not_allowed', detail: `${hosts.join(', ') || 'no host'} not in allowlist` };
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = new DomainFilter();
@@ -0,0 +1,158 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const FIXTURE_MODES = ['off', 'record', 'replay'];
+
+/**
+ * Record/replay of outgoing HTTP for the scraper and the image downloader.
+ * HTTP_FIXTURES=record saves every response (search pages, i.js JSON, image bytes)
+ * under HTTP_FIXTURES_DIR; HTTP_FIXTURES=replay serves requests from those files
+ * and fails any request that was never recorded, so nothing reaches the network.
+ */
+class HttpFixtures {
+  constructor() {
+    const mode = (process.env.HTTP_FIXTURES || 'off').trim().toLowerCase();
+    this.mode = FIXTURE_MODES.includes(mode) ? mode : 'off';
+    this.fixtureDir = process.env.HTTP_FIXTURES_DIR || './fixtures/http';
+    this.modes = FIXTURE_MODES;
+
+    if (this.mode !== 'off') {
+      console.log(`📼 HTTP fixtures: ${this.mode} (${this.fixtureDir})`);
+    }
+  }
+
+  /**
+   * Add the fixture adapter to an axios request config
+   * @param {Object} config - axios request config
+   * @returns {Object} Config, unchanged when fixtures are off
+   */
+  wrap(config = {}) {
+    if (this.mode === 'off') return config;
+    return { ...config, adapter: requestConfig => this.handle(requestConfig) };
+  }
+
+  /**
+   * axios adapter: record through the default adapter, or replay from disk
+   * @param {Object} config - Merged axios request config
+   * @returns {Promise<Object>} axios response
+   */
+  async handle(config) {
+    if (this.mode === 'replay') return this.replay(config);
+
+    const adapter = axios.getAdapter(axios.defaults.adapter);
+
+    try {
+      const response = await adapter(config);
+      await this.save(config, response);
+      return response;
+    } catch (error) {
+      // Error statuses are part of what providers react to, so they are recorded too
+      if (error.response) await this.save(config, error.response);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the fixture key of a request
+   * @param {Object} config - axios request config
+   * @returns {Object} { method, url, key }
+   */
+  requestKey(config) {
+    const method = (config.method || 'get').toUpperCase();
+    const url = axios.getUri(config);
+    const key = crypto.createHash('sha256').update(`${method} ${url}`).digest('hex').slice(0, 16);
+    return { method, url, key };
+  }
+
+  /**
+   * Disk location of a fixture
+   * @param {string} url - Request URL
+   * @param {string} key - Fixture key
+   * @returns {string} File path
+   */
+  filePath(url, key) {
+    const host = new URL(url).hostname.replace(/[^a-z0-9.-]/gi, '_');
+    return path.join(this.fixtureDir, host, `${key}.json`);
+  }
+
+  /**
+   * Write a response as a fixture file. Binary bodies are stored as base64.
+   * @param {Object} config - axios request config
+   * @param {Object} response - Raw adapter response
+   * @returns {Promise<string|null>} File path, or null if it could not be written
+   */
+  async save(config, response) {
+    const { method, url, key } = this.requestKey(config);
+    const filePath = this.filePath(url, key);
+    const binary = Buffer.isBuffer(response.data);
+    const headers = { ...(response.headers && response.headers.toJSON ? response.headers.toJSON() : response.headers) };
+    // The adapter has already decompressed the body
+    for (const name of ['set-cookie', 'content-encoding', 'content-length']) delete headers[name];
+
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, JSON.stringify({
+        method,
+        url,
+        status: response.status,
+        headers,
+        encoding: binary ? 'base64' : 'utf8',
+        body: binary ? response.data.toString('base64') : String(response.data ?? ''),
+        recorded_at: new Date().toISOString()
+      }, null, 2));
+
+      console.log(`📼 Recorded ${method} ${url} -> ${filePath}`);
+      return filePath;
+    } catch (error) {
+      console.error('⚠️ Failed to record HTTP fixture:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Answer a request from its fixture file
+   * @param {Object} config - axios request config
+   * @returns {Promise<Object>} axios response - rejects like axios on error statuses,
+   *   and with code FIXTURE_NOT_FOUND for requests that were never recorded
+   */
+  async replay(config) {
+    const { method, url, key } = this.requestKey(config);
+    let fixture;
+
+    try {
+      fixture = JSON.parse(await fs.readFile(this.filePath(url, key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw new axios.AxiosError(`No HTTP fixture recorded for ${method} ${url}`, 'FIXTURE_NOT_FOUND', config);
+    }
+
+    const body = Buffer.from(fixture.body, fixture.encoding === 'base64' ? 'base64' : 'utf8');
+    const response = {
+      data: config.responseType === 'arraybuffer' ? body : body.toString('utf8'),
+      status: fixture.status,
+      statusText: String(fixture.status),
+      headers: new axios.AxiosHeaders(fixture.headers),
+      config,
+      request: {}
+    };
+
+    if (config.maxContentLength > -1 && body.length > config.maxContentLength) {
+      throw new axios.AxiosError(`maxContentLength size of ${config.maxContentLength} exceeded`, axios.AxiosError.ERR_BAD_RESPONSE, config);
+    }
+
+    const validateStatus = config.validateStatus;
+    if (!validateStatus || validateStatus(response.status)) return response;
+
+    throw new axios.AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  }
+}
+
+module.exports = new HttpFixtures();
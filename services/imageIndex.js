@@ -0,0 +1,357 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { hammingDistance } = require('./perceptualHash');
+const { variantSpecId } = require('./imageVariants');
+
+class ImageIndex {
+  constructor() {
+    this.uploadDir = process.env.VPS_UPLOAD_DIR || './uploads/images';
+    // Dotfile so express.static never serves the index itself
+    this.indexFile = process.env.IMAGE_INDEX_FILE || path.join(this.uploadDir, '.index.jsonl');
+    this.records = null;
+    this.loadPromise = null;
+    this.writeQueue = Promise.resolve();
+    // Held while the file is appended to or rewritten, by this and every other process
+    // (such as scripts/migrate-storage-layout.js)
+    this.lockFile = `${this.indexFile}.lock`;
+    this.lockStaleAfter = 60000; // 60 seconds, for locks left behind by a crashed process
+    // inode, size and mtime of the file as last read or written by this process; another value
+    // means another process replaced or appended to it
+    this.indexVersion = null;
+    this.lastRefreshCheck = 0;
+    this.refreshCheckInterval = 30000; // 30 seconds
+    this.refreshPromise = null;
+  }
+
+  /**
+   * Normalize keyword so lookups are case and whitespace insensitive
+   * @param {string} keyword - Search keyword
+   * @returns {string} Normalized keyword
+   */
+  normalizeKeyword(keyword) {
+    return String(keyword || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Load all records from the JSON-lines index file (once), reloading them when the
+   * file was changed by another process
+   * @returns {Promise<Array>} Array of image records
+   */
+  async load() {
+    if (this.records) {
+      await this.refresh();
+      return this.records;
+    }
+    if (this.loadPromise) return this.loadPromise;
+
+    this.loadPromise = (async () => {
+      this.indexVersion = await this.readVersion();
+      const records = await this.readRecords();
+
+      this.records = records;
+      console.log(`📚 Image index loaded: ${records.length} records`);
+      return records;
+    })();
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Parse the index file
+   * @returns {Promise<Array>} Records (empty when the file does not exist)
+   */
+  async readRecords() {
+    const records = [];
+
+    try {
+      const content = await fs.readFile(this.indexFile, 'utf8');
+      const lines = content.split('\n');
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          records.push(JSON.parse(line));
+        } catch (error) {
+          // A partially written line must not make the whole index unreadable
+          console.warn('⚠️ Skipping corrupt image index line');
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('❌ Failed to load image index:', error.message);
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Identify the current contents of the index file
+   * @returns {Promise<string|null>} inode, size and mtime, null when missing
+   */
+  async readVersion() {
+    try {
+      const stats = await fs.stat(this.indexFile);
+      return `${stats.ino}:${stats.size}:${stats.mtimeMs}`;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Run a write while holding the index lock file, waiting for other processes to
+   * release it. A lock older than lockStaleAfter is taken over.
+   * @param {Function} fn - Async write
+   * @returns {Promise<*>} Result of fn
+   */
+  async withLock(fn) {
+    await fs.mkdir(path.dirname(this.indexFile), { recursive: true });
+
+    for (;;) {
+      try {
+        await (await fs.open(this.lockFile, 'wx')).close();
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        try {
+          const stats = await fs.stat(this.lockFile);
+          if (Date.now() - stats.mtimeMs > this.lockStaleAfter) {
+            console.warn(`⚠️ Removing stale image index lock ${this.lockFile}`);
+            await fs.unlink(this.lockFile);
+            continue;
+          }
+        } catch (statError) {
+          if (statError.code === 'ENOENT') continue;
+          throw statError;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await fs.unlink(this.lockFile).catch(() => {});
+    }
+  }
+
+  /**
+   * Reload the records if the file changed since this process last read or wrote it.
+   * Checked at most every 30 seconds, so a layout migration run from the CLI is picked
+   * up by a running server (see storageLayout.refreshRedirects).
+   * @param {boolean} force - Check the file right away
+   * @returns {Promise<void>}
+   */
+  async refresh(force = false) {
+    const now = Date.now();
+    if (!force && now - this.lastRefreshCheck < this.refreshCheckInterval) return;
+    this.lastRefreshCheck = now;
+
+    if (!this.refreshPromise) {
+      // Queued behind pending writes so an append is never lost or read twice
+      const refresh = this.writeQueue.then(async () => {
+        const version = await this.readVersion();
+        if (version === this.indexVersion) return;
+
+        this.records = await this.readRecords();
+        this.indexVersion = version;
+        console.log(`📚 Image index changed on disk, reloaded ${this.records.length} records`);
+      });
+      this.writeQueue = refresh.catch(() => {});
+      this.refreshPromise = refresh.finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+
+    await this.refreshPromise;
+  }
+
+  /**
+   * Append a stored image to the index
+   * @param {Object} entry - Image metadata
+   * @returns {Promise<Object>} Stored record
+   */
+  async add(entry) {
+    await this.load();
+
+    const record = {
+      id: uuidv4(),
+      keyword: this.normalizeKeyword(entry.keyword),
+      url: entry.url,
+      urls: entry.urls || null,
+      filename: entry.filename || null,
+      original_url: entry.original_url || null,
+      source: entry.source || null,
+      title: entry.title || 'Untitled',
+      width: entry.width || null,
+      height: entry.height || null,
+      bytes: entry.bytes || 0,
+      watermark: entry.watermark || null,
+      watermark_key: entry.watermark_key || entry.watermark || null,
+      processing_key: entry.processing_key || null,
+      api_key_id: entry.api_key_id || null,
+      phash: entry.phash || null,
+      variants: entry.variants || null,
+      created_at: entry.created_at || new Date().toISOString()
+    };
+
+    // Serialize appends so concurrent uploads never interleave lines, and hold the lock
+    // so a rewrite by another process cannot replace the file in between
+    const write = this.writeQueue.then(() => this.withLock(async () => {
+      const changed = (await this.readVersion()) !== this.indexVersion;
+      await fs.appendFile(this.indexFile, JSON.stringify(record) + '\n');
+
+      if (changed) {
+        this.records = await this.readRecords();
+        console.log(`📚 Image index changed on disk, reloaded ${this.records.length} records`);
+      } else {
+        this.records.push(record);
+      }
+      this.indexVersion = await this.readVersion();
+    }));
+    this.writeQueue = write.catch(() => {});
+
+    await write;
+
+    return record;
+  }
+
+  /**
+   * Rewrite every record in place (used by maintenance scripts such as layout migration).
+   * Reads and replaces the file under the index lock, so records a running server appends
+   * wait for the rewrite and are kept.
+   * @param {Function} transform - Receives a record and returns the updated record
+   * @returns {Promise<number>} Number of records written
+   */
+  async rewrite(transform) {
+    await this.load();
+
+    const write = this.writeQueue.then(() => this.withLock(async () => {
+      const updated = (await this.readRecords()).map(record => transform({ ...record }));
+      const content = updated.map(record => JSON.stringify(record)).join('\n') + (updated.length ? '\n' : '');
+
+      await fs.writeFile(`${this.indexFile}.tmp`, content);
+      await fs.rename(`${this.indexFile}.tmp`, this.indexFile);
+
+      this.records = updated;
+      this.indexVersion = await this.readVersion();
+      return updated.length;
+    }));
+    this.writeQueue = write.catch(() => {});
+
+    return write;
+  }
+
+  /**
+   * Find the closest stored image with a similar perceptual hash and the same watermark
+   * @param {string} phash - Perceptual hash of the original download
+   * @param {Object} options - Match options
+   * @param {string} options.watermark - Watermark key the stored copy must have (null for none)
+   * @param {number} options.maxDistance - Maximum Hamming distance to count as a duplicate
+   * @param {string} options.processing - Processing key the stored copy must have (null for default settings)
+   * @param {Array} options.backends - Storage backends the stored copy must exist on
+   * @param {Array} options.variants - Variants the stored copy must have been rendered with
+   * @returns {Promise<Object|null>} Closest matching record or null
+   */
+  async findSimilar(phash, { watermark = null, processing = null, maxDistance = 5, backends = [], variants = [] } = {}) {
+    const records = await this.load();
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const record of records) {
+      // Records stored before watermark options only carry the watermark text
+      if (!record.phash || (record.watermark_key || record.watermark || null) !== (watermark || null)) continue;
+      if ((record.processing_key || null) !== (processing || null)) continue;
+      if (!backends.every(name => this.getBackendUrls(record)[name])) continue;
+      if (!variants.every(variant => record.variants && record.variants[variant.name] &&
+        record.variants[variant.name].spec === variantSpecId(variant))) continue;
+
+      const distance = hammingDistance(phash, record.phash);
+      if (distance <= maxDistance && distance < bestDistance) {
+        best = record;
+        bestDistance = distance;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Find the record of a stored image by its public URL
+   * @param {string} url - Image URL
+   * @param {Object} options - Optional narrowing ({ keyword, apiKeyId })
+   * @returns {Promise<Object|null>} Matching record or null
+   */
+  async findByUrl(url, { keyword, apiKeyId } = {}) {
+    const records = await this.load();
+    const normalized = keyword === undefined ? undefined : this.normalizeKeyword(keyword);
+
+    return records.find(record => record.url === url &&
+      (normalized === undefined || record.keyword === normalized) &&
+      (apiKeyId === undefined || (record.api_key_id || null) === (apiKeyId || null))) || null;
+  }
+
+  /**
+   * Storage keys of a record: its image and every variant
+   * @param {Object} record - Index record
+   * @returns {Array} Keys
+   */
+  getKeys(record) {
+    return [record.filename, ...Object.values(record.variants || {}).map(variant => variant.key)].filter(Boolean);
+  }
+
+  /**
+   * Check whether any record stores an object under a key. Under the content-hash layout
+   * identical images share a key, and reused images always share their record's keys.
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} True if referenced
+   */
+  async isKeyReferenced(key) {
+    const records = await this.load();
+    return records.some(record => this.getKeys(record).includes(key));
+  }
+
+  /**
+   * URLs of a record per storage backend. Records written before storage backends
+   * existed only have `url`, which always pointed at local disk.
+   * @param {Object} record - Index record
+   * @returns {Object} Map of backend name to URL
+   */
+  getBackendUrls(record) {
+    return record.urls || { local: record.url };
+  }
+
+  /**
+   * Find indexed images for a keyword, newest first
+   * @param {string} keyword - Search keyword
+   * @param {Object} options - Pagination and scope options
+   * @param {number} options.page - 1-based page number
+   * @param {number} options.limit - Page size
+   * @param {string|null} options.apiKeyId - Only records of this API key (undefined for every key)
+   * @returns {Promise<Object>} Page of records with totals
+   */
+  async findByKeyword(keyword, { page = 1, limit = 20, apiKeyId } = {}) {
+    const records = await this.load();
+    const normalized = this.normalizeKeyword(keyword);
+
+    const matches = records
+      .filter(record => record.keyword === normalized &&
+        (apiKeyId === undefined || (record.api_key_id || null) === (apiKeyId || null)))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+    const start = (page - 1) * limit;
+
+    return {
+      total: matches.length,
+      page,
+      limit,
+      total_pages: Math.ceil(matches.length / limit),
+      records: matches.slice(start, start + limit)
+    };
+  }
+}
+
+module.exports = new ImageIndex();
@@ -0,0 +1,355 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const watermarkService = require('./watermarkService');
+
+const OUTPUT_FORMATS = ['webp', 'avif', 'jpeg', 'png'];
+const FORMAT_EXTENSIONS = { webp: 'webp', avif: 'avif', jpeg: 'jpg', png: 'png' };
+const CONTENT_TYPES = { webp: 'image/webp', avif: 'image/avif', jpeg: 'image/jpeg', png: 'image/png' };
+
+// Settings every image was processed with before processing became configurable
+const DEFAULT_PROCESSING = {
+  orient: true,
+  resize: { max_width: 1920, max_height: null },
+  encode: { format: 'webp', quality: 85, effort: 6 },
+  strip_metadata: true
+};
+
+/**
+ * Validate and normalize the processing options of a request: the `processing` object
+ * plus the top-level shorthands `format`, `quality`, `max_width`, `max_height` and
+ * `strip_metadata`, which take precedence over the same settings inside `processing`.
+ * @param {Object} body - Request body
+ * @returns {Object} { processing } with defaults filled in, or { error } with a message
+ */
+function normalizeProcessing(body = {}) {
+  const value = body.processing === undefined || body.processing === null ? {} : body.processing;
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'processing must be an object' };
+  }
+
+  const shorthands = {};
+  if (body.max_width !== undefined || body.max_height !== undefined) {
+    shorthands.resize = {
+      ...(value.resize && typeof value.resize === 'object' ? value.resize : {}),
+      ...(body.max_width !== undefined ? { max_width: body.max_width } : {}),
+      ...(body.max_height !== undefined ? { max_height: body.max_height } : {})
+    };
+  }
+  if (body.format !== undefined || body.quality !== undefined) {
+    shorthands.encode = {
+      ...(value.encode && typeof value.encode === 'object' ? value.encode : {}),
+      ...(body.format !== undefined ? { format: body.format } : {}),
+      ...(body.quality !== undefined ? { quality: body.quality } : {})
+    };
+  }
+  if (body.strip_metadata !== undefined) {
+    shorthands.strip_metadata = body.strip_metadata;
+  }
+
+  return normalizeOptions({ ...value, ...shorthands });
+}
+
+/**
+ * Validate processing options and fill in defaults
+ * @param {Object} value - Processing options
+ * @returns {Object} { processing } or { error }
+ */
+function normalizeOptions(value) {
+  const processing = {
+    orient: DEFAULT_PROCESSING.orient,
+    resize: { ...DEFAULT_PROCESSING.resize },
+    encode: { ...DEFAULT_PROCESSING.encode },
+    strip_metadata: DEFAULT_PROCESSING.strip_metadata
+  };
+
+  if (value.strip_metadata !== undefined) {
+    if (typeof value.strip_metadata !== 'boolean') {
+      return { error: 'strip_metadata must be true or false' };
+    }
+    processing.strip_metadata = value.strip_metadata;
+  }
+
+  if (value.orient !== undefined) {
+    if (typeof value.orient !== 'boolean') {
+      return { error: 'processing.orient must be true or false' };
+    }
+    processing.orient = value.orient;
+  }
+
+  if (value.resize === false) {
+    processing.resize = null;
+  } else if (value.resize !== undefined && value.resize !== true) {
+    if (!value.resize || typeof value.resize !== 'object') {
+      return { error: 'processing.resize must be false or { max_width, max_height }' };
+    }
+
+    for (const name of ['max_width', 'max_height']) {
+      if (value.resize[name] === undefined) continue;
+      if (value.resize[name] === null) {
+        processing.resize[name] = null;
+        continue;
+      }
+
+      const size = Number(value.resize[name]);
+      if (!Number.isInteger(size) || size < 16 || size > 8192) {
+        return { error: `${name} must be an integer between 16 and 8192, or null` };
+      }
+      processing.resize[name] = size;
+    }
+
+    if (!processing.resize.max_width && !processing.resize.max_height) {
+      processing.resize = null;
+    }
+  }
+
+  if (value.encode !== undefined) {
+    if (!value.encode || typeof value.encode !== 'object') {
+      return { error: 'processing.encode must be an object' };
+    }
+
+    if (value.encode.format !== undefined) {
+      const format = value.encode.format === 'jpg' ? 'jpeg' : value.encode.format;
+      if (!OUTPUT_FORMATS.includes(format)) {
+        return { error: `format must be one of: ${OUTPUT_FORMATS.join(', ')}` };
+      }
+      processing.encode.format = format;
+    }
+
+    const limits = { quality: [1, 100], effort: [0, 6] };
+    for (const [name, [min, max]] of Object.entries(limits)) {
+      if (value.encode[name] === undefined) continue;
+
+      const number = Number(value.encode[name]);
+      if (!Number.isInteger(number) || number < min || number > max) {
+        return { error: `${name} must be an integer between ${min} and ${max}` };
+      }
+      processing.encode[name] = number;
+    }
+  }
+
+  return { processing };
+}
+
+/**
+ * Identify processing settings so stored images are only reused when they were
+ * produced the same way. Default settings map to null, like images stored before
+ * processing became configurable.
+ * @param {Object} processing - Normalized processing options
+ * @returns {string|null} Processing key
+ */
+function processingKey(processing) {
+  const canonical = JSON.stringify(processing);
+  if (!processing || canonical === JSON.stringify(DEFAULT_PROCESSING)) return null;
+
+  return `p_${crypto.createHash('sha256').update(canonical).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Create an error carrying a processing error code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error instance
+ */
+function createError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Single pass image processing: decode -> orient -> resize -> watermark -> encode.
+ * Every step works on decoded pixels, so the output is lossy-encoded exactly once,
+ * and variants are encoded from the same decoded image as the main output.
+ */
+class ImagePipeline {
+  /**
+   * @param {Object} options - Pipeline options
+   * @param {Object} options.processing - Normalized processing options (default: DEFAULT_PROCESSING)
+   * @param {Object} options.watermark - Normalized watermark (optional)
+   * @param {Array} options.variants - Normalized variant specs (optional)
+   */
+  constructor({ processing = DEFAULT_PROCESSING, watermark = null, variants = [] } = {}) {
+    this.processing = processing;
+    // Not `this.watermark`: step names are method names
+    this.watermarkOptions = watermark;
+    this.variantSpecs = variants;
+    this.steps = [
+      'decode',
+      processing.orient && 'orient',
+      processing.resize && 'resize',
+      watermark && 'watermark',
+      'encode'
+    ].filter(Boolean);
+  }
+
+  /**
+   * Run every step on an input image
+   * @param {Buffer} input - Downloaded image
+   * @returns {Promise<Object>} { buffer, info, variants: [{ variant, buffer, info }], source }
+   */
+  async run(input) {
+    const state = { input };
+
+    for (const step of this.steps) {
+      await this[step](state);
+    }
+
+    return {
+      buffer: state.output.data,
+      info: state.output.info,
+      variants: state.variants,
+      source: state.metadata
+    };
+  }
+
+  /**
+   * Read the header and refuse anything sharp cannot decode
+   * @param {Object} state - Pipeline state
+   */
+  async decode(state) {
+    try {
+      state.metadata = await sharp(state.input).metadata();
+    } catch (error) {
+      throw createError(`Undecodable image: ${error.message}`, 'UNDECODABLE_IMAGE');
+    }
+
+    if (!state.metadata.width || !state.metadata.height) {
+      throw createError('Undecodable image: missing dimensions', 'UNDECODABLE_IMAGE');
+    }
+
+    state.image = sharp(state.input);
+  }
+
+  /**
+   * Apply the EXIF orientation to the pixels
+   * @param {Object} state - Pipeline state
+   */
+  async orient(state) {
+    state.image = state.image.rotate();
+  }
+
+  /**
+   * Shrink to fit within the configured bounds (never enlarges)
+   * @param {Object} state - Pipeline state
+   */
+  async resize(state) {
+    const { max_width: maxWidth, max_height: maxHeight } = this.processing.resize;
+
+    state.image = state.image.resize(maxWidth || null, maxHeight || null, {
+      fit: 'inside',
+      withoutEnlargement: true
+    });
+  }
+
+  /**
+   * Composite the watermark onto the resized pixels. sharp composites after resizing,
+   * so the pixels are materialized (uncompressed) first to learn their final size.
+   * @param {Object} state - Pipeline state
+   */
+  async watermark(state) {
+    try {
+      const { data, info } = await state.image.raw().toBuffer({ resolveWithObject: true });
+      const raw = { width: info.width, height: info.height, channels: info.channels };
+      const overlays = await watermarkService.overlays(this.watermarkOptions, info.width, info.height);
+      state.overlays = overlays;
+
+      const composited = await sharp(data, { raw })
+        .composite(overlays)
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      state.image = sharp(composited.data, {
+        raw: { width: composited.info.width, height: composited.info.height, channels: composited.info.channels }
+      });
+    } catch (error) {
+      throw createError(`Watermark failed: ${error.message}`, 'WATERMARK_FAILED');
+    }
+  }
+
+  /**
+   * Encode the main output and every variant from the processed pixels
+   * @param {Object} state - Pipeline state
+   */
+  async encode(state) {
+    const [output, ...variants] = await Promise.all([
+      this.encoder(this.mainImage(state), this.processing.encode).toBuffer({ resolveWithObject: true }),
+      ...this.variantSpecs.map(variant => this.encodeVariant(state.image.clone(), variant))
+    ]);
+
+    state.output = output;
+    state.variants = variants;
+  }
+
+  /**
+   * The image the main output is encoded from. Metadata only survives a pipeline
+   * that starts from the downloaded file, so when it must be kept after watermarking,
+   * the geometry is replayed on the source and the same overlays composited on top.
+   * @param {Object} state - Pipeline state
+   * @returns {Object} sharp instance
+   */
+  mainImage(state) {
+    if (this.processing.strip_metadata) return state.image.clone();
+    if (!state.overlays) return state.image.clone().keepMetadata();
+
+    let image = sharp(state.input);
+    if (this.processing.orient) image = image.rotate();
+    if (this.processing.resize) {
+      const { max_width: maxWidth, max_height: maxHeight } = this.processing.resize;
+      image = image.resize(maxWidth || null, maxHeight || null, { fit: 'inside', withoutEnlargement: true });
+    }
+
+    return image.composite(state.overlays).keepMetadata();
+  }
+
+  /**
+   * Apply the output encoder for a format
+   * @param {Object} image - sharp instance
+   * @param {Object} encode - { format, quality, effort }
+   * @returns {Object} sharp instance
+   */
+  encoder(image, { format, quality, effort }) {
+    switch (format) {
+      case 'avif':
+        return image.avif({ quality, effort });
+      case 'jpeg':
+        return image.jpeg({ quality, mozjpeg: true });
+      case 'png':
+        // PNG is lossless; a quality setting would switch it to a palette image
+        return image.png({ compressionLevel: 9 });
+      default:
+        return image.webp({ quality, effort });
+    }
+  }
+
+  /**
+   * Resize and encode one variant. Without a watermark the clone still reads the
+   * source, so a variant may be larger than the main output (never the source).
+   * @param {Object} image - sharp instance holding the processed image
+   * @param {Object} variant - Normalized variant spec
+   * @returns {Promise<Object>} { variant, buffer, info }
+   */
+  async encodeVariant(image, variant) {
+    const pipeline = image.resize(variant.width, variant.height, {
+      fit: variant.fit,
+      withoutEnlargement: true
+    });
+    const { data, info } = await this.encoder(pipeline, {
+      format: variant.format,
+      quality: variant.quality,
+      effort: 4
+    }).toBuffer({ resolveWithObject: true });
+
+    return { variant, buffer: data, info };
+  }
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  DEFAULT_PROCESSING,
+  FORMAT_EXTENSIONS,
+  OUTPUT_FORMATS,
+  ImagePipeline,
+  normalizeProcessing,
+  processingKey
+};
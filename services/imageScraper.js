@@ -1,6 +1,13 @@
 const axios = require('axios');
-const cheerio = require('cheerio');
+const fs = require('fs').promises;
+const path = require('path');
 const { HttpsProxyAgent } = require('https-proxy-agent');
+const ProxyPool = require('./proxyPool');
+const httpFixtures = require('./httpFixtures');
+const { createProviders, providerNames } = require('./providers');
+const domainFilter = require('./domainFilter');
+const searchCache = require('./searchCache');
+const searchScheduler = require('./searchScheduler');
 
 class ImageScraper {
   constructor() {
@@ -11,9 +18,85 @@ class ImageScraper {
       'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
       'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15'
     ];
-    this.proxies = this.loadProxies();
-    this.currentProxyIndex = 0;
+    this.proxyPool = new ProxyPool(this.loadProxies());
+    // Raw provider responses that could not be parsed, for writing new parsers
+    this.captureFailures = process.env.SEARCH_CAPTURE_FAILURES === 'true';
+    this.captureDir = process.env.SEARCH_CAPTURE_DIR || './data/captures';
     this.currentUserAgentIndex = 0;
+    this.maxPages = Math.max(parseInt(process.env.SEARCH_MAX_PAGES) || 5, 1); // Page budget per search
+    // Spare candidates returned per requested image, so failed downloads can be replaced
+    this.poolFactor = Math.max(parseFloat(process.env.CANDIDATE_POOL_FACTOR) || 3, 1);
+    this.maxPoolSize = Math.max(parseInt(process.env.CANDIDATE_POOL_MAX) || 100, 1);
+    this.providers = createProviders(this);
+    this.defaultProvider = this.loadDefaultProvider();
+    this.fallbackProviders = this.loadFallbackProviders();
+  }
+
+  /**
+   * Load the default search provider from environment variable
+   * @returns {string} Provider name
+   */
+  loadDefaultProvider() {
+    const provider = (process.env.SEARCH_PROVIDER || 'duckduckgo').trim().toLowerCase();
+    
+    if (!this.hasProvider(provider)) {
+      console.warn(`Unknown SEARCH_PROVIDER "${provider}", using duckduckgo`);
+      return 'duckduckgo';
+    }
+    
+    return provider;
+  }
+
+  /**
+   * Load the fallback provider chain from environment variable
+   * @returns {Array} Provider names tried in order after the selected provider fails
+   */
+  loadFallbackProviders() {
+    const fallbackList = process.env.SEARCH_FALLBACK_PROVIDERS ?? 'bing';
+    
+    return fallbackList
+      .split(',')
+      .map(provider => provider.trim().toLowerCase())
+      .filter(provider => {
+        if (!provider) return false;
+        if (!this.hasProvider(provider)) {
+          console.warn(`Ignoring unknown fallback provider "${provider}"`);
+          return false;
+        }
+        return true;
+      });
+  }
+
+  /**
+   * Check if a search provider is registered
+   * @param {string} name - Provider name
+   * @returns {boolean} True if the provider exists
+   */
+  hasProvider(name) {
+    return providerNames.includes(name);
+  }
+
+  /**
+   * Build the ordered list of providers to try for a request
+   * @param {string} provider - Provider requested by the client (optional)
+   * @returns {Array} Provider names
+   */
+  getProviderChain(provider = null) {
+    const chain = [provider || this.defaultProvider, ...this.fallbackProviders];
+    return [...new Set(chain)];
+  }
+
+  /**
+   * Throw a cancellation error if the caller asked to stop
+   * @param {Object} options - Search options with optional isCancelled function
+   */
+  throwIfCancelled(options = {}) {
+    if (options.isCancelled && options.isCancelled()) {
+      const error = new Error('Search was cancelled');
+      error.code = 'JOB_CANCELLED';
+      error.statusCode = 409;
+      throw error;
+    }
   }
 
   /**
@@ -43,15 +126,88 @@ class ImageScraper {
   }
 
   /**
-   * Get next proxy for rotation
-   * @returns {string|null} Proxy URL or null if no proxies available
+   * Get next proxy, weighted by health score and skipping quarantined ones
+   * @param {Array} exclude - Proxies already tried for the current search
+   * @returns {string|null} Proxy URL or null for a direct connection
    */
-  getNextProxy() {
-    if (this.proxies.length === 0) return null;
-    
-    const proxy = this.proxies[this.currentProxyIndex];
-    this.currentProxyIndex = (this.currentProxyIndex + 1) % this.proxies.length;
-    return proxy;
+  getNextProxy(exclude = []) {
+    return this.proxyPool.select(exclude);
+  }
+
+  /**
+   * Number of search attempts a provider should make (one per proxy, at least one direct)
+   * @param {number} max - Upper bound
+   * @returns {number} Attempt count
+   */
+  getAttemptBudget(max) {
+    return this.proxyPool.attemptBudget(max);
+  }
+
+  /**
+   * Report the outcome of a search attempt made through a proxy
+   * @param {string|null} proxy - Proxy URL, null for a direct connection
+   * @param {Error|null} error - Failure, or null on success
+   */
+  reportProxyResult(proxy, error = null) {
+    if (error) this.proxyPool.recordFailure(proxy, error);
+    else this.proxyPool.recordSuccess(proxy);
+  }
+
+  /**
+   * GET a URL through a proxy with rotating browser headers, within the proxy's rate limit,
+   * recording the proxy's latency
+   * @param {string} url - URL to fetch
+   * @param {string|null} proxy - Proxy URL, null for a direct connection
+   * @param {boolean} isApiCall - Whether this is for the API call (different headers)
+   * @param {Object} extraConfig - Additional axios options (params, ...)
+   * @returns {Promise<Object>} axios response
+   */
+  async get(url, proxy = null, isApiCall = false, extraConfig = {}) {
+    await searchScheduler.throttleProxy(proxy);
+    const startedAt = Date.now();
+    const response = await axios.get(url, httpFixtures.wrap({ ...this.createAxiosConfig(proxy, isApiCall), ...extraConfig }));
+    this.proxyPool.recordLatency(proxy, Date.now() - startedAt);
+    return response;
+  }
+
+  /**
+   * Save a response a provider could not use to `<SEARCH_CAPTURE_DIR>/<provider>/`:
+   * the body as .html plus a .json file with request details. No-op unless
+   * SEARCH_CAPTURE_FAILURES=true; never throws.
+   * @param {string} provider - Provider name
+   * @param {string} keyword - Search keyword
+   * @param {Object} response - axios response
+   * @param {Object} details - Extra context ({ proxy, extractors, ... })
+   * @returns {Promise<string|null>} Path of the saved body
+   */
+  async captureResponse(provider, keyword, response, details = {}) {
+    if (!this.captureFailures) return null;
+
+    try {
+      const slug = String(keyword).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'query';
+      const basename = `${new Date().toISOString().replace(/[:.]/g, '-')}_${slug}`;
+      const dir = path.join(this.captureDir, provider);
+      const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data, null, 2);
+
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${basename}.html`), body);
+      await fs.writeFile(path.join(dir, `${basename}.json`), JSON.stringify({
+        provider,
+        keyword,
+        url: response.config && response.config.url,
+        status: response.status,
+        content_type: response.headers && response.headers['content-type'],
+        ...details,
+        proxy: this.proxyPool.mask(details.proxy),
+        captured_at: new Date().toISOString()
+      }, null, 2));
+
+      console.log(`🗂️  Captured ${provider} response for "${keyword}": ${path.join(dir, basename)}.html`);
+      return path.join(dir, `${basename}.html`);
+    } catch (error) {
+      console.error('⚠️ Failed to capture provider response:', error.message);
+      return null;
+    }
   }
 
   /**
@@ -93,108 +249,175 @@ class ImageScraper {
     if (proxy) {
       config.httpsAgent = new HttpsProxyAgent(proxy);
       config.httpAgent = new HttpsProxyAgent(proxy);
-      console.log(`Using proxy: ${proxy.split('@')[1] || proxy}`); // Hide credentials in log
+      console.log(`Using proxy: ${this.proxyPool.mask(proxy)}`); // Hide credentials in log
     }
 
     return config;
   }
 
   /**
-   * Search for images on DuckDuckGo with proxy rotation
+   * Number of candidates to collect for a request of `count` images
+   * @param {number} count - Number of images requested
+   * @returns {number} Candidate pool size (at least count)
+   */
+  candidatePoolSize(count) {
+    const pool = Math.max(Math.ceil(count * this.poolFactor), count + 2);
+    return Math.max(Math.min(pool, this.maxPoolSize), count);
+  }
+
+  /**
+   * Search for images, falling back through the provider chain
    * @param {string} keyword - Search keyword
    * @param {number} limit - Number of images to fetch (default: 3)
-   * @returns {Promise<Array>} Array of image URLs
+   * @param {Object} options - Optional search options
+   * @param {number} options.poolSize - Number of candidates to return from the fetched pages (default: limit).
+   *   Pagination stops once `limit` results survive filtering; the pool only keeps results that would otherwise be cut off
+   * @param {string} options.provider - Provider to try first (default: SEARCH_PROVIDER)
+   * @param {Object} options.filters - Normalized search filters (size, color, type, layout, license, min_width, min_height)
+   * @param {Object} options.domains - Per-request domain rules { allow: [], deny: [] }
+   * @param {Function} options.isCancelled - Returns true to abort between attempts
+   * @param {string} options.cache - default, bypass (neither read nor write the cache) or refresh (skip reading, store the new results)
+   * @param {boolean} options.background - Wait for a search slot even when the queue is full (jobs)
+   * @returns {Promise<Object>} { images, rejected, provider, attempts, cache } - rejects with
+   *   SEARCH_QUEUE_FULL (429, retryAfter) when a provider has to be queried while too many
+   *   searches are running and waiting; cache hits never wait for a slot
    */
-  async searchImages(keyword, limit = 3) {
-    const maxRetries = Math.min(8, this.proxies.length); // Try up to 8 different proxies
-    let lastError = null;
+  async search(keyword, limit = 3, options = {}) {
+    const chain = this.getProviderChain(options.provider);
+    const attempts = [];
+    const criteria = { filters: options.filters, domains: options.domains };
+    const poolSize = Math.max(options.poolSize || limit, limit);
+    const providerOptions = {
+      ...options,
+      maxPages: this.maxPages,
+      // Providers keep paginating until enough results survive filtering
+      isEnough: results => this.processImageResults(results, limit, criteria).length >= limit
+    };
 
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-      try {
-        console.log(`🔍 DuckDuckGo search attempt ${attempt + 1}/${maxRetries} for keyword: ${keyword}`);
-        
-        // Get next proxy for this attempt
-        const proxy = this.getNextProxy();
-        
-        // DuckDuckGo image search URL
-        const searchUrl = `https://duckduckgo.com/?q=${encodeURIComponent(keyword)}&t=h_&iax=images&ia=images`;
-        
-        // First, get the search page with realistic browser headers
-        const searchConfig = this.createAxiosConfig(proxy, false);
-        const response = await axios.get(searchUrl, searchConfig);
+    for (const name of chain) {
+      this.throwIfCancelled(options);
 
-        const $ = cheerio.load(response.data);
-        
-        // Extract vqd token needed for DuckDuckGo API
-        const vqdMatch = response.data.match(/vqd=['"]([^'"]+)['"]/);
-        if (!vqdMatch) {
-          throw new Error('Could not extract vqd token from DuckDuckGo');
-        }
-        
-        const vqd = vqdMatch[1];
-        console.log('✅ VQD token extracted:', vqd);
-
-        // Wait a bit to simulate human behavior
-        await new Promise(resolve => setTimeout(resolve, 1500 + Math.random() * 1000));
-
-        // Now make the actual image search API call with API-specific headers
-        const imageApiUrl = `https://duckduckgo.com/i.js`;
-        const imageApiConfig = this.createAxiosConfig(proxy, true);
-        imageApiConfig.params = {
-          l: 'us-en',
-          o: 'json',
-          q: keyword,
-          vqd: vqd,
-          f: ',,,',
-          p: '1',
-          v7exp: 'a'
-        };
-
-        const imageResponse = await axios.get(imageApiUrl, imageApiConfig);
-        const imageData = imageResponse.data;
-        
-        if (!imageData.results || imageData.results.length === 0) {
-          throw new Error('No images found in DuckDuckGo results');
-        }
+      try {
+        const { results, cache } = await this.fetchResults(name, keyword, providerOptions, options.cache);
 
         // Filter and process images
-        const imageUrls = this.processImageResults(imageData.results, limit);
+        const { images, rejected } = this.filterImageResults(results, poolSize, criteria);
         
-        if (imageUrls.length === 0) {
-          throw new Error('No valid images after filtering');
+        if (images.length === 0) {
+          throw new Error(`No valid images after filtering (${rejected.length} results dropped)`);
         }
 
-        console.log(`✅ Successfully found ${imageUrls.length} valid images using DuckDuckGo`);
-        return imageUrls;
+        console.log(`✅ Successfully found ${images.length} valid images using ${name} (cache ${cache.status})`);
+        attempts.push({ provider: name, success: true });
+        return { images, rejected, provider: name, attempts, cache };
 
       } catch (error) {
-        lastError = error;
-        console.error(`❌ DuckDuckGo search attempt ${attempt + 1} failed:`, error.message);
+        if (error.code === 'JOB_CANCELLED' || error.code === 'SEARCH_QUEUE_FULL') throw error;
+
+        attempts.push({ provider: name, success: false, error: error.message });
+        console.error(`❌ Provider ${name} failed:`, error.message);
         
-        // If this was the last attempt, we'll throw the error
-        if (attempt === maxRetries - 1) {
-          break;
+        if (name !== chain[chain.length - 1]) {
+          console.log('↪️  Falling back to next search provider...');
         }
-        
-        // Wait longer between failed attempts with some randomization
-        const waitTime = 2000 + (attempt * 1000) + Math.random() * 2000;
-        console.log(`⏳ Waiting ${Math.round(waitTime/1000)}s before next attempt...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
       }
     }
 
-    // If we get here, all attempts failed
-    throw new Error(`DuckDuckGo search failed after ${maxRetries} attempts. Last error: ${lastError?.message}`);
+    // If we get here, every provider failed
+    const summary = attempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join('; ');
+    throw new Error(`All search providers failed (${summary})`);
+  }
+
+  /**
+   * Get raw results from one provider, through the search cache. A cached entry is only
+   * used when it satisfies the request; one collected for a smaller request is refetched.
+   * Only provider queries take one of the SEARCH_MAX_CONCURRENT slots shared by all requests and jobs.
+   * @param {string} name - Provider name
+   * @param {string} keyword - Search keyword
+   * @param {Object} providerOptions - Options passed to the provider (filters, isEnough, background, ...)
+   * @param {string} mode - Cache mode: default, bypass or refresh
+   * @returns {Promise<Object>} { results, cache: { status, age_seconds } } - status is hit, miss,
+   *   bypass, refresh or disabled (cache off or provider not cacheable)
+   */
+  async fetchResults(name, keyword, providerOptions, mode = 'default') {
+    const provider = this.providers[name];
+    const searchProvider = () => searchScheduler.schedule(async () => {
+      await searchScheduler.throttleProvider(name, () => this.throwIfCancelled(providerOptions));
+      return provider.search(keyword, providerOptions);
+    }, providerOptions);
+
+    if (!searchCache.isEnabled() || provider.cacheable === false) {
+      return { results: await searchProvider(), cache: { status: 'disabled', age_seconds: null } };
+    }
+
+    if (mode === 'bypass') {
+      return { results: await searchProvider(), cache: { status: 'bypass', age_seconds: null } };
+    }
+
+    const key = searchCache.key(name, keyword, providerOptions.filters);
+
+    if (mode !== 'refresh') {
+      const entry = await searchCache.get(key);
+
+      if (entry && providerOptions.isEnough(entry.results)) {
+        const ageSeconds = Math.round((Date.now() - new Date(entry.stored_at).getTime()) / 1000);
+        console.log(`💾 Search cache hit for "${keyword}" on ${name} (${entry.results.length} results, ${ageSeconds}s old)`);
+        return { results: entry.results, cache: { status: 'hit', age_seconds: ageSeconds } };
+      }
+    }
+
+    const results = await searchProvider();
+    await searchCache.set(key, { provider: name, keyword, filters: providerOptions.filters || {}, results });
+
+    return { results, cache: { status: mode === 'refresh' ? 'refresh' : 'miss', age_seconds: 0 } };
+  }
+
+  /**
+   * Search for images and return only the image list
+   * @param {string} keyword - Search keyword
+   * @param {number} limit - Number of images to fetch (default: 3)
+   * @param {Object} options - Optional search options (see search)
+   * @returns {Promise<Array>} Array of image URLs
+   */
+  async searchImages(keyword, limit = 3, options = {}) {
+    const { images } = await this.search(keyword, limit, options);
+    return images;
   }
 
   /**
    * Process and filter image results
-   * @param {Array} results - Raw image results from DuckDuckGo
+   * @param {Array} results - Raw image results from a search provider
    * @param {number} limit - Number of images to return
+   * @param {Object} criteria - { filters, domains } (see filterImageResults)
    * @returns {Array} Filtered image URLs
    */
-  processImageResults(results, limit) {
+  processImageResults(results, limit, criteria = {}) {
+    return this.filterImageResults(results, limit, criteria).images;
+  }
+
+  /**
+   * Filter image results and report why each dropped result was rejected
+   * @param {Array} results - Raw image results from a search provider
+   * @param {number} limit - Number of images to return
+   * @param {Object} criteria - Filtering criteria
+   * @param {Object} criteria.filters - Normalized search filters (min_width / min_height are enforced here)
+   * @param {Object} criteria.domains - Per-request domain rules { allow: [], deny: [] }
+   * @returns {Object} { images, rejected } where rejected entries carry a reason code
+   */
+  filterImageResults(results, limit, criteria = {}) {
     const validImages = [];
+    const rejected = [];
+    const { min_width: minWidth, min_height: minHeight } = criteria.filters || {};
+    
+    const reject = (result, reason, detail = null) => {
+      rejected.push({
+        image: result.image || null,
+        source: result.url || null,
+        title: result.title || 'Untitled',
+        reason,
+        detail
+      });
+    };
     
     for (const result of results) {
       if (validImages.length >= limit) break;
@@ -203,66 +426,68 @@ class ImageScraper {
       const sourceUrl = result.url;
       
       // Skip if no image URL
-      if (!imageUrl) continue;
+      if (!imageUrl) {
+        reject(result, 'missing_image_url');
+        continue;
+      }
+      
+      // Apply global and per-request domain allow/deny lists
+      const domainRejection = domainFilter.check(result, criteria.domains);
+      if (domainRejection) {
+        console.log(`Skipping image (${domainRejection.detail}):`, imageUrl);
+        reject(result, domainRejection.reason, domainRejection.detail);
+        continue;
+      }
       
-      // Filter out Wikipedia images
-      if (this.isWikipediaSource(sourceUrl) || this.isWikipediaSource(imageUrl)) {
-        console.log('Skipping Wikipedia image:', imageUrl);
+      // Enforce minimum dimensions when the provider reports them
+      if ((minWidth && result.width && result.width < minWidth) ||
+          (minHeight && result.height && result.height < minHeight)) {
+        console.log(`Skipping small image (${result.width}x${result.height}):`, imageUrl);
+        reject(result, 'below_min_dimensions', `${result.width}x${result.height}`);
         continue;
       }
       
       // Check if image URL is valid
-      if (this.isValidImageUrl(imageUrl)) {
-        validImages.push({
-          url: imageUrl,
-          source: sourceUrl,
-          title: result.title || 'Untitled'
-        });
+      if (!this.isValidImageUrl(imageUrl)) {
+        reject(result, 'invalid_image_url');
+        continue;
       }
+      
+      validImages.push({
+        url: imageUrl,
+        source: sourceUrl,
+        title: result.title || 'Untitled',
+        width: result.width || null,
+        height: result.height || null
+      });
     }
     
-    return validImages;
-  }
-
-
-
-  /**
-   * Check if URL is from Wikipedia
-   * @param {string} url - URL to check
-   * @returns {boolean} True if from Wikipedia
-   */
-  isWikipediaSource(url) {
-    if (!url) return false;
-    const lowerUrl = url.toLowerCase();
-    return lowerUrl.includes('wikipedia.org') || 
-           lowerUrl.includes('wikimedia.org') ||
-           lowerUrl.includes('wiki');
+    return { images: validImages, rejected };
   }
 
   /**
-   * Validate if URL is a proper image URL
+   * Validate if URL can point to an image. Only URLs that clearly point elsewhere
+   * (pages, scripts, documents) are dropped here; downloaded bytes are checked by
+   * imageValidator before anything is stored.
    * @param {string} url - URL to validate
    * @returns {boolean} True if valid image URL
    */
   isValidImageUrl(url) {
     if (!url || typeof url !== 'string') return false;
     
-    // Check if URL starts with http/https
-    if (!url.startsWith('http')) return false;
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
     
-    // Check for common image extensions
-    const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.svg'];
-    const hasImageExtension = imageExtensions.some(ext => 
-      url.toLowerCase().includes(ext)
-    );
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
     
-    // Also accept URLs that might be images but don't have extensions
-    const isLikelyImage = url.includes('image') || 
-                         url.includes('photo') || 
-                         url.includes('pic') ||
-                         hasImageExtension;
+    const extension = (parsed.pathname.match(/\.([a-z0-9]+)$/i) || [])[1];
+    const nonImageExtensions = ['html', 'htm', 'php', 'asp', 'aspx', 'jsp', 'js', 'css', 'json', 'xml', 'pdf', 'txt', 'mp4', 'webm'];
     
-    return isLikelyImage && url.length > 10;
+    return !extension || !nonImageExtensions.includes(extension.toLowerCase());
   }
 }
 
@@ -0,0 +1,449 @@
+const ImageScraper = require('./imageScraper');
+const { providerNames } = require('./providers');
+const { normalizeFilters, findGoogleConflict } = require('./searchFilters');
+const domainFilter = require('./domainFilter');
+const vpsImageStorage = require('./vpsImageStorage');
+const storage = require('./storage');
+const { normalizeVariants } = require('./imageVariants');
+const watermarkService = require('./watermarkService');
+const { normalizeProcessing } = require('./imagePipeline');
+const searchCache = require('./searchCache');
+const apiKeys = require('./apiKeys');
+const requestCoalescer = require('./requestCoalescer');
+
+// Upper bound for MAX_IMAGE_COUNT, whatever the deployment configures
+const IMAGE_COUNT_CEILING = 100;
+
+class ImageSearchService {
+  constructor() {
+    this.imageScraper = new ImageScraper();
+    this.maxImageCount = Math.min(Math.max(parseInt(process.env.MAX_IMAGE_COUNT) || 10, 1), IMAGE_COUNT_CEILING);
+  }
+
+  /**
+   * Validate and normalize a search request body
+   * @param {Object} body - Raw request body
+   * @returns {Object} { request } on success or { error } with status, message and code
+   */
+  validateRequest(body = {}) {
+    const { keyword, count = 3, provider } = body;
+
+    if (!keyword || typeof keyword !== 'string') {
+      return {
+        error: {
+          status: 400,
+          message: 'Keyword is required and must be a string',
+          code: 'INVALID_KEYWORD'
+        }
+      };
+    }
+
+    if (keyword.trim().length < 2) {
+      return {
+        error: {
+          status: 400,
+          message: 'Keyword must be at least 2 characters long',
+          code: 'KEYWORD_TOO_SHORT'
+        }
+      };
+    }
+
+    const providerName = typeof provider === 'string' ? provider.trim().toLowerCase() : null;
+
+    if (provider !== undefined && provider !== null && !this.imageScraper.hasProvider(providerName)) {
+      return {
+        error: {
+          status: 400,
+          message: `Unknown provider. Available providers: ${providerNames.join(', ')}`,
+          code: 'INVALID_PROVIDER'
+        }
+      };
+    }
+
+    const { filters, error: filterError } = normalizeFilters(body);
+
+    if (filterError) {
+      return {
+        error: {
+          status: 400,
+          message: filterError,
+          code: 'INVALID_FILTER'
+        }
+      };
+    }
+
+    const filterConflict = this.imageScraper.getProviderChain(providerName).includes('google')
+      ? findGoogleConflict(filters)
+      : null;
+
+    if (filterConflict) {
+      return {
+        error: {
+          status: 400,
+          message: filterConflict,
+          code: 'CONFLICTING_FILTERS'
+        }
+      };
+    }
+
+    const domains = {
+      allow: domainFilter.parseList(body.allow_domains),
+      deny: domainFilter.parseList(body.deny_domains)
+    };
+
+    if (!domainFilter.isValidList(domains.allow) || !domainFilter.isValidList(domains.deny)) {
+      return {
+        error: {
+          status: 400,
+          message: 'allow_domains and deny_domains must be hostnames, optionally prefixed with "*."',
+          code: 'INVALID_DOMAIN_LIST'
+        }
+      };
+    }
+
+    const backends = this.normalizeBackends(body.storage);
+
+    if (!backends) {
+      return {
+        error: {
+          status: 400,
+          message: `storage must be a backend name or a list of them. Available backends: ${storage.backendNames.join(', ')}`,
+          code: 'INVALID_STORAGE_BACKEND'
+        }
+      };
+    }
+
+    const unconfigured = backends
+      .map(name => ({ name, reason: storage.configurationError(name) }))
+      .find(backend => backend.reason);
+
+    if (unconfigured) {
+      return {
+        error: {
+          status: 400,
+          message: `Storage backend "${unconfigured.name}" is not configured on this server: ${unconfigured.reason}`,
+          code: 'STORAGE_BACKEND_NOT_CONFIGURED'
+        }
+      };
+    }
+
+    const { watermark, error: watermarkError } = watermarkService.normalize(body.watermark);
+
+    if (watermarkError) {
+      return {
+        error: {
+          status: 400,
+          message: watermarkError,
+          code: 'INVALID_WATERMARK'
+        }
+      };
+    }
+
+    const { processing, error: processingError } = normalizeProcessing(body);
+
+    if (processingError) {
+      return {
+        error: {
+          status: 400,
+          message: processingError,
+          code: 'INVALID_PROCESSING'
+        }
+      };
+    }
+
+    const { variants, error: variantError } = normalizeVariants(body.variants);
+
+    if (variantError) {
+      return {
+        error: {
+          status: 400,
+          message: variantError,
+          code: 'INVALID_VARIANTS'
+        }
+      };
+    }
+
+    const cache = body.cache === undefined || body.cache === null ? 'default' : body.cache;
+
+    if (!searchCache.modes.includes(cache)) {
+      return {
+        error: {
+          status: 400,
+          message: `cache must be one of: ${searchCache.modes.join(', ')}`,
+          code: 'INVALID_CACHE_MODE'
+        }
+      };
+    }
+
+    return {
+      request: {
+        keyword,
+        count: Math.min(Math.max(parseInt(count) || 3, 1), this.maxImageCount), // Limit between 1-MAX_IMAGE_COUNT
+        watermark,
+        provider: providerName || null,
+        filters,
+        domains,
+        storage: backends.length ? backends : null,
+        variants,
+        processing,
+        cache
+      }
+    };
+  }
+
+  /**
+   * Parse the optional `storage` field (a backend name, comma separated names or an array)
+   * @param {string|Array} value - Requested backends
+   * @returns {Array|null} Unique backend names (empty for the default) or null if invalid
+   */
+  normalizeBackends(value) {
+    if (value === undefined || value === null || value === '') return [];
+
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    const names = items.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+
+    if (names.length === 0 || !names.every(name => storage.backendNames.includes(name))) {
+      return null;
+    }
+
+    return [...new Set(names)];
+  }
+
+  /**
+   * Search for images and store them, reporting progress through hooks. Concurrent identical
+   * requests share one pipeline; requests that differ only in watermark share the search and
+   * the downloaded originals (see requestCoalescer).
+   * @param {Object} request - Normalized request from validateRequest, with api_key_id of the caller
+   *   and the quota_reservation made when it was accepted (settled here, whatever the outcome)
+   * @param {Object} hooks - Optional hooks
+   * @param {Function} hooks.onStateChange - Called with 'searching' / 'downloading' and details
+   * @param {Function} hooks.onImageProgress - Called with (index, update) for each candidate image
+   * @param {Function} hooks.isCancelled - Returns true when the caller wants to stop
+   * @param {boolean} hooks.background - Wait for a search slot instead of failing with SEARCH_QUEUE_FULL
+   * @returns {Promise<Object>} Response body (without success flag)
+   */
+  async run(request, hooks = {}) {
+    const used = { images: 0, storage_bytes: 0 };
+
+    try {
+      // Jobs queued before watermark options existed carry plain text, and jobs restored
+      // from disk need their logo read again
+      const watermark = typeof request.watermark === 'string'
+        ? watermarkService.normalize(request.watermark).watermark
+        : watermarkService.loadLogo(request.watermark || null);
+      const { key, groupKey } = this.coalescingKeys(request, watermark, hooks);
+
+      const { result, joined } = await requestCoalescer.run(key, groupKey, hooks, (sharedHooks, group) =>
+        this.execute(request, watermark, { ...sharedHooks, background: Boolean(hooks.background) }, group)
+      );
+
+      // A caller that gave up while others kept the pipeline going still ends up cancelled
+      this.throwIfCancelled(hooks.isCancelled);
+
+      // New files belong to the request that started the pipeline; joined callers are tagged on them
+      if (joined) {
+        await vpsImageStorage.tagImages(result.images.map(image => image.url), request.keyword, request.api_key_id);
+      }
+      used.images = result.uploaded_count;
+      used.storage_bytes = joined ? 0 : result.stored_bytes;
+
+      return { ...result, coalesced: joined ? 'request' : result.coalesced };
+    } finally {
+      await apiKeys.settle(request.api_key_id, request.quota_reservation, used);
+      request.quota_reservation = null;
+    }
+  }
+
+  /**
+   * Build the coalescing keys of a request: everything that decides the result, and the
+   * same without the watermark for requests that can share search and originals
+   * @param {Object} request - Normalized request
+   * @param {Object} watermark - Resolved watermark
+   * @param {Object} hooks - Caller hooks ({ background })
+   * @returns {Object} { key, groupKey }
+   */
+  coalescingKeys(request, watermark, hooks = {}) {
+    const { keyword, count, provider, filters, domains, storage: backends, variants, processing, cache } = request;
+    const parts = [
+      String(keyword).trim().toLowerCase().replace(/\s+/g, ' '),
+      count,
+      provider || null,
+      filters || {},
+      domains || null,
+      backends || null,
+      variants || [],
+      processing || null,
+      cache || 'default',
+      // Jobs and synchronous requests wait in different scheduler lanes, so they never share a search
+      Boolean(hooks.background)
+    ];
+
+    return {
+      key: requestCoalescer.key([...parts, watermarkService.fingerprint(watermark)]),
+      groupKey: requestCoalescer.key(parts)
+    };
+  }
+
+  /**
+   * Run the search → download → process → store pipeline for one request
+   * @param {Object} request - Normalized request
+   * @param {Object} watermark - Resolved watermark
+   * @param {Object} hooks - Hooks shared by every caller of the pipeline (see run)
+   * @param {Object} group - State shared with pipelines that differ only in watermark ({ search, originals, isCancelled })
+   * @returns {Promise<Object>} Response body (without success flag)
+   */
+  async execute(request, watermark, hooks, group) {
+    const { keyword, count: imageCount, provider, filters = {}, domains, storage: backends, variants = [], processing, cache = 'default' } = request;
+    const { onStateChange = () => {}, onImageProgress, isCancelled, background = false } = hooks;
+    const startTime = Date.now();
+
+    console.log(`\n🔍 Starting image search for keyword: "${keyword}" (${imageCount} images)`);
+    if (watermark) {
+      console.log(`🏷️  Watermark: "${watermarkService.label(watermark)}" (${watermark.position})`);
+    }
+
+    // Step 1: Search for images through the provider chain
+    console.log('📡 Searching for images...');
+    onStateChange('searching');
+    if (group.search) {
+      console.log(`🔗 Sharing the in-flight search and downloads for "${keyword}" with another watermark`);
+    } else {
+      // Ask for spare candidates so failed downloads and near-duplicates can be replaced
+      group.search = this.imageScraper.search(keyword, imageCount, {
+        poolSize: this.imageScraper.candidatePoolSize(imageCount),
+        provider,
+        filters,
+        domains,
+        isCancelled: group.isCancelled,
+        cache,
+        background
+      });
+    }
+    const search = await group.search;
+    const imageData = search.images;
+
+    if (!imageData || imageData.length === 0) {
+      throw this.createError('No images found for the given keyword', 'NO_IMAGES_FOUND', 404);
+    }
+
+    console.log(`✅ Found ${imageData.length} images to process`);
+    this.throwIfCancelled(isCancelled);
+
+    // Step 2: Process and store images on the storage backends
+    console.log('🔄 Processing and storing images...');
+    onStateChange('downloading', { images: imageData });
+    const { images: uploadResults, candidates } = await vpsImageStorage.processMultipleImages(imageData, keyword, watermark, {
+      targetCount: imageCount,
+      onProgress: onImageProgress,
+      isCancelled,
+      backends,
+      variants,
+      processing,
+      apiKeyId: request.api_key_id,
+      originals: group.originals
+    });
+
+    this.throwIfCancelled(isCancelled);
+
+    const stats = vpsImageStorage.getProcessingStats(candidates);
+
+    if (uploadResults.length === 0) {
+      const error = this.createError('Failed to process any images on VPS', 'UPLOAD_FAILED', 500);
+      // Lets the caller see why every candidate failed
+      error.candidates = candidates;
+      error.stats = stats;
+      throw error;
+    }
+
+    const processingTime = Date.now() - startTime;
+
+    console.log(`✨ Successfully completed request in ${processingTime}ms`);
+    console.log(`📊 Stats: Found ${imageData.length}, Uploaded ${uploadResults.length}\n`);
+
+    return {
+      keyword: keyword,
+      watermark: watermarkService.label(watermark),
+      watermark_options: watermark,
+      processing: processing || null,
+      provider: search.provider,
+      cache: search.cache,
+      filters,
+      requested_count: imageCount,
+      found_count: imageData.length,
+      rejected_count: search.rejected.length,
+      uploaded_count: uploadResults.length,
+      reused_count: uploadResults.filter(result => result.reused).length,
+      duplicate_count: stats.duplicates,
+      stored_bytes: uploadResults.reduce((sum, result) => sum + result.stored_bytes, 0),
+      coalesced: candidates.some(candidate => candidate.original_shared) ? 'originals' : null,
+      processing_time_ms: processingTime,
+      images: uploadResults.map(result => ({
+        url: result.url,
+        urls: result.urls,
+        variants: result.variants,
+        format: result.format,
+        srcset: result.srcsets[result.format] || null,
+        srcsets: result.srcsets,
+        title: result.title || 'Untitled',
+        reused: Boolean(result.reused)
+      })),
+      rejected_results: search.rejected,
+      candidates,
+      stats,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Map an error to an HTTP status code and API error code
+   * @param {Error} error - Error thrown while processing
+   * @returns {Object} { statusCode, errorCode }
+   */
+  classifyError(error) {
+    if (error.code && error.statusCode) {
+      return { statusCode: error.statusCode, errorCode: error.code };
+    }
+
+    let statusCode = 500;
+    let errorCode = 'INTERNAL_ERROR';
+
+    if (error.message.includes('timeout') || error.message.includes('ECONNABORTED')) {
+      statusCode = 408;
+      errorCode = 'REQUEST_TIMEOUT';
+    } else if (error.message.includes('network') || error.message.includes('ENOTFOUND')) {
+      statusCode = 503;
+      errorCode = 'NETWORK_ERROR';
+    } else if (error.message.includes('API') || error.message.includes('processing')) {
+      statusCode = 503;
+      errorCode = 'STORAGE_ERROR';
+    }
+
+    return { statusCode, errorCode };
+  }
+
+  /**
+   * Create an error carrying an API error code and HTTP status
+   * @param {string} message - Error message
+   * @param {string} code - API error code
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} Error instance
+   */
+  createError(message, code, statusCode) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * Throw a cancellation error if the caller asked to stop
+   * @param {Function} isCancelled - Cancellation check
+   */
+  throwIfCancelled(isCancelled) {
+    if (isCancelled && isCancelled()) {
+      throw this.createError('Search was cancelled', 'JOB_CANCELLED', 409);
+    }
+  }
+}
+
+module.exports = new ImageSearchService();
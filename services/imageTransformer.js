@@ -0,0 +1,494 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const storage = require('./storage');
+
+const FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+const FORMATS = ['avif', 'webp', 'jpeg', 'png'];
+const EXTENSIONS = { avif: 'avif', webp: 'webp', jpeg: 'jpg', png: 'png' };
+// Query parameters that turn a plain file request into a transform request
+const TRANSFORM_PARAMS = ['w', 'h', 'fit', 'format', 'q', 'sig'];
+
+class ImageTransformer {
+  constructor() {
+    const uploadDir = process.env.VPS_UPLOAD_DIR || './uploads/images';
+    // Dot-directory so neither express.static nor backend listings expose it
+    this.cacheDir = process.env.TRANSFORM_CACHE_DIR || path.join(uploadDir, '.cache', 'transforms');
+    this.maxCacheBytes = parseInt(process.env.TRANSFORM_CACHE_MAX_BYTES) || 1024 * 1024 * 1024;
+    this.secret = process.env.TRANSFORM_SIGNING_SECRET || '';
+    this.maxDimension = parseInt(process.env.TRANSFORM_MAX_DIMENSION) || 4000;
+    this.allowedSizes = this.loadAllowedSizes();
+    this.defaultQuality = 80;
+    this.pending = new Map();
+    // Cached variants, least recently used first: file path -> size in bytes
+    this.cacheEntries = new Map();
+    this.cacheBytes = 0;
+    this.cacheLoading = null;
+    // Cached variants being sent to clients: file path -> number of responses in progress
+    this.serving = new Map();
+
+    if (!this.secret && this.allowedSizes.length === 0) {
+      console.warn('⚠️ No TRANSFORM_SIGNING_SECRET or TRANSFORM_ALLOWED_SIZES found in environment variables, image transforms are disabled');
+    } else if (!this.secret) {
+      console.warn('⚠️ No TRANSFORM_SIGNING_SECRET found in environment variables, image transforms are limited to TRANSFORM_ALLOWED_SIZES');
+    }
+  }
+
+  /**
+   * Load the sizes anyone may request without a signature from TRANSFORM_ALLOWED_SIZES,
+   * a comma separated list of <width>x<height>, <width> or x<height> (e.g. "320,640x480,x200")
+   * @returns {Array} Sizes as { w, h } (undefined when left out)
+   */
+  loadAllowedSizes() {
+    return (process.env.TRANSFORM_ALLOWED_SIZES || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const match = entry.match(/^(\d+)?(?:x(\d+))?$/i);
+        const size = match && { w: match[1] ? Number(match[1]) : undefined, h: match[2] ? Number(match[2]) : undefined };
+        const valid = size && [size.w, size.h].some(Boolean) &&
+          [size.w, size.h].every(value => value === undefined || (value >= 1 && value <= this.maxDimension));
+
+        if (!valid) {
+          console.warn(`Ignoring invalid TRANSFORM_ALLOWED_SIZES entry "${entry}"`);
+          return null;
+        }
+        return size;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Check whether a request asks for a transform rather than the stored file
+   * @param {Object} query - Parsed query string
+   * @returns {boolean} True if any transform parameter is present
+   */
+  isTransformRequest(query) {
+    return TRANSFORM_PARAMS.some(param => query[param] !== undefined);
+  }
+
+  /**
+   * Validate transform parameters from a query string
+   * @param {Object} query - Parsed query string (w, h, fit, format, q)
+   * @returns {Object} { params } on success or { error } with a message
+   */
+  parseParams(query) {
+    const params = {};
+
+    for (const [name, label] of [['w', 'width'], ['h', 'height']]) {
+      if (query[name] === undefined) continue;
+
+      const value = Number(query[name]);
+      if (!Number.isInteger(value) || value < 1 || value > this.maxDimension) {
+        return { error: `${name} (${label}) must be an integer between 1 and ${this.maxDimension}` };
+      }
+      params[name] = value;
+    }
+
+    if (query.fit !== undefined) {
+      if (!FITS.includes(query.fit)) {
+        return { error: `fit must be one of: ${FITS.join(', ')}` };
+      }
+      params.fit = query.fit;
+    }
+
+    if (query.format !== undefined && query.format !== 'auto') {
+      const format = query.format === 'jpg' ? 'jpeg' : query.format;
+      if (!FORMATS.includes(format)) {
+        return { error: `format must be one of: auto, ${FORMATS.join(', ')}` };
+      }
+      params.format = format;
+    }
+
+    if (query.q !== undefined) {
+      const quality = Number(query.q);
+      if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+        return { error: 'q (quality) must be an integer between 1 and 100' };
+      }
+      params.q = quality;
+    }
+
+    return { params };
+  }
+
+  /**
+   * Pick an output format from the Accept header: AVIF, then WebP, then JPEG
+   * @param {string} accept - Accept request header
+   * @returns {string} Format name
+   */
+  negotiateFormat(accept = '') {
+    if (accept.includes('image/avif')) return 'avif';
+    if (accept.includes('image/webp')) return 'webp';
+    return 'jpeg';
+  }
+
+  /**
+   * Validate a storage key taken from a URL path. Dotfiles (index, redirects, cache)
+   * and parent references are never transformable.
+   * @param {string} key - Relative path with forward slashes
+   * @returns {boolean} True if the key is safe to read
+   */
+  isValidKey(key) {
+    const segments = key.split('/');
+    return segments.length > 0 && segments.every(segment => segment && !segment.startsWith('.'));
+  }
+
+  /**
+   * Canonical string covered by a signature. The negotiated format is not part of it
+   * unless the URL pins one, so one signed URL serves every browser.
+   * @param {string} key - Storage key
+   * @param {Object} params - Parsed transform parameters
+   * @returns {string} Canonical string
+   */
+  canonicalize(key, params) {
+    const query = ['w', 'h', 'fit', 'format', 'q']
+      .filter(name => params[name] !== undefined)
+      .map(name => `${name}=${params[name]}`)
+      .join('&');
+    return `${key}?${query}`;
+  }
+
+  /**
+   * Compute the signature of a transform URL
+   * @param {string} key - Storage key
+   * @param {Object} params - Parsed transform parameters
+   * @returns {string} URL-safe base64 HMAC-SHA256
+   */
+  sign(key, params) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(this.canonicalize(key, params))
+      .digest('base64url');
+  }
+
+  /**
+   * Check a signature supplied in the `sig` query parameter.
+   * Never passes when no TRANSFORM_SIGNING_SECRET is configured.
+   * @param {string} key - Storage key
+   * @param {Object} params - Parsed transform parameters
+   * @param {string} signature - Supplied signature
+   * @returns {boolean} True if the signature matches
+   */
+  verify(key, params, signature) {
+    if (!this.secret) return false;
+    if (!signature || typeof signature !== 'string') return false;
+
+    const expected = Buffer.from(this.sign(key, params));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Check whether a transform may be served: signed URLs may ask for anything, unsigned
+   * ones only for a TRANSFORM_ALLOWED_SIZES size at the default quality. This bounds the
+   * variants an anonymous client can make the server generate and cache.
+   * @param {string} key - Storage key
+   * @param {Object} params - Parsed transform parameters
+   * @param {string} signature - Supplied signature
+   * @returns {boolean} True if the request may be served
+   */
+  isAllowed(key, params, signature) {
+    if (this.verify(key, params, signature)) return true;
+
+    return params.q === undefined &&
+      this.allowedSizes.some(size => size.w === params.w && size.h === params.h);
+  }
+
+  /**
+   * Build a (signed, when a secret is configured) transform URL for a stored image
+   * @param {string} key - Storage key
+   * @param {Object} params - Transform parameters (w, h, fit, format, q)
+   * @param {string} baseUrl - Public base URL (default: VPS_BASE_URL)
+   * @returns {string} URL
+   */
+  buildUrl(key, params, baseUrl = process.env.VPS_BASE_URL || 'http://localhost:3000') {
+    const query = new URLSearchParams();
+    for (const name of ['w', 'h', 'fit', 'format', 'q']) {
+      if (params[name] !== undefined) query.set(name, params[name]);
+    }
+    if (this.secret) query.set('sig', this.sign(key, params));
+
+    return `${baseUrl}/images/${key}?${query.toString()}`;
+  }
+
+  /**
+   * Return a cached variant, generating it from the stored original on first use.
+   * Concurrent requests for the same variant share one sharp run. The variant is pinned
+   * against eviction until release() is called, once the response has been sent.
+   * @param {string} key - Storage key of the original
+   * @param {Object} params - Parsed transform parameters with a resolved format
+   * @returns {Promise<Object>} { filePath, format, release }
+   */
+  async getVariant(key, params) {
+    const cacheKey = crypto.createHash('sha256').update(this.canonicalize(key, params)).digest('hex');
+    const filePath = path.resolve(this.cacheDir, cacheKey.slice(0, 2), `${cacheKey}.${EXTENSIONS[params.format]}`);
+
+    await this.loadCache();
+
+    // Pinned before the lookup, so an eviction running meanwhile either removed the
+    // entry already (and the variant is generated again) or skips it
+    this.serving.set(filePath, (this.serving.get(filePath) || 0) + 1);
+    const variant = { filePath, format: params.format, release: () => this.release(filePath) };
+
+    try {
+      if (this.cacheEntries.has(filePath)) {
+        try {
+          await fs.access(filePath);
+          this.touchCacheEntry(filePath);
+          return variant;
+        } catch (error) {
+          // Removed outside this process
+        }
+      }
+
+      if (!this.pending.has(filePath)) {
+        const generation = this.generateVariant(key, params, filePath)
+          .finally(() => this.pending.delete(filePath));
+        this.pending.set(filePath, generation);
+      }
+
+      await this.pending.get(filePath);
+      return variant;
+    } catch (error) {
+      variant.release();
+      throw error;
+    }
+  }
+
+  /**
+   * Unpin a variant returned by getVariant
+   * @param {string} filePath - Cache file
+   */
+  release(filePath) {
+    const count = (this.serving.get(filePath) || 0) - 1;
+    if (count > 0) this.serving.set(filePath, count);
+    else this.serving.delete(filePath);
+  }
+
+  /**
+   * Transform an original and write it to the cache atomically. Originals are read from
+   * the local backend: /images serves the upload dir whatever STORAGE_BACKEND is.
+   * @param {string} key - Storage key of the original
+   * @param {Object} params - Parsed transform parameters with a resolved format
+   * @param {string} filePath - Cache file to write
+   * @returns {Promise<void>}
+   */
+  async generateVariant(key, params, filePath) {
+    const original = await storage.getBackend('local').get(key);
+    let pipeline = sharp(original);
+
+    if (params.w || params.h) {
+      pipeline = pipeline.resize(params.w || null, params.h || null, {
+        fit: params.fit || 'cover',
+        withoutEnlargement: true
+      });
+    }
+
+    const quality = params.q || this.defaultQuality;
+    const buffer = await (params.format === 'png'
+      ? pipeline.png({ compressionLevel: 9 })
+      : pipeline.toFormat(params.format, { quality })
+    ).toBuffer();
+
+    const tmpFile = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tmpFile, buffer);
+    await fs.rename(tmpFile, filePath);
+
+    console.log(`🖼️  Generated ${params.format} variant of ${key} (${buffer.length} bytes)`);
+
+    this.addCacheEntry(filePath, buffer.length);
+    await this.evictCache(filePath);
+  }
+
+  /**
+   * Index the variants already on disk, oldest first, the first time the cache is used.
+   * Leftover temporary files from interrupted writes are removed.
+   * @returns {Promise<void>}
+   */
+  loadCache() {
+    if (!this.cacheLoading) {
+      this.cacheLoading = (async () => {
+        const files = [];
+        let dirs = [];
+
+        try {
+          dirs = await fs.readdir(this.cacheDir);
+        } catch (error) {
+          return; // Nothing cached yet
+        }
+
+        for (const dir of dirs) {
+          let names = [];
+          try {
+            names = await fs.readdir(path.join(this.cacheDir, dir));
+          } catch (error) {
+            continue;
+          }
+
+          for (const name of names) {
+            const filePath = path.resolve(this.cacheDir, dir, name);
+            if (name.endsWith('.tmp')) {
+              await fs.unlink(filePath).catch(() => {});
+              continue;
+            }
+
+            try {
+              const stats = await fs.stat(filePath);
+              if (stats.isFile()) files.push({ filePath, size: stats.size, mtime: stats.mtimeMs });
+            } catch (error) {
+              // Removed while listing
+            }
+          }
+        }
+
+        files.sort((a, b) => a.mtime - b.mtime);
+        for (const file of files) this.addCacheEntry(file.filePath, file.size);
+
+        console.log(`🗃️  Transform cache: ${files.length} variants, ${this.cacheBytes} bytes (limit ${this.maxCacheBytes})`);
+        await this.evictCache();
+      })();
+    }
+
+    return this.cacheLoading;
+  }
+
+  /**
+   * Record a cached variant as the most recently used
+   * @param {string} filePath - Cache file
+   * @param {number} size - File size in bytes
+   */
+  addCacheEntry(filePath, size) {
+    if (this.cacheEntries.has(filePath)) {
+      this.cacheBytes -= this.cacheEntries.get(filePath);
+      this.cacheEntries.delete(filePath);
+    }
+
+    this.cacheEntries.set(filePath, size);
+    this.cacheBytes += size;
+  }
+
+  /**
+   * Mark a cached variant as just used
+   * @param {string} filePath - Cache file
+   */
+  touchCacheEntry(filePath) {
+    if (!this.cacheEntries.has(filePath)) return;
+
+    const size = this.cacheEntries.get(filePath);
+    this.cacheEntries.delete(filePath);
+    this.cacheEntries.set(filePath, size);
+  }
+
+  /**
+   * Delete least recently used variants until the cache fits TRANSFORM_CACHE_MAX_BYTES
+   * @param {string} keep - Cache file that must survive (the one just generated)
+   * @returns {Promise<void>}
+   */
+  async evictCache(keep = null) {
+    let evicted = 0;
+    let freed = 0;
+
+    for (const [filePath, size] of this.cacheEntries) {
+      if (this.cacheBytes <= this.maxCacheBytes) break;
+      // Variants still being generated or sent to a client are never removed
+      if (filePath === keep || this.pending.has(filePath) || this.serving.has(filePath)) continue;
+
+      this.cacheEntries.delete(filePath);
+      this.cacheBytes -= size;
+      await fs.unlink(filePath).catch(() => {});
+      evicted++;
+      freed += size;
+    }
+
+    if (evicted > 0) {
+      console.log(`🧹 Evicted ${evicted} cached variants (${freed} bytes) from the transform cache`);
+    }
+  }
+
+  /**
+   * Express middleware serving `/images/<key>?w=&h=&fit=&format=&q=&sig=`.
+   * Requests without transform parameters fall through to the static file handler.
+   * @returns {Function} Middleware
+   */
+  middleware() {
+    return async (req, res, next) => {
+      if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+      if (!this.isTransformRequest(req.query)) return next();
+
+      let key;
+      try {
+        key = decodeURIComponent(req.path.replace(/^\/+/, ''));
+      } catch (error) {
+        key = '';
+      }
+
+      if (!this.isValidKey(key)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid image path',
+          code: 'INVALID_IMAGE_PATH'
+        });
+      }
+
+      const { params, error: paramError } = this.parseParams(req.query);
+
+      if (paramError) {
+        return res.status(400).json({
+          success: false,
+          error: paramError,
+          code: 'INVALID_TRANSFORM'
+        });
+      }
+
+      if (!this.isAllowed(key, params, req.query.sig)) {
+        if (!this.secret) {
+          return res.status(403).json({
+            success: false,
+            error: 'Only the sizes in TRANSFORM_ALLOWED_SIZES can be requested, without q',
+            code: 'TRANSFORM_NOT_ALLOWED'
+          });
+        }
+
+        return res.status(403).json({
+          success: false,
+          error: 'Missing or invalid signature for transform parameters',
+          code: 'INVALID_SIGNATURE'
+        });
+      }
+
+      const negotiated = !params.format;
+      const format = params.format || this.negotiateFormat(req.get('Accept'));
+
+      try {
+        const variant = await this.getVariant(key, { ...params, format });
+
+        if (negotiated) res.vary('Accept');
+        res.set('Content-Type', `image/${format}`);
+        res.sendFile(variant.filePath, { maxAge: '1d' }, error => {
+          variant.release();
+          if (error && !res.headersSent) next(error);
+        });
+      } catch (error) {
+        if (error.code === 'OBJECT_NOT_FOUND') {
+          return res.status(404).json({
+            success: false,
+            error: 'Image not found',
+            code: 'IMAGE_NOT_FOUND'
+          });
+        }
+
+        console.error(`❌ Failed to transform ${key}:`, error.message);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to transform image',
+          code: 'TRANSFORM_FAILED'
+        });
+      }
+    };
+  }
+}
+
+module.exports = new ImageTransformer();
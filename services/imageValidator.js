@@ -0,0 +1,167 @@
+const sharp = require('sharp');
+
+// Content types that say nothing about the payload; the bytes decide
+const GENERIC_CONTENT_TYPES = ['application/octet-stream', 'binary/octet-stream', 'application/binary'];
+const SVG_POLICIES = ['reject', 'sanitize'];
+// ISO-BMFF brands of AVIF and HEIF files
+const AVIF_BRANDS = ['avif', 'avis'];
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'mif1', 'msf1'];
+
+/**
+ * Checks downloaded files before they reach the processing pipeline: response
+ * Content-Type, magic bytes, a header decode, dimension bounds and the SVG policy.
+ * Every rejection carries a reason code (error.code).
+ */
+class ImageValidator {
+  constructor() {
+    this.minWidth = parseInt(process.env.IMAGE_MIN_WIDTH) || 32;
+    this.minHeight = parseInt(process.env.IMAGE_MIN_HEIGHT) || 32;
+    // Guards against decompression bombs: a small file that decodes to huge pixel buffers
+    this.maxPixels = parseInt(process.env.IMAGE_MAX_PIXELS) || 50000000;
+    this.svgPolicy = SVG_POLICIES.includes(process.env.SVG_POLICY) ? process.env.SVG_POLICY : 'reject';
+  }
+
+  /**
+   * Validate a downloaded file
+   * @param {Buffer} buffer - Downloaded bytes
+   * @param {Object} options - { contentType } from the response headers
+   * @returns {Promise<Object>} { buffer, format, width, height } - buffer is sanitized for SVG;
+   *   throws with code INVALID_CONTENT_TYPE, NOT_AN_IMAGE, SVG_NOT_ALLOWED, UNDECODABLE_IMAGE,
+   *   IMAGE_TOO_SMALL or IMAGE_TOO_LARGE
+   */
+  async validate(buffer, { contentType } = {}) {
+    const mimeType = String(contentType || '').split(';')[0].trim().toLowerCase();
+
+    if (mimeType && !mimeType.startsWith('image/') && !GENERIC_CONTENT_TYPES.includes(mimeType)) {
+      throw this.createError(`Response is ${mimeType}, not an image`, 'INVALID_CONTENT_TYPE');
+    }
+
+    const format = this.sniffFormat(buffer);
+
+    if (!format) {
+      const detail = this.looksLikeHtml(buffer) ? 'an HTML document' : 'an unrecognized file type';
+      throw this.createError(`Downloaded file is ${detail}`, 'NOT_AN_IMAGE');
+    }
+
+    if (format === 'svg') {
+      if (this.svgPolicy === 'reject') {
+        throw this.createError('SVG images are not accepted (SVG_POLICY=reject)', 'SVG_NOT_ALLOWED');
+      }
+      const svg = this.sanitizeSvg(buffer.toString('utf8'));
+      if (this.isUnsafeSvg(svg)) {
+        throw this.createError('SVG could not be sanitized', 'SVG_NOT_ALLOWED');
+      }
+      buffer = Buffer.from(svg);
+    }
+
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      throw this.createError(`Undecodable image: ${error.message}`, 'UNDECODABLE_IMAGE');
+    }
+
+    const { width, height } = metadata;
+
+    if (!width || !height) {
+      throw this.createError('Undecodable image: missing dimensions', 'UNDECODABLE_IMAGE');
+    }
+
+    if (width < this.minWidth || height < this.minHeight) {
+      throw this.createError(`Image is ${width}x${height}, below the ${this.minWidth}x${this.minHeight} minimum`, 'IMAGE_TOO_SMALL');
+    }
+
+    // Animated images decode every frame
+    const pixels = width * height * (metadata.pages || 1);
+    if (pixels > this.maxPixels) {
+      throw this.createError(`Image decodes to ${pixels} pixels, above the ${this.maxPixels} limit`, 'IMAGE_TOO_LARGE');
+    }
+
+    return { buffer, format, width, height };
+  }
+
+  /**
+   * Identify an image format from its first bytes
+   * @param {Buffer} buffer - File contents
+   * @returns {string|null} jpeg, png, gif, webp, avif, heif, tiff, bmp, svg or null
+   */
+  sniffFormat(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+
+    const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+    if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'gif';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+    if (ascii(4, 8) === 'ftyp') {
+      const brand = ascii(8, 12);
+      if (AVIF_BRANDS.includes(brand)) return 'avif';
+      if (HEIF_BRANDS.includes(brand)) return 'heif';
+    }
+    if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return 'tiff';
+    if (ascii(0, 2) === 'BM') return 'bmp';
+    if (this.looksLikeSvg(buffer)) return 'svg';
+
+    return null;
+  }
+
+  /**
+   * Check whether a text file is an SVG document
+   * @param {Buffer} buffer - File contents
+   * @returns {boolean} True if the root element is <svg>
+   */
+  looksLikeSvg(buffer) {
+    const head = buffer.toString('utf8', 0, 4096).replace(/^\uFEFF/, '');
+    return /^\s*(<\?xml[^>]*\?>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>\s*)*<svg[\s>]/i.test(head);
+  }
+
+  /**
+   * Check whether a response body is an HTML page (error pages, hotlink blockers)
+   * @param {Buffer} buffer - File contents
+   * @returns {boolean} True if it starts like HTML
+   */
+  looksLikeHtml(buffer) {
+    const head = buffer.toString('utf8', 0, 1024).replace(/^\uFEFF/, '');
+    return /^\s*(<!--[\s\S]*?-->\s*)*<(!doctype html|html|head|body)[\s>]/i.test(head);
+  }
+
+  /**
+   * Check an SVG document for constructs that could run code, fetch resources or
+   * expand entities when rendered
+   * @param {string} svg - SVG source
+   * @returns {boolean} True if the document is unsafe to render as is
+   */
+  isUnsafeSvg(svg) {
+    return /<script|\son\w+\s*=|<foreignObject|<!ENTITY|href\s*=\s*["'](?!#|data:image\/)/i.test(svg);
+  }
+
+  /**
+   * Remove scripts, event handlers, foreign content, entity declarations and
+   * external references from an SVG document
+   * @param {string} svg - SVG source
+   * @returns {string} Sanitized SVG source
+   */
+  sanitizeSvg(svg) {
+    return svg
+      .replace(/<!DOCTYPE[^>[]*(\[[\s\S]*?\])?\s*>/gi, '')
+      .replace(/<script[\s\S]*?(<\/script\s*>|$)/gi, '')
+      .replace(/<foreignObject[\s\S]*?(<\/foreignObject\s*>|$)/gi, '')
+      .replace(/\son\w+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '')
+      .replace(/\s(xlink:)?href\s*=\s*("(?!#|data:image\/)[^"]*"|'(?!#|data:image\/)[^']*')/gi, '');
+  }
+
+  /**
+   * Create an error carrying a rejection reason code
+   * @param {string} message - Error message
+   * @param {string} code - Reason code
+   * @returns {Error} Error instance
+   */
+  createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = new ImageValidator();
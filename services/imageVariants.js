@@ -0,0 +1,134 @@
+/**
+ * Responsive variants written next to each stored image at ingest time,
+ * e.g. [{ name: 'thumb', width: 320 }, { name: 'hero', width: 1600, format: 'avif' }].
+ */
+const VARIANT_FORMATS = ['webp', 'avif', 'jpeg', 'png'];
+const VARIANT_FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+const EXTENSIONS = { webp: 'webp', avif: 'avif', jpeg: 'jpg', png: 'png' };
+const MAX_VARIANTS = 10;
+const MAX_DIMENSION = 4000;
+
+/**
+ * Validate and normalize the `variants` field of a request body
+ * @param {Array} value - Variant specs
+ * @returns {Object} { variants } on success (empty array when absent) or { error } with a message
+ */
+function normalizeVariants(value) {
+  if (value === undefined || value === null) return { variants: [] };
+
+  if (!Array.isArray(value) || value.length > MAX_VARIANTS) {
+    return { error: `variants must be an array of at most ${MAX_VARIANTS} variant specs` };
+  }
+
+  const variants = [];
+
+  for (const spec of value) {
+    if (!spec || typeof spec !== 'object') {
+      return { error: 'Each variant must be an object with name and width and/or height' };
+    }
+
+    const name = typeof spec.name === 'string' ? spec.name.trim().toLowerCase() : '';
+    if (!/^[a-z0-9_-]{1,32}$/.test(name)) {
+      return { error: 'Variant name must be 1-32 characters of a-z, 0-9, _ or -' };
+    }
+    if (variants.some(variant => variant.name === name)) {
+      return { error: `Duplicate variant name: ${name}` };
+    }
+
+    const variant = { name, width: null, height: null, fit: 'inside', format: 'webp', quality: 80 };
+
+    for (const dimension of ['width', 'height']) {
+      if (spec[dimension] === undefined || spec[dimension] === null) continue;
+
+      const size = Number(spec[dimension]);
+      if (!Number.isInteger(size) || size < 1 || size > MAX_DIMENSION) {
+        return { error: `Variant ${name}: ${dimension} must be an integer between 1 and ${MAX_DIMENSION}` };
+      }
+      variant[dimension] = size;
+    }
+
+    if (!variant.width && !variant.height) {
+      return { error: `Variant ${name}: width or height is required` };
+    }
+
+    if (spec.fit !== undefined) {
+      if (!VARIANT_FITS.includes(spec.fit)) {
+        return { error: `Variant ${name}: fit must be one of: ${VARIANT_FITS.join(', ')}` };
+      }
+      variant.fit = spec.fit;
+    }
+
+    if (spec.format !== undefined) {
+      const format = spec.format === 'jpg' ? 'jpeg' : spec.format;
+      if (!VARIANT_FORMATS.includes(format)) {
+        return { error: `Variant ${name}: format must be one of: ${VARIANT_FORMATS.join(', ')}` };
+      }
+      variant.format = format;
+    }
+
+    if (spec.quality !== undefined) {
+      const quality = Number(spec.quality);
+      if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+        return { error: `Variant ${name}: quality must be an integer between 1 and 100` };
+      }
+      variant.quality = quality;
+    }
+
+    variants.push(variant);
+  }
+
+  return { variants };
+}
+
+/**
+ * Identify a variant spec so a stored image is only reused when it was
+ * rendered with exactly the same settings
+ * @param {Object} variant - Normalized variant
+ * @returns {string} Spec identifier
+ */
+function variantSpecId(variant) {
+  return `${variant.width || ''}x${variant.height || ''}:${variant.fit}:${variant.format}:q${variant.quality}`;
+}
+
+/**
+ * Storage key of a variant, stored next to its image
+ * (`cats/2025-01-31/123_ab12_1.webp` -> `cats/2025-01-31/123_ab12_1_thumb.avif`)
+ * @param {string} key - Storage key of the main image
+ * @param {Object} variant - Normalized variant
+ * @returns {string} Variant key
+ */
+function variantKey(key, variant) {
+  return `${key.replace(/\.[^./]+$/, '')}_${variant.name}.${EXTENSIONS[variant.format]}`;
+}
+
+/**
+ * Build `srcset` strings, one per format, from the main image and its variants.
+ * Browsers cannot skip formats they do not support inside one srcset, so each
+ * format gets its own string for use in <picture><source type=...>.
+ * @param {Object} main - Main image { url, width, format }
+ * @param {Object} variants - Stored variants keyed by name ({ url, width, format })
+ * @returns {Object} Map of format to srcset string
+ */
+function buildSrcsets(main, variants = {}) {
+  const entries = [main, ...Object.values(variants)].filter(entry => entry && entry.url && entry.width);
+  const byFormat = {};
+
+  for (const entry of entries.sort((a, b) => a.width - b.width)) {
+    const list = byFormat[entry.format] || (byFormat[entry.format] = []);
+    // One candidate per width descriptor
+    if (!list.some(item => item.width === entry.width)) list.push(entry);
+  }
+
+  return Object.fromEntries(Object.entries(byFormat).map(([format, list]) => [
+    format,
+    list.map(entry => `${entry.url} ${entry.width}w`).join(', ')
+  ]));
+}
+
+module.exports = {
+  VARIANT_FORMATS,
+  normalizeVariants,
+  variantSpecId,
+  variantKey,
+  buildSrcsets
+};
@@ -0,0 +1,326 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const imageSearchService = require('./imageSearchService');
+const webhookDispatcher = require('./webhookDispatcher');
+const watermarkService = require('./watermarkService');
+const apiKeys = require('./apiKeys');
+
+const ACTIVE_STATES = ['searching', 'downloading'];
+const FINAL_STATES = ['done', 'failed', 'cancelled'];
+
+class JobManager {
+  constructor() {
+    this.jobsDir = process.env.JOBS_DIR || './data/jobs';
+    this.concurrency = Math.max(parseInt(process.env.JOB_CONCURRENCY) || 2, 1);
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+    this.cancelRequests = new Set();
+    this.writeQueues = new Map();
+    this.ready = null;
+  }
+
+  /**
+   * Load persisted jobs and resume the ones interrupted by a restart
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.ready) return this.ready;
+
+    this.ready = (async () => {
+      try {
+        await fs.mkdir(this.jobsDir, { recursive: true });
+        const files = await fs.readdir(this.jobsDir);
+        const resumable = [];
+
+        for (const file of files) {
+          if (!file.endsWith('.json')) continue;
+
+          try {
+            const job = JSON.parse(await fs.readFile(path.join(this.jobsDir, file), 'utf8'));
+            this.jobs.set(job.id, job);
+
+            if (job.state === 'queued' || ACTIVE_STATES.includes(job.state)) {
+              resumable.push(job);
+            }
+          } catch (error) {
+            console.warn(`⚠️ Skipping unreadable job file ${file}:`, error.message);
+          }
+        }
+
+        // Resume in creation order so older jobs keep their place in line
+        resumable.sort((a, b) => a.created_at.localeCompare(b.created_at));
+        for (const job of resumable) {
+          if (job.state !== 'queued') {
+            job.restarts = (job.restarts || 0) + 1;
+            this.resetJob(job);
+            await this.save(job);
+          }
+          this.queue.push(job.id);
+        }
+
+        console.log(`📋 Job manager initialized: ${this.jobs.size} jobs, ${resumable.length} resumed`);
+      } catch (error) {
+        console.error('❌ Failed to initialize job manager:', error.message);
+      }
+
+      this.drain();
+    })();
+
+    return this.ready;
+  }
+
+  /**
+   * Create and enqueue a new search job
+   * @param {Object} request - Normalized search request
+   * @param {Object} extra - Additional fields stored on the job
+   * @returns {Promise<Object>} Created job
+   */
+  async createJob(request, extra = {}) {
+    await this.initialize();
+
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      state: 'queued',
+      request,
+      ...extra,
+      progress: { total: 0, completed: 0, failed: 0, images: [] },
+      result: null,
+      error: null,
+      restarts: 0,
+      created_at: now,
+      updated_at: now,
+      started_at: null,
+      finished_at: null
+    };
+
+    this.jobs.set(job.id, job);
+    await this.save(job);
+    this.queue.push(job.id);
+
+    console.log(`📥 Job ${job.id} queued for keyword: "${request.keyword}"`);
+    this.drain();
+
+    return job;
+  }
+
+  /**
+   * Get a job by id
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} Job or null if unknown
+   */
+  async getJob(id) {
+    await this.initialize();
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Cancel a job. Queued jobs stop immediately, running jobs stop at the next checkpoint.
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} Updated job or null if unknown
+   */
+  async cancelJob(id) {
+    await this.initialize();
+
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (FINAL_STATES.includes(job.state)) return job;
+
+    if (job.state === 'queued') {
+      this.queue = this.queue.filter(queuedId => queuedId !== id);
+      // Never run, so nothing of the reserved quota was used
+      await apiKeys.settle(job.request.api_key_id, job.request.quota_reservation);
+      job.request.quota_reservation = null;
+      await this.finish(job, 'cancelled', { error: { message: 'Job was cancelled', code: 'JOB_CANCELLED' } });
+    } else {
+      this.cancelRequests.add(id);
+      job.cancel_requested = true;
+      await this.save(job);
+    }
+
+    return job;
+  }
+
+  /**
+   * Start queued jobs up to the concurrency limit
+   */
+  drain() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const job = this.jobs.get(this.queue.shift());
+      if (!job || job.state !== 'queued') continue;
+
+      this.running++;
+      this.runJob(job)
+        .catch(error => console.error(`❌ Job ${job.id} crashed:`, error.message))
+        .finally(() => {
+          this.running--;
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Run a job through the search pipeline, persisting progress as it goes
+   * @param {Object} job - Job to run
+   * @returns {Promise<void>}
+   */
+  async runJob(job) {
+    job.started_at = new Date().toISOString();
+    const isCancelled = () => this.cancelRequests.has(job.id);
+
+    try {
+      const result = await imageSearchService.run(job.request, {
+        isCancelled,
+        background: true,
+        onStateChange: (state, details = {}) => {
+          job.state = state;
+          if (details.images) {
+            job.progress = {
+              total: details.images.length,
+              completed: 0,
+              failed: 0,
+              images: details.images.map((image, index) => ({
+                index,
+                original_url: image.url,
+                title: image.title || 'Untitled',
+                status: 'pending',
+                url: null,
+                stage: null,
+                code: null,
+                error: null
+              }))
+            };
+          }
+          this.save(job);
+        },
+        onImageProgress: (index, update) => {
+          const image = job.progress.images[index];
+          if (!image) return;
+
+          Object.assign(image, update);
+          if (update.status === 'stored' || update.status === 'reused') job.progress.completed++;
+          if (update.status === 'failed') job.progress.failed++;
+          this.save(job);
+        }
+      });
+
+      await this.finish(job, 'done', { result: { success: true, ...result } });
+    } catch (error) {
+      if (error.code === 'JOB_CANCELLED') {
+        await this.finish(job, 'cancelled', { error: { message: error.message, code: error.code } });
+        return;
+      }
+
+      const { errorCode } = imageSearchService.classifyError(error);
+      await this.finish(job, 'failed', { error: { message: error.message, code: errorCode } });
+    }
+  }
+
+  /**
+   * Move a job to a final state and fire its callback, if any
+   * @param {Object} job - Job to finish
+   * @param {string} state - Final state
+   * @param {Object} fields - Fields to set (result / error)
+   * @returns {Promise<void>}
+   */
+  async finish(job, state, fields = {}) {
+    Object.assign(job, fields);
+    job.state = state;
+    job.finished_at = new Date().toISOString();
+    this.cancelRequests.delete(job.id);
+    await this.save(job);
+
+    console.log(`🏁 Job ${job.id} ${state}`);
+
+    if (job.callback_url) {
+      webhookDispatcher.dispatch(job.callback_url, this.buildCallbackPayload(job), { job_id: job.id });
+    }
+  }
+
+  /**
+   * Build the callback body: the same JSON the synchronous endpoint returns
+   * @param {Object} job - Finished job
+   * @returns {Object} Callback payload
+   */
+  buildCallbackPayload(job) {
+    if (job.state === 'done') {
+      return { ...job.result, job_id: job.id };
+    }
+
+    return {
+      success: false,
+      job_id: job.id,
+      error: job.error.message,
+      code: job.error.code,
+      keyword: job.request.keyword,
+      processing_time_ms: new Date(job.finished_at) - new Date(job.started_at || job.created_at),
+      timestamp: job.finished_at
+    };
+  }
+
+  /**
+   * Reset an interrupted job so it runs again from the start
+   * @param {Object} job - Job to reset
+   */
+  resetJob(job) {
+    job.state = 'queued';
+    job.progress = { total: 0, completed: 0, failed: 0, images: [] };
+    job.started_at = null;
+    job.cancel_requested = false;
+  }
+
+  /**
+   * Persist a job to disk. Writes per job are serialized and atomic (write + rename).
+   * @param {Object} job - Job to save
+   * @returns {Promise<void>}
+   */
+  save(job) {
+    job.updated_at = new Date().toISOString();
+    const snapshot = JSON.stringify(job, null, 2);
+    const filePath = path.join(this.jobsDir, `${job.id}.json`);
+    const previous = this.writeQueues.get(job.id) || Promise.resolve();
+
+    const write = previous.then(async () => {
+      await fs.mkdir(this.jobsDir, { recursive: true });
+      await fs.writeFile(`${filePath}.tmp`, snapshot);
+      await fs.rename(`${filePath}.tmp`, filePath);
+    }).catch(error => {
+      console.error(`❌ Failed to persist job ${job.id}:`, error.message);
+    });
+
+    this.writeQueues.set(job.id, write);
+    write.then(() => {
+      if (this.writeQueues.get(job.id) === write) this.writeQueues.delete(job.id);
+    });
+    return write;
+  }
+
+  /**
+   * Shape a job for API responses
+   * @param {Object} job - Job
+   * @returns {Object} Public job representation
+   */
+  toJSON(job) {
+    return {
+      id: job.id,
+      state: job.state,
+      keyword: job.request.keyword,
+      requested_count: job.request.count,
+      watermark: watermarkService.label(job.request.watermark),
+      callback_url: job.callback_url || null,
+      cancel_requested: Boolean(job.cancel_requested),
+      progress: job.progress,
+      result: job.result,
+      error: job.error,
+      restarts: job.restarts,
+      created_at: job.created_at,
+      updated_at: job.updated_at,
+      started_at: job.started_at,
+      finished_at: job.finished_at
+    };
+  }
+}
+
+module.exports = new JobManager();
@@ -0,0 +1,50 @@
+const sharp = require('sharp');
+
+/**
+ * Compute a 64-bit difference hash (dHash). The image is reduced to a 9x8 greyscale
+ * grid and each bit records whether a pixel is brighter than its right neighbour, so
+ * re-encoded, resized or slightly recompressed copies of a photo hash (almost) the same.
+ * @param {Buffer} imageBuffer - Image buffer in any format sharp can decode
+ * @returns {Promise<string>} 16 character hex hash
+ */
+async function computeDHash(imageBuffer) {
+  const pixels = await sharp(imageBuffer)
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Count differing bits between two hex hashes
+ * @param {string} a - First hash
+ * @param {string} b - Second hash
+ * @returns {number} Hamming distance (0-64)
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+
+  return distance;
+}
+
+module.exports = {
+  computeDHash,
+  hammingDistance
+};
@@ -0,0 +1,159 @@
+const cheerio = require('cheerio');
+const { toBingFilter } = require('../searchFilters');
+
+class BingProvider {
+  /**
+   * @param {Object} scraper - ImageScraper providing proxy and user agent rotation
+   */
+  constructor(scraper) {
+    this.name = 'bing';
+    this.scraper = scraper;
+  }
+
+  /**
+   * Search Bing Images by scraping the HTML results page
+   * @param {string} keyword - Search keyword
+   * @param {Object} options - Search options
+   * @param {Function} options.isCancelled - Returns true to abort between attempts
+   * @param {Function} options.isEnough - Returns true once the collected results satisfy the request
+   * @param {number} options.maxPages - Maximum number of result pages to fetch
+   * @param {Object} options.filters - Normalized search filters
+   * @returns {Promise<Array>} Raw results ({ image, url, title, width, height, thumbnail })
+   */
+  async search(keyword, options = {}) {
+    const maxRetries = this.scraper.getAttemptBudget(3);
+    const tried = [];
+    let lastError = null;
+
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      this.scraper.throwIfCancelled(options);
+
+      const proxy = this.scraper.getNextProxy(tried);
+      tried.push(proxy);
+
+      try {
+        console.log(`🔍 Bing search attempt ${attempt + 1}/${maxRetries} for keyword: ${keyword}`);
+
+        const searchUrl = `https://www.bing.com/images/search?q=${encodeURIComponent(keyword)}&form=HDRSC2&first=1${this.buildFilterParam(options.filters)}`;
+        const response = await this.scraper.get(searchUrl, proxy, false);
+
+        const results = this.parseResults(response.data);
+
+        if (results.length === 0) {
+          throw new Error('No images found in Bing results');
+        }
+
+        this.scraper.reportProxyResult(proxy);
+        await this.fetchMorePages(results, keyword, proxy, options);
+        return results;
+
+      } catch (error) {
+        if (error.code === 'JOB_CANCELLED') throw error;
+
+        lastError = error;
+        this.scraper.reportProxyResult(proxy, error);
+        console.error(`❌ Bing search attempt ${attempt + 1} failed:`, error.message);
+
+        if (attempt === maxRetries - 1) {
+          break;
+        }
+
+        const waitTime = 1000 + Math.random() * 1000;
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      }
+    }
+
+    throw new Error(`Bing search failed after ${maxRetries} attempts. Last error: ${lastError?.message}`);
+  }
+
+  /**
+   * Load further result pages through Bing's async endpoint (offset based via `first`)
+   * until enough results are collected, a page adds nothing new, or the page budget runs out.
+   * @param {Array} results - Results collected from the first page (appended to)
+   * @param {string} keyword - Search keyword
+   * @param {string} proxy - Proxy used for this search session
+   * @param {Object} options - Search options (isEnough, maxPages, isCancelled)
+   * @returns {Promise<number>} Number of pages fetched in total
+   */
+  async fetchMorePages(results, keyword, proxy, options = {}) {
+    const maxPages = options.maxPages || 1;
+    const seen = new Set(results.map(result => result.image));
+    // Bing's offset counts every result it returned, including ones dropped here as duplicates
+    let fetched = results.length;
+    let pages = 1;
+
+    while (pages < maxPages && !(options.isEnough && options.isEnough(results))) {
+      this.scraper.throwIfCancelled(options);
+      await new Promise(resolve => setTimeout(resolve, 500 + Math.random() * 500));
+
+      try {
+        const pageUrl = `https://www.bing.com/images/async?q=${encodeURIComponent(keyword)}&first=${fetched + 1}&count=35&mmasync=1${this.buildFilterParam(options.filters)}`;
+        const response = await this.scraper.get(pageUrl, proxy, false);
+        pages++;
+
+        const pageResults = this.parseResults(response.data);
+        fetched += pageResults.length;
+
+        const before = results.length;
+        for (const result of pageResults) {
+          if (seen.has(result.image)) continue;
+          seen.add(result.image);
+          results.push(result);
+        }
+
+        console.log(`📄 Bing page ${pages}: ${results.length} results collected`);
+        if (results.length === before) break;
+      } catch (error) {
+        console.warn(`⚠️ Bing page ${pages + 1} failed, keeping ${results.length} results:`, error.message);
+        break;
+      }
+    }
+
+    return pages;
+  }
+
+  /**
+   * Build the `qft` query string fragment for the requested filters
+   * @param {Object} filters - Normalized search filters
+   * @returns {string} `&qft=...` or an empty string
+   */
+  buildFilterParam(filters) {
+    const qft = toBingFilter(filters);
+    return qft ? `&qft=${encodeURIComponent(qft)}` : '';
+  }
+
+  /**
+   * Parse Bing Images HTML. Each result tile is an `a.iusc` whose `m` attribute holds JSON metadata.
+   * @param {string} html - Results page HTML
+   * @returns {Array} Raw results
+   */
+  parseResults(html) {
+    const $ = cheerio.load(html);
+    const results = [];
+
+    $('a.iusc').each((i, element) => {
+      const raw = $(element).attr('m');
+      if (!raw) return;
+
+      try {
+        const metadata = JSON.parse(raw);
+        if (!metadata.murl) return;
+
+        results.push({
+          image: metadata.murl,
+          url: metadata.purl || null,
+          title: metadata.t || 'Untitled',
+          width: null,
+          height: null,
+          thumbnail: metadata.turl || null
+        });
+      } catch (error) {
+        // Skip tiles with malformed metadata
+      }
+    });
+
+    return results;
+  }
+}
+
+module.exports = BingProvider;
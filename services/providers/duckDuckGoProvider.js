@@ -0,0 +1,252 @@
+const { toDuckDuckGoFilter } = require('../searchFilters');
+const { createVqdExtractors } = require('./vqdExtractors');
+const imageIndex = require('../imageIndex');
+
+class DuckDuckGoProvider {
+  /**
+   * @param {Object} scraper - ImageScraper providing proxy and user agent rotation
+   */
+  constructor(scraper) {
+    this.name = 'duckduckgo';
+    this.scraper = scraper;
+    this.baseUrl = 'https://duckduckgo.com/';
+    // vqd tokens by normalized keyword (as the search cache keys its entries), least
+    // recently stored first; reusing one saves a page load and the pause after it
+    this.vqdTtlMs = (parseInt(process.env.DDG_VQD_TTL_SECONDS) || 600) * 1000;
+    this.maxVqdTokens = Math.max(parseInt(process.env.DDG_VQD_CACHE_SIZE) || 200, 1);
+    this.vqdTokens = new Map();
+    // Regex/JSON strategies first; headless Chromium only when DDG_HEADLESS_VQD=true
+    this.vqdExtractors = createVqdExtractors({ headless: process.env.DDG_HEADLESS_VQD === 'true' });
+  }
+
+  /**
+   * Search DuckDuckGo images with proxy rotation
+   * @param {string} keyword - Search keyword
+   * @param {Object} options - Search options
+   * @param {Function} options.isCancelled - Returns true to abort between attempts
+   * @param {Function} options.isEnough - Returns true once the collected results satisfy the request
+   * @param {number} options.maxPages - Maximum number of result pages to fetch
+   * @param {Object} options.filters - Normalized search filters
+   * @returns {Promise<Array>} Raw results ({ image, url, title, width, height, thumbnail })
+   */
+  async search(keyword, options = {}) {
+    const maxRetries = this.scraper.getAttemptBudget(8); // Try up to 8 different proxies, or once directly
+    const tried = [];
+    let lastError = null;
+
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+      this.scraper.throwIfCancelled(options);
+
+      // Get next proxy for this attempt
+      const proxy = this.scraper.getNextProxy(tried);
+      tried.push(proxy);
+
+      try {
+        console.log(`🔍 DuckDuckGo search attempt ${attempt + 1}/${maxRetries} for keyword: ${keyword}`);
+        
+        let session = await this.getVqd(keyword, proxy);
+        let imageData;
+        
+        try {
+          imageData = await this.fetchFirstPage(keyword, session.vqd, proxy, options);
+        } catch (error) {
+          if (!session.reused) throw error;
+          
+          // A reused token can be invalidated before its TTL runs out; retry once with a fresh one
+          console.log(`♻️  Cached vqd token for "${keyword}" was rejected, fetching a new one`);
+          this.vqdTokens.delete(imageIndex.normalizeKeyword(keyword));
+          session = await this.getVqd(keyword, proxy);
+          imageData = await this.fetchFirstPage(keyword, session.vqd, proxy, options);
+        }
+
+        const results = this.normalizeResults(imageData.results);
+        this.scraper.reportProxyResult(proxy);
+        await this.fetchMorePages(results, imageData.next, session.vqd, proxy, options);
+        return results;
+
+      } catch (error) {
+        if (error.code === 'JOB_CANCELLED') throw error;
+
+        lastError = error;
+        this.scraper.reportProxyResult(proxy, error);
+        console.error(`❌ DuckDuckGo search attempt ${attempt + 1} failed:`, error.message);
+        
+        // If this was the last attempt, we'll throw the error
+        if (attempt === maxRetries - 1) {
+          break;
+        }
+        
+        // Wait longer between failed attempts with some randomization
+        const waitTime = 2000 + (attempt * 1000) + Math.random() * 2000;
+        console.log(`⏳ Waiting ${Math.round(waitTime/1000)}s before next attempt...`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      }
+    }
+
+    // If we get here, all attempts failed
+    throw new Error(`DuckDuckGo search failed after ${maxRetries} attempts. Last error: ${lastError?.message}`);
+  }
+
+  /**
+   * Get a vqd token for a keyword, reusing one extracted within DDG_VQD_TTL_SECONDS.
+   * At most DDG_VQD_CACHE_SIZE tokens are kept.
+   * @param {string} keyword - Search keyword
+   * @param {string} proxy - Proxy to load the search page through
+   * @returns {Promise<Object>} { vqd, reused }
+   */
+  async getVqd(keyword, proxy) {
+    const tokenKey = imageIndex.normalizeKeyword(keyword);
+    const cached = this.vqdTokens.get(tokenKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      console.log('♻️  Reusing VQD token:', cached.vqd);
+      return { vqd: cached.vqd, reused: true };
+    }
+
+    // DuckDuckGo image search URL
+    const searchUrl = `https://duckduckgo.com/?q=${encodeURIComponent(keyword)}&t=h_&iax=images&ia=images`;
+    
+    // First, get the search page with realistic browser headers
+    const response = await this.scraper.get(searchUrl, proxy, false);
+    
+    // Extract vqd token needed for DuckDuckGo API
+    const vqd = await this.extractVqd(response, { keyword, proxy, searchUrl });
+
+    // Drop expired tokens, then the oldest ones, so the map does not grow with every
+    // keyword ever searched
+    for (const [key, token] of this.vqdTokens) {
+      if (token.expiresAt <= Date.now()) this.vqdTokens.delete(key);
+    }
+    this.vqdTokens.delete(tokenKey);
+    this.vqdTokens.set(tokenKey, { vqd, expiresAt: Date.now() + this.vqdTtlMs });
+    while (this.vqdTokens.size > this.maxVqdTokens) {
+      this.vqdTokens.delete(this.vqdTokens.keys().next().value);
+    }
+
+    // Wait a bit to simulate human behavior
+    await new Promise(resolve => setTimeout(resolve, 1500 + Math.random() * 1000));
+
+    return { vqd, reused: false };
+  }
+
+  /**
+   * Run the extractor chain over a search page. When every extractor fails the page is
+   * captured (SEARCH_CAPTURE_FAILURES=true) so a new extractor can be written from it.
+   * @param {Object} response - axios response for the search page
+   * @param {Object} context - { keyword, proxy, searchUrl }
+   * @returns {Promise<string>} vqd token
+   */
+  async extractVqd(response, context) {
+    const tried = [];
+
+    for (const extractor of this.vqdExtractors) {
+      try {
+        const vqd = await extractor.extract({ ...context, html: response.data, scraper: this.scraper });
+        if (vqd) {
+          console.log(`✅ VQD token extracted (${extractor.name}):`, vqd);
+          return vqd;
+        }
+        tried.push(extractor.name);
+      } catch (error) {
+        tried.push(`${extractor.name} (${error.message})`);
+      }
+    }
+
+    await this.scraper.captureResponse(this.name, context.keyword, response, { proxy: context.proxy, extractors: tried });
+    throw new Error(`Could not extract vqd token from DuckDuckGo (tried: ${tried.join(', ')})`);
+  }
+
+  /**
+   * Call the i.js image API for the first page of results
+   * @param {string} keyword - Search keyword
+   * @param {string} vqd - vqd token for this keyword
+   * @param {string} proxy - Proxy used for this search session
+   * @param {Object} options - Search options (filters)
+   * @returns {Promise<Object>} i.js response with results and next cursor
+   */
+  async fetchFirstPage(keyword, vqd, proxy, options = {}) {
+    // Now make the actual image search API call with API-specific headers
+    const imageApiUrl = `https://duckduckgo.com/i.js`;
+    const params = {
+      l: 'us-en',
+      o: 'json',
+      q: keyword,
+      vqd: vqd,
+      f: toDuckDuckGoFilter(options.filters),
+      p: '1',
+      v7exp: 'a'
+    };
+
+    const imageResponse = await this.scraper.get(imageApiUrl, proxy, true, { params });
+    const imageData = imageResponse.data;
+    
+    if (!imageData.results || imageData.results.length === 0) {
+      throw new Error('No images found in DuckDuckGo results');
+    }
+
+    return imageData;
+  }
+
+  /**
+   * Follow the `next` cursor of i.js until enough results are collected or the page budget runs out.
+   * Results are appended to the given array; a failing page keeps what was collected so far.
+   * @param {Array} results - Results collected from the first page
+   * @param {string} next - Relative `next` cursor from the previous page
+   * @param {string} vqd - vqd token for this search session
+   * @param {string} proxy - Proxy used for this search session
+   * @param {Object} options - Search options (isEnough, maxPages, isCancelled)
+   * @returns {Promise<number>} Number of pages fetched in total
+   */
+  async fetchMorePages(results, next, vqd, proxy, options = {}) {
+    const maxPages = options.maxPages || 1;
+    const seen = new Set(results.map(result => result.image));
+    let pages = 1;
+
+    while (next && pages < maxPages && !(options.isEnough && options.isEnough(results))) {
+      this.scraper.throwIfCancelled(options);
+
+      // Short pause between pages, like a user scrolling
+      await new Promise(resolve => setTimeout(resolve, 800 + Math.random() * 700));
+
+      try {
+        const pageUrl = new URL(next, this.baseUrl);
+        pageUrl.searchParams.set('vqd', vqd);
+
+        const pageResponse = await this.scraper.get(pageUrl.toString(), proxy, true);
+        const pageData = pageResponse.data;
+        pages++;
+
+        for (const result of this.normalizeResults(pageData.results || [])) {
+          if (seen.has(result.image)) continue;
+          seen.add(result.image);
+          results.push(result);
+        }
+
+        console.log(`📄 DuckDuckGo page ${pages}: ${results.length} results collected`);
+        next = pageData.next;
+      } catch (error) {
+        console.warn(`⚠️ DuckDuckGo page ${pages + 1} failed, keeping ${results.length} results:`, error.message);
+        break;
+      }
+    }
+
+    return pages;
+  }
+
+  /**
+   * Convert i.js results into the common provider result shape
+   * @param {Array} rawResults - DuckDuckGo results
+   * @returns {Array} Raw results ({ image, url, title, width, height, thumbnail })
+   */
+  normalizeResults(rawResults) {
+    return rawResults.map(result => ({
+      image: result.image,
+      url: result.url,
+      title: result.title,
+      width: result.width || null,
+      height: result.height || null,
+      thumbnail: result.thumbnail || null
+    }));
+  }
+}
+
+module.exports = DuckDuckGoProvider;
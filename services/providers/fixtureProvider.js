@@ -0,0 +1,59 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+class FixtureProvider {
+  constructor() {
+    this.name = 'fixture';
+    // Fixtures are local files; caching would hide edits to them
+    this.cacheable = false;
+    this.fixtureDir = process.env.SEARCH_FIXTURE_DIR || './fixtures/search';
+  }
+
+  /**
+   * Convert a keyword into a fixture file name
+   * @param {string} keyword - Search keyword
+   * @returns {string} File name without extension
+   */
+  slugify(keyword) {
+    return keyword.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  /**
+   * Read canned results from `<fixtureDir>/<keyword-slug>.json`, falling back to `default.json`.
+   * Files contain either an array of results or a DuckDuckGo-style `{ results: [...] }` object.
+   * @param {string} keyword - Search keyword
+   * @returns {Promise<Array>} Raw results ({ image, url, title, width, height, thumbnail })
+   */
+  async search(keyword) {
+    const candidates = [`${this.slugify(keyword)}.json`, 'default.json'];
+
+    for (const file of candidates) {
+      const filePath = path.join(this.fixtureDir, file);
+      let content;
+
+      try {
+        content = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      const data = JSON.parse(content);
+      const results = Array.isArray(data) ? data : data.results || [];
+      console.log(`📂 Loaded ${results.length} fixture results from ${filePath}`);
+
+      return results.map(result => ({
+        image: result.image,
+        url: result.url || null,
+        title: result.title || 'Untitled',
+        width: result.width || null,
+        height: result.height || null,
+        thumbnail: result.thumbnail || null
+      }));
+    }
+
+    throw new Error(`No search fixture found for "${keyword}" in ${this.fixtureDir}`);
+  }
+}
+
+module.exports = FixtureProvider;
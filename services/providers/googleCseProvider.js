@@ -0,0 +1,123 @@
+const { toGoogleParams } = require('../searchFilters');
+
+// The Custom Search JSON API returns at most 10 results per call and 100 per query
+const PAGE_SIZE = 10;
+const MAX_RESULTS = 100;
+
+class GoogleCseProvider {
+  /**
+   * @param {Object} scraper - ImageScraper providing rate-limited HTTP and cancellation
+   */
+  constructor(scraper) {
+    this.name = 'google';
+    this.scraper = scraper;
+    this.endpoint = 'https://www.googleapis.com/customsearch/v1';
+    this.apiKey = process.env.GOOGLE_CSE_API_KEY || '';
+    this.cx = process.env.GOOGLE_CSE_CX || '';
+  }
+
+  /**
+   * Check whether an API key and search engine id are configured
+   * @returns {boolean} True when the provider can be used
+   */
+  isConfigured() {
+    return Boolean(this.apiKey && this.cx);
+  }
+
+  /**
+   * Search images through the Google Custom Search JSON API. Requests go out directly
+   * (no proxy rotation) and count against the API key's daily query quota.
+   * @param {string} keyword - Search keyword
+   * @param {Object} options - Search options
+   * @param {Function} options.isCancelled - Returns true to abort between pages
+   * @param {Function} options.isEnough - Returns true once the collected results satisfy the request
+   * @param {number} options.maxPages - Maximum number of result pages (10 results each) to fetch
+   * @param {Object} options.filters - Normalized search filters (layout has no API equivalent)
+   * @returns {Promise<Array>} Raw results ({ image, url, title, width, height, thumbnail })
+   */
+  async search(keyword, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Google Custom Search is not configured (set GOOGLE_CSE_API_KEY and GOOGLE_CSE_CX)');
+    }
+
+    const maxPages = Math.min(options.maxPages || 1, MAX_RESULTS / PAGE_SIZE);
+    const results = [];
+    const seen = new Set();
+
+    console.log(`🔍 Google Custom Search for keyword: ${keyword}`);
+
+    for (let page = 0; page < maxPages; page++) {
+      this.scraper.throwIfCancelled(options);
+
+      const items = await this.fetchPage(keyword, page * PAGE_SIZE + 1, options.filters);
+      for (const result of items) {
+        if (seen.has(result.image)) continue;
+        seen.add(result.image);
+        results.push(result);
+      }
+
+      if (page > 0) console.log(`📄 Google page ${page + 1}: ${results.length} results collected`);
+      if (items.length < PAGE_SIZE || (options.isEnough && options.isEnough(results))) break;
+    }
+
+    if (results.length === 0) {
+      throw new Error('No images found in Google Custom Search results');
+    }
+
+    return results;
+  }
+
+  /**
+   * Fetch one page of results
+   * @param {string} keyword - Search keyword
+   * @param {number} start - 1-based index of the first result
+   * @param {Object} filters - Normalized search filters
+   * @returns {Promise<Array>} Raw results
+   */
+  async fetchPage(keyword, start, filters) {
+    try {
+      const response = await this.scraper.get(this.endpoint, null, true, {
+        params: {
+          cx: this.cx,
+          q: keyword,
+          searchType: 'image',
+          num: PAGE_SIZE,
+          start,
+          ...toGoogleParams(filters)
+        },
+        // Sent as a header so the key never appears in logged or recorded URLs
+        headers: { 'Accept': 'application/json', 'X-Goog-Api-Key': this.apiKey }
+      });
+
+      return this.parseResults(response.data);
+    } catch (error) {
+      const apiError = error.response && error.response.data && error.response.data.error;
+      if (apiError) {
+        throw new Error(`Google Custom Search returned ${apiError.code}: ${apiError.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Map API items to raw results
+   * @param {Object} data - API response body
+   * @returns {Array} Raw results
+   */
+  parseResults(data) {
+    const items = (data && data.items) || [];
+
+    return items
+      .filter(item => item.link)
+      .map(item => ({
+        image: item.link,
+        url: (item.image && item.image.contextLink) || null,
+        title: item.title || 'Untitled',
+        width: (item.image && item.image.width) || null,
+        height: (item.image && item.image.height) || null,
+        thumbnail: (item.image && item.image.thumbnailLink) || null
+      }));
+  }
+}
+
+module.exports = GoogleCseProvider;
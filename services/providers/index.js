@@ -0,0 +1,38 @@
+const DuckDuckGoProvider = require('./duckDuckGoProvider');
+const BingProvider = require('./bingProvider');
+const GoogleCseProvider = require('./googleCseProvider');
+const FixtureProvider = require('./fixtureProvider');
+
+/**
+ * Search providers share one interface:
+ *   name: string
+ *   cacheable: boolean (optional, default true) - false keeps results out of the search cache
+ *   search(keyword, options): Promise<Array<{ image, url, title, width, height, thumbnail }>>
+ * and throw when they cannot return any results, so the scraper can fall back to the next one.
+ */
+const providerFactories = {
+  duckduckgo: scraper => new DuckDuckGoProvider(scraper),
+  bing: scraper => new BingProvider(scraper),
+  google: scraper => new GoogleCseProvider(scraper),
+  fixture: () => new FixtureProvider()
+};
+
+/**
+ * Instantiate every registered provider
+ * @param {Object} scraper - ImageScraper providing proxy and user agent rotation
+ * @returns {Object} Map of provider name to provider instance
+ */
+function createProviders(scraper) {
+  const providers = {};
+
+  for (const [name, factory] of Object.entries(providerFactories)) {
+    providers[name] = factory(scraper);
+  }
+
+  return providers;
+}
+
+module.exports = {
+  createProviders,
+  providerNames: Object.keys(providerFactories)
+};
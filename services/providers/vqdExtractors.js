@@ -0,0 +1,156 @@
+/**
+ * Strategies for finding DuckDuckGo's vqd token, tried in order until one succeeds.
+ * Every extractor has the same shape:
+ *   name: string
+ *   extract(context): Promise<string|null>
+ * where context is { html, keyword, proxy, searchUrl, scraper }. Returning null
+ * passes the page on to the next extractor; throwing is treated the same way.
+ */
+
+// Token formats seen on DuckDuckGo pages, most common first
+const TOKEN_PATTERNS = [
+  // vqd='4-1234...' / vqd="4-1234..." in an inline script
+  { name: 'inline-assignment', pattern: /vqd\s*=\s*['"]([^'"\s]+)['"]/ },
+  // ...&vqd=4-1234...& in a preloaded d.js / i.js URL
+  { name: 'query-parameter', pattern: /[?&;]vqd=([\w-]+)/ },
+  // "vqd":"4-1234..." in embedded JSON
+  { name: 'json-string', pattern: /["']vqd["']\s*:\s*["']([^"'\s]+)["']/ },
+  // vqd:{"cats":"4-1234..."} keyed by query in embedded JSON
+  { name: 'json-object', pattern: /["']?vqd["']?\s*:\s*\{[^{}]*?:\s*["']([\w-]+)["']/ }
+];
+
+// Script bundles scanned by the script-bundle extractor, at most this many per page
+const MAX_BUNDLES = 3;
+
+/**
+ * Run every token pattern over a piece of text
+ * @param {string} text - HTML or JavaScript source
+ * @returns {string|null} First token found
+ */
+function matchToken(text) {
+  for (const { pattern } of TOKEN_PATTERNS) {
+    const match = String(text || '').match(pattern);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * One extractor per token pattern, applied to the search page
+ * @returns {Array} Extractors
+ */
+function patternExtractors() {
+  return TOKEN_PATTERNS.map(({ name, pattern }) => ({
+    name,
+    async extract({ html }) {
+      const match = String(html || '').match(pattern);
+      return match ? match[1] : null;
+    }
+  }));
+}
+
+/**
+ * Extractor that loads the same-origin script bundles a page references and
+ * looks for the token in them, for pages that no longer inline it
+ * @returns {Object} Extractor
+ */
+function scriptBundleExtractor() {
+  return {
+    name: 'script-bundle',
+    async extract({ html, proxy, searchUrl, scraper }) {
+      const origin = new URL(searchUrl).origin;
+      const sources = [...String(html || '').matchAll(/<script[^>]+src=["']([^"']+)["']/gi)]
+        .map(match => new URL(match[1], searchUrl))
+        .filter(url => url.origin === origin)
+        .slice(0, MAX_BUNDLES);
+
+      for (const url of sources) {
+        const response = await scraper.get(url.toString(), proxy, false);
+        const token = matchToken(response.data);
+        if (token) return token;
+      }
+
+      return null;
+    }
+  };
+}
+
+/**
+ * Extractor that opens the search page in headless Chromium and picks the token from
+ * the requests the page makes once its scripts have run. Needs the optional
+ * puppeteer-core package and a Chromium binary (CHROMIUM_PATH).
+ * @returns {Object} Extractor
+ */
+function headlessExtractor() {
+  const executablePath = process.env.CHROMIUM_PATH || '/usr/bin/chromium-browser';
+  const timeout = (parseInt(process.env.DDG_HEADLESS_TIMEOUT_SECONDS) || 20) * 1000;
+
+  return {
+    name: 'headless-chromium',
+    async extract({ keyword, proxy, searchUrl }) {
+      let puppeteer;
+      try {
+        puppeteer = require('puppeteer-core');
+      } catch (error) {
+        throw new Error('DDG_HEADLESS_VQD is enabled but puppeteer-core is not installed');
+      }
+
+      const args = ['--no-sandbox', '--disable-dev-shm-usage'];
+      const proxyUrl = proxy ? new URL(proxy) : null;
+      if (proxyUrl) args.push(`--proxy-server=${proxyUrl.protocol}//${proxyUrl.host}`);
+
+      const browser = await puppeteer.launch({ executablePath, headless: true, args });
+
+      try {
+        const page = await browser.newPage();
+        if (proxyUrl && proxyUrl.username) {
+          await page.authenticate({
+            username: decodeURIComponent(proxyUrl.username),
+            password: decodeURIComponent(proxyUrl.password)
+          });
+        }
+
+        // The results scripts request i.js / d.js with the token as a query parameter
+        const fromRequest = new Promise(resolve => {
+          page.on('request', request => {
+            const vqd = new URL(request.url()).searchParams.get('vqd');
+            if (vqd) resolve(vqd);
+          });
+        });
+
+        await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout });
+        let timer;
+        const token = await Promise.race([
+          fromRequest,
+          new Promise(resolve => { timer = setTimeout(resolve, timeout, null); })
+        ]);
+        clearTimeout(timer);
+
+        if (token) return token;
+
+        console.warn(`⚠️ Headless Chromium saw no vqd request for "${keyword}", scanning the rendered page`);
+        return matchToken(await page.content());
+      } finally {
+        await browser.close();
+      }
+    }
+  };
+}
+
+/**
+ * Build the ordered extractor chain
+ * @param {Object} options - { headless: append the headless Chromium extractor }
+ * @returns {Array} Extractors
+ */
+function createVqdExtractors({ headless = false } = {}) {
+  return [
+    ...patternExtractors(),
+    scriptBundleExtractor(),
+    ...(headless ? [headlessExtractor()] : [])
+  ];
+}
+
+module.exports = {
+  createVqdExtractors,
+  matchToken
+};
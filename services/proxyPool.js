@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+
+// Latency at which a proxy's score halves
+const LATENCY_SCALE_MS = 2000;
+// Weight of the newest sample in the latency moving average
+const LATENCY_SMOOTHING = 0.3;
+
+/**
+ * Health-aware proxy rotation. Every proxy keeps success/failure/latency stats;
+ * selection is weighted by score, and a proxy that fails PROXY_FAILURE_THRESHOLD
+ * times in a row is quarantined with an exponentially growing cool-down.
+ * `null` stands for a direct connection, used when no proxy is configured or
+ * (unless PROXY_DIRECT_FALLBACK=false) every proxy is quarantined.
+ */
+class ProxyPool {
+  /**
+   * @param {Array} proxies - Proxy URLs
+   */
+  constructor(proxies = []) {
+    this.failureThreshold = Math.max(parseInt(process.env.PROXY_FAILURE_THRESHOLD) || 3, 1);
+    this.baseCooldownMs = (parseInt(process.env.PROXY_QUARANTINE_SECONDS) || 60) * 1000;
+    this.maxCooldownMs = (parseInt(process.env.PROXY_QUARANTINE_MAX_SECONDS) || 3600) * 1000;
+    this.directFallback = process.env.PROXY_DIRECT_FALLBACK !== 'false';
+
+    this.entries = [...new Set(proxies.filter(Boolean))].map(url => this.createEntry(url));
+    this.direct = this.createEntry(null);
+  }
+
+  /**
+   * Create the stats record of a proxy
+   * @param {string|null} url - Proxy URL, null for the direct connection
+   * @returns {Object} Stats entry
+   */
+  createEntry(url) {
+    return {
+      id: url ? crypto.createHash('sha256').update(url).digest('hex').slice(0, 8) : 'direct',
+      url,
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      latencyMs: null,
+      quarantines: 0,
+      quarantinedUntil: 0,
+      lastUsedAt: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Number of attempts a provider should make: one per proxy up to `max`,
+   * and a single direct attempt when no proxies are configured
+   * @param {number} max - Upper bound
+   * @returns {number} Attempt count (at least 1)
+   */
+  attemptBudget(max) {
+    return Math.max(Math.min(max, this.entries.length), 1);
+  }
+
+  /**
+   * Score used as selection weight: smoothed success rate, discounted by latency
+   * @param {Object} entry - Stats entry
+   * @returns {number} Score in (0, 1]
+   */
+  score(entry) {
+    const successRate = (entry.successes + 1) / (entry.successes + entry.failures + 2);
+    const latencyFactor = entry.latencyMs === null ? 1 : 1 / (1 + entry.latencyMs / LATENCY_SCALE_MS);
+    return successRate * latencyFactor;
+  }
+
+  /**
+   * Check whether a proxy is cooling down
+   * @param {Object} entry - Stats entry
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True while quarantined
+   */
+  isQuarantined(entry, now = Date.now()) {
+    return entry.quarantinedUntil > now;
+  }
+
+  /**
+   * Pick a proxy for the next request
+   * @param {Array} exclude - Proxies already tried for this request, used again only when nothing else is left
+   * @returns {string|null} Proxy URL, or null for a direct connection
+   */
+  select(exclude = []) {
+    if (this.entries.length === 0) return null;
+
+    const now = Date.now();
+    const healthy = this.entries.filter(entry => !this.isQuarantined(entry, now));
+    const untried = healthy.filter(entry => !exclude.includes(entry.url));
+    const available = untried.length ? untried : healthy;
+
+    if (available.length === 0) {
+      if (this.directFallback) {
+        console.warn('⚠️ Every proxy is quarantined, connecting directly');
+        return null;
+      }
+
+      // The proxy whose cool-down ends first is the least bad choice
+      const soonest = this.entries.reduce((best, entry) => (entry.quarantinedUntil < best.quarantinedUntil ? entry : best));
+      console.warn(`⚠️ Every proxy is quarantined, using ${this.mask(soonest.url)} early`);
+      return soonest.url;
+    }
+
+    const weights = available.map(entry => this.score(entry));
+    let pick = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+
+    for (let i = 0; i < available.length; i++) {
+      pick -= weights[i];
+      if (pick <= 0) return available[i].url;
+    }
+
+    return available[available.length - 1].url;
+  }
+
+  /**
+   * Find the stats entry of a proxy
+   * @param {string|null} url - Proxy URL, null for the direct connection
+   * @returns {Object|null} Stats entry
+   */
+  find(url) {
+    if (!url) return this.direct;
+    return this.entries.find(entry => entry.url === url) || null;
+  }
+
+  /**
+   * Record a response time
+   * @param {string|null} url - Proxy URL
+   * @param {number} latencyMs - Time until the response arrived
+   */
+  recordLatency(url, latencyMs) {
+    const entry = this.find(url);
+    if (!entry) return;
+
+    entry.latencyMs = entry.latencyMs === null
+      ? latencyMs
+      : Math.round(entry.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+  }
+
+  /**
+   * Record a successful search attempt
+   * @param {string|null} url - Proxy URL
+   */
+  recordSuccess(url) {
+    const entry = this.find(url);
+    if (!entry) return;
+
+    entry.successes++;
+    entry.consecutiveFailures = 0;
+    entry.quarantines = 0;
+    entry.lastUsedAt = new Date().toISOString();
+  }
+
+  /**
+   * Record a failed search attempt, quarantining the proxy after repeated failures.
+   * A proxy released from quarantine that fails again goes straight back, for twice as long.
+   * @param {string|null} url - Proxy URL
+   * @param {Error} error - Failure
+   */
+  recordFailure(url, error) {
+    const entry = this.find(url);
+    if (!entry) return;
+
+    entry.failures++;
+    entry.consecutiveFailures++;
+    entry.lastUsedAt = new Date().toISOString();
+    // Agent errors can quote the proxy URL, credentials included
+    entry.lastError = error && entry.url ? error.message.split(entry.url).join(this.mask(entry.url)) : (error ? error.message : null);
+
+    if (entry.url && entry.consecutiveFailures >= this.failureThreshold) {
+      const cooldownMs = Math.min(this.baseCooldownMs * 2 ** entry.quarantines, this.maxCooldownMs);
+      entry.quarantines++;
+      entry.quarantinedUntil = Date.now() + cooldownMs;
+      console.warn(`🚫 Proxy ${this.mask(entry.url)} quarantined for ${Math.round(cooldownMs / 1000)}s after ${entry.consecutiveFailures} consecutive failures`);
+    }
+  }
+
+  /**
+   * Hide credentials in a proxy URL
+   * @param {string|null} url - Proxy URL
+   * @returns {string} URL with user and password replaced, or "direct"
+   */
+  mask(url) {
+    if (!url) return 'direct';
+
+    try {
+      const parsed = new URL(url);
+      if (parsed.username) parsed.username = '***';
+      if (parsed.password) parsed.password = '***';
+      return parsed.toString().replace(/\/$/, '');
+    } catch (error) {
+      // Not a URL; keep only what follows the credentials
+      return url.includes('@') ? `***@${url.split('@').pop()}` : url;
+    }
+  }
+
+  /**
+   * Describe one stats entry for the API
+   * @param {Object} entry - Stats entry
+   * @param {number} now - Current time in ms
+   * @returns {Object} Public health record
+   */
+  describe(entry, now = Date.now()) {
+    const quarantined = this.isQuarantined(entry, now);
+
+    return {
+      id: entry.id,
+      proxy: this.mask(entry.url),
+      state: quarantined ? 'quarantined' : 'available',
+      score: Number(this.score(entry).toFixed(3)),
+      successes: entry.successes,
+      failures: entry.failures,
+      consecutive_failures: entry.consecutiveFailures,
+      avg_latency_ms: entry.latencyMs,
+      quarantines: entry.quarantines,
+      quarantined_until: quarantined ? new Date(entry.quarantinedUntil).toISOString() : null,
+      last_used_at: entry.lastUsedAt,
+      last_error: entry.lastError
+    };
+  }
+
+  /**
+   * Health of the whole pool
+   * @returns {Object} { total, available, quarantined, direct_fallback, proxies, direct }
+   */
+  getStatus() {
+    const now = Date.now();
+    const proxies = this.entries.map(entry => this.describe(entry, now));
+    const quarantined = proxies.filter(proxy => proxy.state === 'quarantined').length;
+
+    return {
+      total: proxies.length,
+      available: proxies.length - quarantined,
+      quarantined,
+      direct_fallback: this.directFallback,
+      proxies,
+      direct: this.describe(this.direct, now)
+    };
+  }
+}
+
+module.exports = ProxyPool;
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+
+/**
+ * Shares in-flight work between concurrent searches.
+ * - Identical requests (same key) share one pipeline: the first caller starts it, later
+ *   callers subscribe to its progress hooks and receive the same result.
+ * - Pipelines in the same group (requests that differ only in watermark) share the
+ *   search and the downloaded originals, and each runs its own processing.
+ * Nothing is kept once the last pipeline of a group finishes.
+ */
+class RequestCoalescer {
+  constructor() {
+    this.pipelines = new Map();
+    this.groups = new Map();
+  }
+
+  /**
+   * Hash the parts of a request that decide its result
+   * @param {Array} parts - JSON-serializable values
+   * @returns {string} Hex key
+   */
+  key(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 32);
+  }
+
+  /**
+   * Run `start` for the first caller of a key; later callers wait for the same result
+   * @param {string} key - Pipeline key
+   * @param {string} groupKey - Key of the group sharing search and originals
+   * @param {Object} hooks - Caller hooks (onStateChange, onImageProgress, isCancelled)
+   * @param {Function} start - (hooks, group) => Promise, called with hooks that fan out to
+   *   every subscriber and the group's shared state ({ search, originals, isCancelled })
+   * @returns {Promise<Object>} { result, joined } - joined is true when another caller started the pipeline
+   */
+  async run(key, groupKey, hooks, start) {
+    let pipeline = this.pipelines.get(key);
+    const joined = Boolean(pipeline);
+
+    if (!pipeline) pipeline = this.createPipeline(key, groupKey);
+    this.subscribe(pipeline, hooks);
+
+    if (joined) {
+      console.log(`🔗 Joining in-flight search ${key.slice(0, 8)} (${pipeline.subscribers.size} callers)`);
+    } else {
+      pipeline.promise = start(pipeline.hooks, pipeline.group);
+      const finish = () => this.finish(pipeline);
+      pipeline.promise.then(finish, finish);
+    }
+
+    try {
+      return { result: await pipeline.promise, joined };
+    } finally {
+      pipeline.subscribers.delete(hooks);
+    }
+  }
+
+  /**
+   * Register a pipeline and its group
+   * @param {string} key - Pipeline key
+   * @param {string} groupKey - Group key
+   * @returns {Object} Pipeline
+   */
+  createPipeline(key, groupKey) {
+    let group = this.groups.get(groupKey);
+
+    if (!group) {
+      group = { key: groupKey, search: null, originals: new Map(), pipelines: new Set() };
+      // The shared search only stops when every pipeline relying on it was cancelled
+      group.isCancelled = () => [...group.pipelines].every(member => member.hooks.isCancelled());
+      this.groups.set(groupKey, group);
+    }
+
+    const pipeline = { key, group, subscribers: new Set(), state: null, images: new Map(), promise: null };
+    pipeline.hooks = {
+      onStateChange: (state, details = {}) => {
+        pipeline.state = [state, details];
+        for (const subscriber of pipeline.subscribers) {
+          if (subscriber.onStateChange) subscriber.onStateChange(state, details);
+        }
+      },
+      onImageProgress: (index, update) => {
+        pipeline.images.set(index, { ...pipeline.images.get(index), ...update });
+        for (const subscriber of pipeline.subscribers) {
+          if (subscriber.onImageProgress) subscriber.onImageProgress(index, update);
+        }
+      },
+      // Cancelled only when every caller waiting for this pipeline gave up
+      isCancelled: () => pipeline.subscribers.size > 0 &&
+        [...pipeline.subscribers].every(subscriber => subscriber.isCancelled && subscriber.isCancelled())
+    };
+
+    group.pipelines.add(pipeline);
+    this.pipelines.set(key, pipeline);
+    return pipeline;
+  }
+
+  /**
+   * Add a caller to a pipeline, replaying the progress it missed
+   * @param {Object} pipeline - Pipeline
+   * @param {Object} hooks - Caller hooks
+   */
+  subscribe(pipeline, hooks) {
+    if (pipeline.state && hooks.onStateChange) hooks.onStateChange(...pipeline.state);
+    if (hooks.onImageProgress) {
+      for (const [index, update] of pipeline.images) hooks.onImageProgress(index, update);
+    }
+
+    pipeline.subscribers.add(hooks);
+  }
+
+  /**
+   * Forget a finished pipeline, and its group once no pipeline uses it
+   * @param {Object} pipeline - Pipeline
+   */
+  finish(pipeline) {
+    if (this.pipelines.get(pipeline.key) === pipeline) this.pipelines.delete(pipeline.key);
+
+    const { group } = pipeline;
+    group.pipelines.delete(pipeline);
+    if (group.pipelines.size === 0 && this.groups.get(group.key) === group) this.groups.delete(group.key);
+  }
+}
+
+module.exports = new RequestCoalescer();
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const CACHE_MODES = ['default', 'bypass', 'refresh'];
+
+/**
+ * Raw provider results keyed by provider + normalized keyword + filters.
+ * Recently used entries live in an in-memory LRU; every entry is also written to
+ * SEARCH_CACHE_DIR so the cache survives restarts.
+ */
+class SearchCache {
+  constructor() {
+    const ttl = parseInt(process.env.SEARCH_CACHE_TTL_SECONDS);
+    this.ttlMs = (Number.isNaN(ttl) ? 3600 : Math.max(ttl, 0)) * 1000; // 0 disables the cache
+    this.maxEntries = Math.max(parseInt(process.env.SEARCH_CACHE_MAX_ENTRIES) || 200, 1);
+    this.cacheDir = process.env.SEARCH_CACHE_DIR || './data/search-cache';
+    this.modes = CACHE_MODES;
+    this.memory = new Map();
+  }
+
+  /**
+   * Check whether caching is enabled
+   * @returns {boolean} True unless SEARCH_CACHE_TTL_SECONDS is 0
+   */
+  isEnabled() {
+    return this.ttlMs > 0;
+  }
+
+  /**
+   * Build the cache key of a search
+   * @param {string} provider - Provider name
+   * @param {string} keyword - Search keyword
+   * @param {Object} filters - Normalized search filters
+   * @returns {string} Hex key
+   */
+  key(provider, keyword, filters = {}) {
+    const normalizedKeyword = String(keyword || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    const normalizedFilters = Object.fromEntries(
+      Object.entries(filters || {})
+        .filter(([, value]) => value !== undefined && value !== null)
+        .sort(([a], [b]) => a.localeCompare(b))
+    );
+
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([provider, normalizedKeyword, normalizedFilters]))
+      .digest('hex');
+  }
+
+  /**
+   * Look up a cached search, promoting disk entries into memory
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} { results, stored_at } or null when missing or expired
+   */
+  async get(key) {
+    if (!this.isEnabled()) return null;
+
+    let entry = this.memory.get(key);
+
+    if (entry) {
+      // Re-insert so the Map order stays least recently used first
+      this.memory.delete(key);
+    } else {
+      try {
+        entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`⚠️ Ignoring unreadable search cache entry ${key}:`, error.message);
+        }
+        return null;
+      }
+    }
+
+    if (Date.now() - new Date(entry.stored_at).getTime() > this.ttlMs) {
+      await this.delete(key);
+      return null;
+    }
+
+    this.remember(key, entry);
+    return entry;
+  }
+
+  /**
+   * Store the results of a search in both tiers
+   * @param {string} key - Cache key
+   * @param {Object} entry - { provider, keyword, filters, results }
+   * @returns {Promise<Object>} Stored entry with stored_at
+   */
+  async set(key, entry) {
+    const stored = { ...entry, stored_at: new Date().toISOString() };
+    if (!this.isEnabled()) return stored;
+
+    this.remember(key, stored);
+
+    try {
+      const filePath = this.filePath(key);
+      const tmpFile = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tmpFile, JSON.stringify(stored));
+      await fs.rename(tmpFile, filePath);
+    } catch (error) {
+      // The memory tier still serves this entry
+      console.error('⚠️ Failed to write search cache entry:', error.message);
+    }
+
+    return stored;
+  }
+
+  /**
+   * Remove an entry from both tiers
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.memory.delete(key);
+
+    try {
+      await fs.unlink(this.filePath(key));
+    } catch (error) {
+      // Already gone
+    }
+  }
+
+  /**
+   * Put an entry in the memory tier, evicting the least recently used ones
+   * @param {string} key - Cache key
+   * @param {Object} entry - Cache entry
+   */
+  remember(key, entry) {
+    this.memory.set(key, entry);
+
+    while (this.memory.size > this.maxEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  /**
+   * Disk location of an entry
+   * @param {string} key - Cache key
+   * @returns {string} File path
+   */
+  filePath(key) {
+    return path.join(this.cacheDir, key.slice(0, 2), `${key}.json`);
+  }
+}
+
+module.exports = new SearchCache();
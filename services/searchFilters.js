@@ -0,0 +1,154 @@
+/**
+ * Search filters accepted on requests and their provider-specific encodings.
+ * Keys are the values clients send; each maps to the DuckDuckGo `f` value, the Bing `qft` token
+ * and the Google Custom Search query parameters (null where the API has no equivalent).
+ */
+const FILTER_OPTIONS = {
+  size: {
+    small: { duckduckgo: 'Small', bing: 'imagesize-small', google: { imgSize: 'small' } },
+    medium: { duckduckgo: 'Medium', bing: 'imagesize-medium', google: { imgSize: 'medium' } },
+    large: { duckduckgo: 'Large', bing: 'imagesize-large', google: { imgSize: 'large' } },
+    wallpaper: { duckduckgo: 'Wallpaper', bing: 'imagesize-wallpaper', google: { imgSize: 'huge' } }
+  },
+  color: {
+    color: { duckduckgo: 'color', bing: 'color2-color', google: { imgColorType: 'color' } },
+    monochrome: { duckduckgo: 'Monochrome', bing: 'color2-bw', google: { imgColorType: 'gray' } },
+    red: { duckduckgo: 'Red', bing: 'color2-FGcls_RED', google: { imgDominantColor: 'red' } },
+    orange: { duckduckgo: 'Orange', bing: 'color2-FGcls_ORANGE', google: { imgDominantColor: 'orange' } },
+    yellow: { duckduckgo: 'Yellow', bing: 'color2-FGcls_YELLOW', google: { imgDominantColor: 'yellow' } },
+    green: { duckduckgo: 'Green', bing: 'color2-FGcls_GREEN', google: { imgDominantColor: 'green' } },
+    blue: { duckduckgo: 'Blue', bing: 'color2-FGcls_BLUE', google: { imgDominantColor: 'blue' } },
+    purple: { duckduckgo: 'Purple', bing: 'color2-FGcls_PURPLE', google: { imgDominantColor: 'purple' } },
+    pink: { duckduckgo: 'Pink', bing: 'color2-FGcls_PINK', google: { imgDominantColor: 'pink' } },
+    brown: { duckduckgo: 'Brown', bing: 'color2-FGcls_BROWN', google: { imgDominantColor: 'brown' } },
+    black: { duckduckgo: 'Black', bing: 'color2-FGcls_BLACK', google: { imgDominantColor: 'black' } },
+    gray: { duckduckgo: 'Gray', bing: 'color2-FGcls_GRAY', google: { imgDominantColor: 'gray' } },
+    teal: { duckduckgo: 'Teal', bing: 'color2-FGcls_TEAL', google: { imgDominantColor: 'teal' } },
+    white: { duckduckgo: 'White', bing: 'color2-FGcls_WHITE', google: { imgDominantColor: 'white' } }
+  },
+  type: {
+    photo: { duckduckgo: 'photo', bing: 'photo-photo', google: { imgType: 'photo' } },
+    clipart: { duckduckgo: 'clipart', bing: 'photo-clipart', google: { imgType: 'clipart' } },
+    gif: { duckduckgo: 'gif', bing: 'photo-animatedgif', google: { imgType: 'animated' } },
+    transparent: { duckduckgo: 'transparent', bing: 'photo-transparent', google: { imgColorType: 'trans' } },
+    line: { duckduckgo: 'line', bing: 'photo-linedrawing', google: { imgType: 'lineart' } }
+  },
+  layout: {
+    square: { duckduckgo: 'Square', bing: 'aspect-square', google: null },
+    tall: { duckduckgo: 'Tall', bing: 'aspect-tall', google: null },
+    wide: { duckduckgo: 'Wide', bing: 'aspect-wide', google: null }
+  },
+  license: {
+    creative_commons: { duckduckgo: 'Any', bing: 'licenseType-Any', google: { rights: 'cc_publicdomain|cc_attribute|cc_sharealike|cc_noncommercial|cc_nonderived' } },
+    public_domain: { duckduckgo: 'Public', bing: 'license-L1', google: { rights: 'cc_publicdomain' } },
+    free_to_share: { duckduckgo: 'Share', bing: 'license-L2_L3_L4_L5_L6_L7', google: { rights: 'cc_publicdomain|cc_attribute|cc_sharealike|cc_noncommercial|cc_nonderived' } },
+    free_to_share_commercially: { duckduckgo: 'ShareCommercially', bing: 'license-L2_L3_L4', google: { rights: 'cc_publicdomain|cc_attribute|cc_sharealike|cc_nonderived' } },
+    free_to_modify: { duckduckgo: 'Modify', bing: 'license-L2_L3_L5_L6', google: { rights: 'cc_publicdomain|cc_attribute|cc_sharealike|cc_noncommercial' } },
+    free_to_modify_commercially: { duckduckgo: 'ModifyCommercially', bing: 'license-L2_L3', google: { rights: 'cc_publicdomain|cc_attribute|cc_sharealike' } }
+  }
+};
+
+const FILTER_KEYS = Object.keys(FILTER_OPTIONS);
+const DIMENSION_KEYS = ['min_width', 'min_height'];
+
+/**
+ * Validate and normalize filter fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} { filters } on success or { error } with a message
+ */
+function normalizeFilters(body = {}) {
+  const filters = {};
+
+  for (const key of FILTER_KEYS) {
+    const value = body[key];
+    if (value === undefined || value === null || value === '') continue;
+
+    const normalized = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (!FILTER_OPTIONS[key][normalized]) {
+      return {
+        error: `Invalid ${key}. Allowed values: ${Object.keys(FILTER_OPTIONS[key]).join(', ')}`
+      };
+    }
+
+    filters[key] = normalized;
+  }
+
+  for (const key of DIMENSION_KEYS) {
+    const value = body[key];
+    if (value === undefined || value === null || value === '') continue;
+
+    const number = parseInt(value);
+    if (!Number.isFinite(number) || number < 1) {
+      return { error: `${key} must be a positive integer` };
+    }
+
+    filters[key] = number;
+  }
+
+  return { filters };
+}
+
+/**
+ * Build the DuckDuckGo i.js `f` parameter (size,color,type,layout,license)
+ * @param {Object} filters - Normalized filters
+ * @returns {string} Filter string
+ */
+function toDuckDuckGoFilter(filters = {}) {
+  const slots = FILTER_KEYS.map(key => (filters[key] ? `${key}:${FILTER_OPTIONS[key][filters[key]].duckduckgo}` : ''));
+
+  // Keep the exact default DuckDuckGo sends when nothing is filtered
+  return slots.some(Boolean) ? slots.join(',') : ',,,';
+}
+
+/**
+ * Build the Bing `qft` parameter
+ * @param {Object} filters - Normalized filters
+ * @returns {string} Filter string (empty when no filters)
+ */
+function toBingFilter(filters = {}) {
+  return FILTER_KEYS
+    .filter(key => filters[key])
+    .map(key => `+filterui:${FILTER_OPTIONS[key][filters[key]].bing}`)
+    .join('');
+}
+
+/**
+ * Build the Google Custom Search query parameters
+ * @param {Object} filters - Normalized filters
+ * @returns {Object} Query parameters (imgSize, imgType, imgColorType, imgDominantColor, rights)
+ */
+function toGoogleParams(filters = {}) {
+  return Object.assign({}, ...FILTER_KEYS
+    .filter(key => filters[key])
+    .map(key => FILTER_OPTIONS[key][filters[key]].google));
+}
+
+/**
+ * Find filters that map onto the same Google Custom Search parameter (type=transparent and
+ * color=color|monochrome both set imgColorType), which the API cannot express together
+ * @param {Object} filters - Normalized filters
+ * @returns {string|null} Error message, or null when the filters can be combined
+ */
+function findGoogleConflict(filters = {}) {
+  const owners = {};
+
+  for (const key of FILTER_KEYS.filter(key => filters[key])) {
+    for (const param of Object.keys(FILTER_OPTIONS[key][filters[key]].google || {})) {
+      if (owners[param]) {
+        return `${owners[param]}=${filters[owners[param]]} and ${key}=${filters[key]} cannot be combined with the google provider (both set ${param})`;
+      }
+      owners[param] = key;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  FILTER_OPTIONS,
+  normalizeFilters,
+  toDuckDuckGoFilter,
+  toBingFilter,
+  toGoogleParams,
+  findGoogleConflict
+};
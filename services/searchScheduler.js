@@ -0,0 +1,181 @@
+const TokenBucket = require('./tokenBucket');
+
+// Starting estimate of a search's duration, used for Retry-After until real searches are timed
+const INITIAL_SEARCH_MS = 10000;
+// Weight of the newest search in the duration moving average
+const DURATION_SMOOTHING = 0.2;
+
+/**
+ * Global limits on outbound scraping, shared by every request and job:
+ * - at most SEARCH_MAX_CONCURRENT searches run at once; up to SEARCH_QUEUE_SIZE more wait
+ *   in line and further requests are turned away (SEARCH_QUEUE_FULL, 429 with Retry-After).
+ *   Background jobs always wait, as JOB_CONCURRENCY already bounds them.
+ * - a token bucket per provider limits search sessions (PROVIDER_RATE_LIMIT_PER_MINUTE/_BURST,
+ *   overridden per provider by PROVIDER_RATE_LIMITS="duckduckgo=10/3,bing=30")
+ * - a token bucket per proxy limits HTTP requests (PROXY_RATE_LIMIT_PER_MINUTE/_BURST)
+ * A rate of 0 disables that limit.
+ */
+class SearchScheduler {
+  constructor() {
+    const queueSize = parseInt(process.env.SEARCH_QUEUE_SIZE);
+    this.maxConcurrent = Math.max(parseInt(process.env.SEARCH_MAX_CONCURRENT) || 2, 1);
+    this.maxQueue = Number.isNaN(queueSize) ? 10 : Math.max(queueSize, 0);
+
+    this.providerLimit = TokenBucket.parseLimit(process.env.PROVIDER_RATE_LIMIT_PER_MINUTE, process.env.PROVIDER_RATE_LIMIT_BURST, 20, 5);
+    this.providerOverrides = this.parseOverrides(process.env.PROVIDER_RATE_LIMITS);
+    this.proxyLimit = TokenBucket.parseLimit(process.env.PROXY_RATE_LIMIT_PER_MINUTE, process.env.PROXY_RATE_LIMIT_BURST, 30, 5);
+
+    this.active = 0;
+    this.queue = [];
+    this.avgSearchMs = INITIAL_SEARCH_MS;
+    this.providerBuckets = new Map();
+    this.proxyBuckets = new Map();
+  }
+
+  /**
+   * Parse per-provider limits, e.g. "duckduckgo=10/3,bing=30"
+   * @param {string} value - Comma-separated name=rate[/burst] entries
+   * @returns {Object} Limits by provider name
+   */
+  parseOverrides(value) {
+    const overrides = {};
+
+    for (const entry of String(value || '').split(',')) {
+      const match = entry.trim().match(/^([a-z0-9_-]+)=([\d.]+)(?:\/(\d+))?$/i);
+      if (!match) {
+        if (entry.trim()) console.warn(`Ignoring invalid PROVIDER_RATE_LIMITS entry "${entry.trim()}"`);
+        continue;
+      }
+      overrides[match[1].toLowerCase()] = TokenBucket.parseLimit(match[2], match[3], this.providerLimit.perMinute, this.providerLimit.burst);
+    }
+
+    return overrides;
+  }
+
+  /**
+   * Run a search once a slot is free
+   * @param {Function} task - Async function performing the search
+   * @param {Object} options - { background: wait even when the queue is full }
+   * @returns {Promise<*>} Result of the task - rejects with SEARCH_QUEUE_FULL when turned away
+   */
+  async schedule(task, options = {}) {
+    const release = await this.acquire(options);
+
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Take a concurrency slot, waiting in line when all are busy
+   * @param {Object} options - { background }
+   * @returns {Promise<Function>} Releases the slot; safe to call more than once
+   */
+  async acquire(options = {}) {
+    if (this.active < this.maxConcurrent && this.queue.length === 0) {
+      this.active++;
+      return this.createRelease();
+    }
+
+    const waiting = this.queue.filter(entry => !entry.background).length;
+
+    if (!options.background && waiting >= this.maxQueue) {
+      const error = new Error(`Too many searches in progress (${this.active} running, ${waiting} waiting), try again later`);
+      error.code = 'SEARCH_QUEUE_FULL';
+      error.statusCode = 429;
+      error.retryAfter = this.estimateWait(waiting + 1);
+      throw error;
+    }
+
+    console.log(`⏳ Search queued behind ${this.active} running and ${this.queue.length} waiting`);
+    await new Promise(resolve => this.queue.push({ resolve, background: Boolean(options.background) }));
+    return this.createRelease();
+  }
+
+  /**
+   * Build the release function of a slot taken now
+   * @returns {Function} Release
+   */
+  createRelease() {
+    const startedAt = Date.now();
+    let released = false;
+
+    return () => {
+      if (released) return;
+      released = true;
+
+      this.avgSearchMs = Math.round(this.avgSearchMs * (1 - DURATION_SMOOTHING) + (Date.now() - startedAt) * DURATION_SMOOTHING);
+      this.active--;
+
+      // Hand free slots to the longest-waiting searches
+      while (this.active < this.maxConcurrent && this.queue.length) {
+        this.active++;
+        this.queue.shift().resolve();
+      }
+    };
+  }
+
+  /**
+   * Estimate how long until a search at the given queue position starts
+   * @param {number} position - Position in the queue (1 = next)
+   * @returns {number} Seconds, at least 1
+   */
+  estimateWait(position) {
+    return Math.max(Math.ceil((this.avgSearchMs * position) / this.maxConcurrent / 1000), 1);
+  }
+
+  /**
+   * Wait for the provider's rate limit before starting a search session
+   * @param {string} name - Provider name
+   * @param {Function} beforeWait - Called before every wait (e.g. to throw on cancellation)
+   * @returns {Promise<void>}
+   */
+  async throttleProvider(name, beforeWait) {
+    if (!this.providerBuckets.has(name)) {
+      const { perMinute, burst } = this.providerOverrides[name] || this.providerLimit;
+      this.providerBuckets.set(name, new TokenBucket(perMinute, burst));
+    }
+
+    const waited = await this.providerBuckets.get(name).acquire(beforeWait);
+    if (waited) console.log(`🚦 Waited ${Math.round(waited / 1000)}s for the ${name} rate limit`);
+  }
+
+  /**
+   * Wait for the proxy's rate limit before sending a request through it
+   * @param {string|null} proxy - Proxy URL, null for direct connections
+   * @returns {Promise<void>}
+   */
+  async throttleProxy(proxy) {
+    const key = proxy || 'direct';
+
+    if (!this.proxyBuckets.has(key)) {
+      this.proxyBuckets.set(key, new TokenBucket(this.proxyLimit.perMinute, this.proxyLimit.burst));
+    }
+
+    await this.proxyBuckets.get(key).acquire();
+  }
+
+  /**
+   * Scheduler state for the status endpoint
+   * @param {Function} maskProxy - Hides credentials in proxy URLs
+   * @returns {Object} { active, queued, max_concurrent, queue_size, avg_search_ms, providers, proxies }
+   */
+  getStatus(maskProxy = proxy => proxy) {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      max_concurrent: this.maxConcurrent,
+      queue_size: this.maxQueue,
+      avg_search_ms: this.avgSearchMs,
+      providers: Object.fromEntries([...this.providerBuckets].map(([name, bucket]) => [name, bucket.describe()])),
+      proxies: Object.fromEntries([...this.proxyBuckets].map(([key, bucket]) => [
+        key === 'direct' ? key : maskProxy(key),
+        bucket.describe()
+      ]))
+    };
+  }
+}
+
+module.exports = new SearchScheduler();
@@ -0,0 +1,141 @@
+const { ref, uploadBytes, getBytes, getDownloadURL, deleteObject, listAll } = require('firebase/storage');
+
+class FirebaseBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {string} options.prefix - Folder objects are stored under (default: images)
+   * @param {boolean} options.publicUrls - Return plain URLs instead of tokenized download URLs
+   *   (only for buckets whose rules allow public reads)
+   */
+  constructor({ prefix = 'images', publicUrls = false } = {}) {
+    // Loaded lazily so Firebase only initializes when this backend is selected
+    const { storage, firebaseInitialized, firebaseConfig } = require('../../config/firebase');
+
+    this.name = 'firebase';
+    this.storage = storage;
+    this.initialized = firebaseInitialized;
+    this.bucket = firebaseConfig.storageBucket;
+    this.prefix = prefix;
+    this.publicUrls = publicUrls;
+  }
+
+  /**
+   * Ensure Firebase is configured before any call
+   */
+  assertReady() {
+    if (!this.initialized || !this.storage) {
+      throw new Error('Firebase Storage is not properly configured. Please check your .env file and Firebase credentials.');
+    }
+  }
+
+  /**
+   * Full object path inside the bucket
+   * @param {string} key - Object key
+   * @returns {string} Object path
+   */
+  objectPath(key) {
+    return this.prefix ? `${this.prefix}/${key}` : key;
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key
+   * @param {Buffer} buffer - Contents
+   * @param {Object} options - { contentType }
+   * @returns {Promise<Object>} { key, url } - url is a download URL carrying an access token,
+   *   unless publicUrls is set
+   */
+  async put(key, buffer, { contentType = 'application/octet-stream' } = {}) {
+    this.assertReady();
+    let snapshot;
+
+    try {
+      snapshot = await uploadBytes(ref(this.storage, this.objectPath(key)), buffer, {
+        contentType,
+        customMetadata: {
+          uploadedAt: new Date().toISOString(),
+          source: 'image-scraper-api'
+        }
+      });
+    } catch (error) {
+      throw new Error(`Firebase upload failed: ${error.message}`);
+    }
+
+    if (this.publicUrls) return { key, url: this.publicUrl(key) };
+
+    try {
+      return { key, url: await getDownloadURL(snapshot.ref) };
+    } catch (error) {
+      throw new Error(`Firebase download URL failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read an object
+   * @param {string} key - Object key
+   * @returns {Promise<Buffer>} Contents
+   */
+  async get(key) {
+    this.assertReady();
+
+    try {
+      return Buffer.from(await getBytes(ref(this.storage, this.objectPath(key))));
+    } catch (error) {
+      if (error.code === 'storage/object-not-found') error.code = 'OBJECT_NOT_FOUND';
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an object (missing objects are ignored)
+   * @param {string} key - Object key
+   * @returns {Promise<boolean>} True if an object was removed
+   */
+  async delete(key) {
+    this.assertReady();
+
+    try {
+      await deleteObject(ref(this.storage, this.objectPath(key)));
+      return true;
+    } catch (error) {
+      if (error.code === 'storage/object-not-found') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * List objects under a prefix
+   * @param {string} prefix - Key prefix (default: everything)
+   * @returns {Promise<Array>} Array of { key, size, modified } (size/modified are not returned by listAll)
+   */
+  async list(prefix = '') {
+    this.assertReady();
+    const objects = [];
+
+    const walk = async (folderRef) => {
+      const result = await listAll(folderRef);
+      for (const item of result.items) {
+        const key = this.prefix ? item.fullPath.slice(this.prefix.length + 1) : item.fullPath;
+        if (key.startsWith(prefix)) objects.push({ key, size: null, modified: null });
+      }
+      for (const folder of result.prefixes) {
+        await walk(folder);
+      }
+    };
+
+    await walk(ref(this.storage, this.prefix || ''));
+    return objects;
+  }
+
+  /**
+   * Plain download URL of an object, without an access token (requires public read in the
+   * storage rules; put returns it only with FIREBASE_PUBLIC_URLS=true)
+   * @param {string} key - Object key
+   * @returns {string} URL
+   */
+  publicUrl(key) {
+    return `https://firebasestorage.googleapis.com/v0/b/${this.bucket}/o/${encodeURIComponent(this.objectPath(key))}?alt=media`;
+  }
+}
+
+module.exports = FirebaseBackend;
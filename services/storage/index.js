@@ -0,0 +1,91 @@
+/**
+ * Storage backends. Every backend implements the same interface:
+ *   name                            - Backend name
+ *   put(key, buffer, { contentType }) -> Promise<{ key, url }>
+ *   get(key)                        -> Promise<Buffer> (missing objects throw with code OBJECT_NOT_FOUND)
+ *   delete(key)                     -> Promise<boolean>
+ *   list(prefix)                    -> Promise<[{ key, size, modified }]>
+ *   publicUrl(key)                  -> string
+ * Keys are relative paths with forward slashes, as built by storageLayout.
+ */
+const LocalDiskBackend = require('./localDiskBackend');
+const FirebaseBackend = require('./firebaseBackend');
+const S3Backend = require('./s3Backend');
+
+const backendFactories = {
+  local: () => new LocalDiskBackend({
+    rootDir: process.env.VPS_UPLOAD_DIR || './uploads/images',
+    baseUrl: process.env.VPS_BASE_URL || 'http://localhost:3000'
+  }),
+  firebase: () => new FirebaseBackend({
+    prefix: process.env.FIREBASE_STORAGE_PREFIX !== undefined ? process.env.FIREBASE_STORAGE_PREFIX : 'images',
+    publicUrls: process.env.FIREBASE_PUBLIC_URLS === 'true'
+  }),
+  s3: () => new S3Backend({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION,
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    publicBaseUrl: process.env.S3_PUBLIC_URL,
+    prefix: process.env.S3_PREFIX
+  })
+};
+
+const backendNames = Object.keys(backendFactories);
+const instances = new Map();
+
+/**
+ * Name of the default backend from STORAGE_BACKEND, falling back to local
+ * @returns {string} Backend name
+ */
+function defaultBackendName() {
+  const name = (process.env.STORAGE_BACKEND || 'local').trim().toLowerCase();
+
+  if (!backendFactories[name]) {
+    console.warn(`Unknown STORAGE_BACKEND "${process.env.STORAGE_BACKEND}", using local`);
+    return 'local';
+  }
+
+  return name;
+}
+
+/**
+ * Get a backend instance, creating it on first use
+ * @param {string} name - Backend name (default: STORAGE_BACKEND)
+ * @returns {Object} Storage backend
+ */
+function getBackend(name = defaultBackendName()) {
+  if (!backendFactories[name]) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, backendFactories[name]());
+  }
+
+  return instances.get(name);
+}
+
+/**
+ * Check that a backend has the settings it needs, without storing anything
+ * @param {string} name - Backend name
+ * @returns {string|null} Why the backend cannot be used, or null when it is ready
+ */
+function configurationError(name) {
+  try {
+    const backend = getBackend(name);
+    if (backend.assertReady) backend.assertReady();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+module.exports = {
+  backendNames,
+  defaultBackendName,
+  getBackend,
+  configurationError
+};
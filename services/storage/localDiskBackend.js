@@ -0,0 +1,118 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+class LocalDiskBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {string} options.rootDir - Directory files are written to
+   * @param {string} options.baseUrl - Public base URL; files are served under `${baseUrl}/images/`
+   */
+  constructor({ rootDir, baseUrl }) {
+    this.name = 'local';
+    this.rootDir = rootDir;
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Resolve a key to a path inside the root directory
+   * @param {string} key - Object key (relative path with forward slashes)
+   * @returns {string} Absolute file path
+   */
+  resolvePath(key) {
+    const root = path.resolve(this.rootDir);
+    const filePath = path.resolve(root, ...key.split('/'));
+
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key
+   * @param {Buffer} buffer - Contents
+   * @returns {Promise<Object>} { key, url }
+   */
+  async put(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return { key, url: this.publicUrl(key) };
+  }
+
+  /**
+   * Read an object
+   * @param {string} key - Object key
+   * @returns {Promise<Buffer>} Contents
+   */
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolvePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') error.code = 'OBJECT_NOT_FOUND';
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an object (missing objects are ignored)
+   * @param {string} key - Object key
+   * @returns {Promise<boolean>} True if a file was removed
+   */
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolvePath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * List objects under a prefix, skipping dotfiles (index, redirects, caches)
+   * @param {string} prefix - Key prefix (default: everything)
+   * @returns {Promise<Array>} Array of { key, size, modified }
+   */
+  async list(prefix = '') {
+    const objects = [];
+
+    const walk = async (relativeDir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(this.resolvePath(relativeDir), { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const key = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+        if (entry.isDirectory()) {
+          await walk(key);
+        } else if (entry.isFile() && key.startsWith(prefix)) {
+          const stats = await fs.stat(this.resolvePath(key));
+          objects.push({ key, size: stats.size, modified: stats.mtime.toISOString() });
+        }
+      }
+    };
+
+    await walk('');
+    return objects;
+  }
+
+  /**
+   * Public URL of an object
+   * @param {string} key - Object key
+   * @returns {string} URL
+   */
+  publicUrl(key) {
+    return `${this.baseUrl}/images/${key}`;
+  }
+}
+
+module.exports = LocalDiskBackend;
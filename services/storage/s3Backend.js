@@ -0,0 +1,165 @@
+class S3Backend {
+  /**
+   * S3-compatible object storage (AWS S3, MinIO, R2, ...). For a local MinIO use
+   * S3_ENDPOINT=http://localhost:9000 and S3_FORCE_PATH_STYLE=true.
+   * @param {Object} options - Backend options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.region - Region (default: us-east-1)
+   * @param {string} options.endpoint - Custom endpoint for non-AWS stores
+   * @param {string} options.accessKeyId - Access key
+   * @param {string} options.secretAccessKey - Secret key
+   * @param {boolean} options.forcePathStyle - Use path-style URLs (needed by MinIO)
+   * @param {string} options.publicBaseUrl - Base URL for public links (default derived from endpoint/bucket)
+   * @param {string} options.prefix - Key prefix inside the bucket
+   */
+  constructor(options) {
+    // Loaded lazily so the AWS SDK is only required when this backend is selected
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+
+    this.name = 's3';
+    this.commands = { PutObjectCommand, GetObjectCommand, DeleteObjectCommand, ListObjectsV2Command };
+    this.bucket = options.bucket;
+    this.prefix = options.prefix || '';
+    this.region = options.region || 'us-east-1';
+
+    if (!this.bucket) {
+      throw new Error('S3 storage requires S3_BUCKET');
+    }
+
+    const clientConfig = {
+      region: this.region,
+      forcePathStyle: Boolean(options.forcePathStyle)
+    };
+    if (options.endpoint) clientConfig.endpoint = options.endpoint;
+    if (options.accessKeyId && options.secretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: options.accessKeyId,
+        secretAccessKey: options.secretAccessKey
+      };
+    }
+
+    this.client = new S3Client(clientConfig);
+    this.publicBaseUrl = (options.publicBaseUrl || this.defaultPublicBaseUrl(options)).replace(/\/+$/, '');
+  }
+
+  /**
+   * Derive the public base URL when S3_PUBLIC_URL is not set
+   * @param {Object} options - Backend options
+   * @returns {string} Base URL
+   */
+  defaultPublicBaseUrl(options) {
+    if (options.endpoint) {
+      const endpoint = options.endpoint.replace(/\/+$/, '');
+      if (options.forcePathStyle) return `${endpoint}/${this.bucket}`;
+
+      const url = new URL(endpoint);
+      return `${url.protocol}//${this.bucket}.${url.host}`;
+    }
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com`;
+  }
+
+  /**
+   * Full object key inside the bucket
+   * @param {string} key - Object key
+   * @returns {string} Bucket key
+   */
+  objectKey(key) {
+    return this.prefix ? `${this.prefix}/${key}` : key;
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key
+   * @param {Buffer} buffer - Contents
+   * @param {Object} options - { contentType }
+   * @returns {Promise<Object>} { key, url }
+   */
+  async put(key, buffer, { contentType = 'application/octet-stream' } = {}) {
+    try {
+      await this.client.send(new this.commands.PutObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=86400'
+      }));
+    } catch (error) {
+      throw new Error(`S3 upload failed: ${error.message}`);
+    }
+
+    return { key, url: this.publicUrl(key) };
+  }
+
+  /**
+   * Read an object
+   * @param {string} key - Object key
+   * @returns {Promise<Buffer>} Contents
+   */
+  async get(key) {
+    let response;
+    try {
+      response = await this.client.send(new this.commands.GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+    } catch (error) {
+      if (error.name === 'NoSuchKey') error.code = 'OBJECT_NOT_FOUND';
+      throw error;
+    }
+    return Buffer.from(await response.Body.transformToByteArray());
+  }
+
+  /**
+   * Delete an object (S3 deletes are idempotent)
+   * @param {string} key - Object key
+   * @returns {Promise<boolean>} Always true
+   */
+  async delete(key) {
+    await this.client.send(new this.commands.DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+    return true;
+  }
+
+  /**
+   * List objects under a prefix
+   * @param {string} prefix - Key prefix (default: everything)
+   * @returns {Promise<Array>} Array of { key, size, modified }
+   */
+  async list(prefix = '') {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new this.commands.ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: this.objectKey(prefix),
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of response.Contents || []) {
+        objects.push({
+          key: this.prefix ? object.Key.slice(this.prefix.length + 1) : object.Key,
+          size: object.Size,
+          modified: object.LastModified ? object.LastModified.toISOString() : null
+        });
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  /**
+   * Public URL of an object
+   * @param {string} key - Object key
+   * @returns {string} URL
+   */
+  publicUrl(key) {
+    return `${this.publicBaseUrl}/${this.objectKey(key)}`;
+  }
+}
+
+module.exports = S3Backend;
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const LAYOUTS = ['flat', 'keyword-date', 'content-hash'];
+
+class StorageLayout {
+  constructor() {
+    this.uploadDir = process.env.VPS_UPLOAD_DIR || './uploads/images';
+    this.layouts = LAYOUTS;
+    this.layout = this.normalizeLayout(process.env.VPS_STORAGE_LAYOUT);
+    // Dotfile so express.static never serves it
+    this.redirectsFile = path.join(this.uploadDir, '.redirects.json');
+    this.redirects = {};
+    this.redirectsMtime = 0;
+    this.lastRedirectCheck = 0;
+    this.redirectCheckInterval = 30000; // 30 seconds
+
+    this.refreshRedirects(true);
+  }
+
+  /**
+   * Validate a layout name, falling back to flat
+   * @param {string} layout - Layout name
+   * @returns {string} Layout name
+   */
+  normalizeLayout(layout) {
+    const name = (layout || 'flat').trim().toLowerCase();
+
+    if (!LAYOUTS.includes(name)) {
+      console.warn(`Unknown VPS_STORAGE_LAYOUT "${layout}", using flat`);
+      return 'flat';
+    }
+
+    return name;
+  }
+
+  /**
+   * Make a keyword safe for use as a folder name
+   * @param {string} keyword - Search keyword
+   * @returns {string} Sanitized keyword
+   */
+  sanitizeKeyword(keyword) {
+    const sanitized = String(keyword || '').replace(/[^a-zA-Z0-9]/g, '_').toLowerCase();
+    return sanitized || 'unknown';
+  }
+
+  /**
+   * Build the path of a file relative to the upload dir (always with forward slashes)
+   *   flat:         <timestamp>_<uuid>_<n>.webp
+   *   keyword-date: <keyword>/<YYYY-MM-DD>/<timestamp>_<uuid>_<n>.webp
+   *   content-hash: <ab>/<cd>/<sha256>.webp
+   * @param {Object} params - Path parameters
+   * @param {string} params.keyword - Search keyword
+   * @param {number} params.index - Image index
+   * @param {Buffer} params.buffer - File contents (required for content-hash)
+   * @param {Date} params.date - Creation date (default: now)
+   * @param {string} params.extension - File extension without dot (default: webp)
+   * @param {string} params.layout - Layout to use (default: configured layout)
+   * @param {string} params.basename - Reuse an existing flat filename instead of generating one
+   * @returns {string} Relative path
+   */
+  buildRelativePath({ keyword, index = 0, buffer, date = new Date(), extension = 'webp', layout = this.layout, basename }) {
+    if (layout === 'content-hash') {
+      const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+      return `${hash.slice(0, 2)}/${hash.slice(2, 4)}/${hash}.${extension}`;
+    }
+
+    const filename = basename || `${date.getTime()}_${uuidv4().split('-')[0]}_${index + 1}.${extension}`;
+
+    if (layout === 'keyword-date') {
+      const day = date.toISOString().slice(0, 10);
+      return `${this.sanitizeKeyword(keyword)}/${day}/${filename}`;
+    }
+
+    return filename;
+  }
+
+  /**
+   * Reload the redirect map if the file changed. Checks at most every 30 seconds
+   * unless forced, so a migration run from the CLI is picked up by a running server.
+   * @param {boolean} force - Check the file right away
+   */
+  refreshRedirects(force = false) {
+    const now = Date.now();
+    if (!force && now - this.lastRedirectCheck < this.redirectCheckInterval) return;
+    this.lastRedirectCheck = now;
+
+    try {
+      const { mtimeMs } = fs.statSync(this.redirectsFile);
+      if (mtimeMs === this.redirectsMtime) return;
+
+      this.redirects = JSON.parse(fs.readFileSync(this.redirectsFile, 'utf8'));
+      this.redirectsMtime = mtimeMs;
+      console.log(`↪️  Loaded ${Object.keys(this.redirects).length} storage redirects`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('❌ Failed to load storage redirects:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Find where a file moved to
+   * @param {string} relativePath - Old path relative to the upload dir
+   * @returns {string|null} New relative path or null if not moved
+   */
+  resolveRedirect(relativePath) {
+    this.refreshRedirects();
+    // Own keys only, so paths such as "constructor" never resolve to Object.prototype members
+    return Object.hasOwn(this.redirects, relativePath) ? this.redirects[relativePath] : null;
+  }
+
+  /**
+   * Record moved files, pointing earlier redirects at the final location
+   * @param {Object} moves - Map of old relative path to new relative path
+   */
+  addRedirects(moves) {
+    this.refreshRedirects(true);
+
+    for (const [from, to] of Object.entries(this.redirects)) {
+      if (Object.hasOwn(moves, to)) this.redirects[from] = moves[to];
+    }
+    Object.assign(this.redirects, moves);
+
+    // A file moved back to an earlier location must not redirect to itself
+    for (const [from, to] of Object.entries(this.redirects)) {
+      if (from === to) delete this.redirects[from];
+    }
+
+    const tmpFile = `${this.redirectsFile}.tmp`;
+    fs.mkdirSync(path.dirname(this.redirectsFile), { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify(this.redirects, null, 2));
+    fs.renameSync(tmpFile, this.redirectsFile);
+    this.redirectsMtime = fs.statSync(this.redirectsFile).mtimeMs;
+  }
+
+  /**
+   * Express middleware redirecting old image URLs to their migrated location
+   * @returns {Function} Middleware
+   */
+  redirectMiddleware() {
+    return (req, res, next) => {
+      let relativePath;
+      try {
+        relativePath = decodeURIComponent(req.path.replace(/^\/+/, ''));
+      } catch (error) {
+        return next();
+      }
+
+      const target = this.resolveRedirect(relativePath);
+      if (!target) return next();
+
+      // Keep transform parameters such as ?w=400 on the new URL
+      const queryIndex = req.originalUrl.indexOf('?');
+      const query = queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex);
+      res.redirect(301, `${req.baseUrl}/${target}${query}`);
+    };
+  }
+}
+
+module.exports = new StorageLayout();
@@ -0,0 +1,107 @@
+/**
+ * Token bucket: holds up to `burst` tokens and refills `ratePerMinute` tokens per minute.
+ * A rate of 0 disables the limit.
+ */
+class TokenBucket {
+  /**
+   * @param {number} ratePerMinute - Refill rate (0 = unlimited)
+   * @param {number} burst - Capacity (default: one minute of tokens, at least 1)
+   */
+  constructor(ratePerMinute, burst = null) {
+    this.ratePerMinute = Math.max(ratePerMinute || 0, 0);
+    this.capacity = Math.max(burst || Math.ceil(this.ratePerMinute), 1);
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Parse a rate/burst pair from configuration
+   * @param {string} rate - Tokens per minute
+   * @param {string} burst - Bucket capacity
+   * @param {number} defaultRate - Used when rate is missing or invalid
+   * @param {number} defaultBurst - Used when burst is missing or invalid
+   * @returns {Object} { perMinute, burst }
+   */
+  static parseLimit(rate, burst, defaultRate, defaultBurst) {
+    const perMinute = parseFloat(rate);
+    return {
+      perMinute: Number.isNaN(perMinute) || perMinute < 0 ? defaultRate : perMinute,
+      burst: parseInt(burst) > 0 ? parseInt(burst) : defaultBurst
+    };
+  }
+
+  /**
+   * Check whether the bucket limits anything
+   * @returns {boolean} True when a rate is configured
+   */
+  isLimited() {
+    return this.ratePerMinute > 0;
+  }
+
+  /**
+   * Add the tokens earned since the last update
+   * @param {number} now - Current time in ms
+   */
+  refill(now = Date.now()) {
+    const earned = ((now - this.updatedAt) / 60000) * this.ratePerMinute;
+    this.tokens = Math.min(this.tokens + earned, this.capacity);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Take a token if one is available
+   * @returns {number} 0 when a token was taken, otherwise ms until the next one
+   */
+  take() {
+    if (!this.isLimited()) return 0;
+
+    this.refill();
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+
+    return Math.ceil(((1 - this.tokens) / this.ratePerMinute) * 60000);
+  }
+
+  /**
+   * Wait until a token is available and take it
+   * @param {Function} beforeWait - Called before every wait; throwing from it aborts the wait
+   * @returns {Promise<number>} Total ms waited
+   */
+  async acquire(beforeWait = () => {}) {
+    let waited = 0;
+
+    for (let wait = this.take(); wait > 0; wait = this.take()) {
+      beforeWait();
+      await new Promise(resolve => setTimeout(resolve, wait));
+      waited += wait;
+    }
+
+    return waited;
+  }
+
+  /**
+   * Check whether the bucket is back to full capacity, i.e. holds no state worth keeping
+   * @returns {boolean} True when full
+   */
+  isFull() {
+    this.refill();
+    return this.tokens >= this.capacity;
+  }
+
+  /**
+   * Describe the bucket for status endpoints
+   * @returns {Object} { rate_per_minute, burst, tokens }
+   */
+  describe() {
+    this.refill();
+    return {
+      rate_per_minute: this.ratePerMinute,
+      burst: this.capacity,
+      tokens: Math.floor(this.tokens)
+    };
+  }
+}
+
+module.exports = TokenBucket;
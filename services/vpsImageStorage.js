@@ -1,8 +1,15 @@
 const axios = require('axios');
 const sharp = require('sharp');
 const fs = require('fs').promises;
-const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const imageIndex = require('./imageIndex');
+const { computeDHash, hammingDistance } = require('./perceptualHash');
+const storageLayout = require('./storageLayout');
+const storage = require('./storage');
+const { variantKey, variantSpecId, buildSrcsets } = require('./imageVariants');
+const watermarkService = require('./watermarkService');
+const imageValidator = require('./imageValidator');
+const httpFixtures = require('./httpFixtures');
+const { CONTENT_TYPES, DEFAULT_PROCESSING, FORMAT_EXTENSIONS, ImagePipeline, processingKey } = require('./imagePipeline');
 
 class VPSImageStorage {
   constructor() {
@@ -11,8 +18,12 @@ class VPSImageStorage {
     this.baseUrl = process.env.VPS_BASE_URL || 'http://localhost:3000';
     this.maxFileSize = 10 * 1024 * 1024; // 10MB
     this.timeout = 30000; // 30 seconds
+    this.downloadConcurrency = Math.max(parseInt(process.env.DOWNLOAD_CONCURRENCY) || 4, 1); // Candidates in flight per request
+    const hashDistance = parseInt(process.env.PHASH_DISTANCE_THRESHOLD);
+    this.hashDistanceThreshold = Number.isNaN(hashDistance) ? 5 : hashDistance; // Max differing bits of 64
+    this.defaultBackend = storage.defaultBackendName();
     
-    console.log(`🔧 VPS Storage initialized with baseUrl: ${this.baseUrl}`);
+    console.log(`🔧 VPS Storage initialized with baseUrl: ${this.baseUrl}, backend: ${this.defaultBackend}`);
     
     // Ensure upload directory exists
     this.initializeUploadDirectory();
@@ -31,40 +42,132 @@ class VPSImageStorage {
   }
 
   /**
-   * Process multiple images and store them on VPS
+   * Process multiple images and store them on the configured storage backends.
+   * Up to DOWNLOAD_CONCURRENCY workers take candidates in order; an image rejected as a
+   * duplicate (or failing) is replaced by the next unused candidate until targetCount
+   * images are stored or the candidate pool runs out.
    * @param {Array} imageUrls - Array of image objects with url, source, title
    * @param {string} keyword - Search keyword for folder organization
-   * @param {string} watermarkText - Optional watermark text to apply on images
-   * @returns {Promise<Array>} Array of processed image results
+   * @param {Object} watermark - Optional normalized watermark to apply on images
+   * @param {Object} options - Optional settings and hooks
+   * @param {number} options.targetCount - Number of images to store (default: all candidates)
+   * @param {Function} options.onProgress - Called with (index, update) as each image moves through processing
+   * @param {Function} options.isCancelled - Returns true to skip images that have not started yet
+   * @param {Array} options.backends - Storage backends to write to; the first one provides `url` (default: STORAGE_BACKEND)
+   * @param {Array} options.variants - Normalized variant specs to render for every image
+   * @param {Object} options.processing - Normalized processing options (default: DEFAULT_PROCESSING)
+   * @param {string} options.apiKeyId - API key the images are stored for, recorded in the image index
+   * @param {Map} options.originals - Validated downloads by URL, shared with concurrent requests for the same candidates
+   * @returns {Promise<Object>} { images, candidates } - stored images in candidate order, and one
+   *   report per candidate with status, failure stage, code, original and stored dimensions and bytes
    */
-  async processMultipleImages(imageUrls, keyword, watermarkText = null) {
-    console.log(`🔄 Processing ${imageUrls.length} images on VPS...`);
+  async processMultipleImages(imageUrls, keyword, watermark = null, options = {}) {
+    const { onProgress = () => {}, isCancelled } = options;
+    const backends = options.backends && options.backends.length ? options.backends : [this.defaultBackend];
+    const targetCount = Math.min(options.targetCount || imageUrls.length, imageUrls.length);
+    console.log(`🔄 Processing up to ${targetCount} of ${imageUrls.length} candidate images on VPS...`);
     
-    const uploadPromises = imageUrls.map(async (image, index) => {
+    // Hashes accepted so far in this request, shared by concurrent downloads
+    const context = {
+      seenHashes: [],
+      backends,
+      variants: options.variants || [],
+      processing: options.processing,
+      apiKeyId: options.apiKeyId || null,
+      originals: options.originals || null
+    };
+    const successfulUploads = new Map();
+    let nextIndex = 0;
+    let inFlight = 0;
+    
+    // One report per candidate, filled in as it moves through download -> validate -> process -> store
+    const candidates = imageUrls.map((image, index) => ({
+      index,
+      status: 'pending',
+      stage: null,
+      code: null,
+      error: null,
+      original_url: image.url,
+      source: image.source || null,
+      url: null,
+      original_format: null,
+      original_width: null,
+      original_height: null,
+      original_bytes: null,
+      original_shared: false,
+      format: null,
+      width: null,
+      height: null,
+      bytes: null
+    }));
+    const report = (index, update) => {
+      Object.assign(candidates[index], update);
+      onProgress(index, update);
+    };
+    
+    const processCandidate = async (image, index) => {
       try {
-        const result = await this.downloadAndStoreImage(image, keyword, index, watermarkText);
+        report(index, { status: 'processing' });
+        const result = await this.downloadAndStoreImage(image, keyword, index, watermark, context, candidates[index]);
+        report(index, { status: result.reused ? 'reused' : 'stored', stage: null, url: result.publicUrl });
         return {
           url: result.publicUrl,
+          urls: result.urls,
+          variants: result.variants,
+          srcsets: result.srcsets,
+          format: result.format,
           title: image.title || 'Untitled',
           source: image.source,
-          original_url: image.url
+          original_url: image.url,
+          stored_bytes: result.storedBytes,
+          reused: result.reused
         };
       } catch (error) {
+        if (error.code === 'DUPLICATE_IMAGE') {
+          console.log(`♻️  Skipping duplicate image ${index + 1}: ${error.message}`);
+          report(index, { status: 'duplicate', stage: candidates[index].stage, code: error.code, error: error.message });
+          return null;
+        }
         console.error(`❌ Failed to process image ${index + 1}:`, error.message);
+        report(index, {
+          status: 'failed',
+          stage: candidates[index].stage,
+          code: error.code || 'IMAGE_FAILED',
+          error: error.message
+        });
         return null;
       }
-    });
-
-    const results = await Promise.allSettled(uploadPromises);
+    };
+    
+    // Each worker pulls the next candidate while stored plus in-flight images are still short
+    // of the target, so no more images are stored than requested
+    const worker = async () => {
+      while (successfulUploads.size + inFlight < targetCount && nextIndex < imageUrls.length) {
+        if (isCancelled && isCancelled()) return;
+        
+        const index = nextIndex++;
+        inFlight++;
+        const result = await processCandidate(imageUrls[index], index);
+        inFlight--;
+        
+        if (result) successfulUploads.set(index, result);
+      }
+    };
     
-    // Filter successful uploads
-    const successfulUploads = results
-      .filter(result => result.status === 'fulfilled' && result.value !== null)
-      .map(result => result.value);
+    const workerCount = Math.min(this.downloadConcurrency, targetCount);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    
+    // Candidates never needed are reported so progress adds up
+    const cancelled = Boolean(isCancelled && isCancelled());
+    for (let index = nextIndex; index < imageUrls.length; index++) {
+      report(index, { status: cancelled ? 'cancelled' : 'skipped' });
+    }
 
-    console.log(`✅ Successfully processed ${successfulUploads.length} out of ${imageUrls.length} images on VPS`);
+    // Keep successful uploads in candidate order
+    const images = [...successfulUploads.keys()].sort((a, b) => a - b).map(index => successfulUploads.get(index));
+    console.log(`✅ Successfully processed ${images.length} out of ${targetCount} requested images on VPS`);
     
-    return successfulUploads;
+    return { images, candidates };
   }
 
   /**
@@ -72,51 +175,381 @@ class VPSImageStorage {
    * @param {Object} imageData - Image object with url, source, title
    * @param {string} keyword - Search keyword for folder organization
    * @param {number} index - Image index for naming
-   * @param {string} watermarkText - Optional watermark text
-   * @returns {Promise<Object>} Result with local path and public URL
+   * @param {Object} watermark - Optional normalized watermark
+   * @param {Object} context - Per-request state shared between images ({ seenHashes, backends, variants, processing, apiKeyId, originals })
+   * @param {Object} candidate - Candidate report to fill in: the stage reached, original and stored dimensions and bytes
+   * @returns {Promise<Object>} Result with storage key, public URL, per-backend URLs, variants, srcsets
+   *   and storedBytes (bytes written per backend, 0 for reused images)
    */
-  async downloadAndStoreImage(imageData, keyword, index, watermarkText = null) {
+  async downloadAndStoreImage(imageData, keyword, index, watermark = null, context = { seenHashes: [] }, candidate = {}) {
+    const backends = context.backends || [this.defaultBackend];
+    const variants = context.variants || [];
+    const watermarkKey = watermarkService.fingerprint(watermark);
+    const processing = context.processing || DEFAULT_PROCESSING;
+    let claimedHash = null;
+
     try {
       console.log(`📥 Downloading image ${index + 1}: ${imageData.url}`);
       
-      // Download image
-      const imageBuffer = await this.downloadImage(imageData.url);
+      // Download image and make sure it really is one before spending any work on it
+      candidate.stage = 'download';
+      const original = await this.fetchOriginal(imageData.url, context.originals, candidate);
+      const imageBuffer = original.buffer;
+      Object.assign(candidate, {
+        original_bytes: original.bytes,
+        original_format: original.format,
+        original_width: original.width,
+        original_height: original.height
+      });
+      
+      candidate.stage = 'process';
+      
+      // Reject near-duplicates within this request and reuse matching stored images
+      const phash = await this.computeHash(imageBuffer);
+      if (phash) {
+        this.claimHash(phash, context);
+        claimedHash = phash;
+        
+        const existing = await imageIndex.findSimilar(phash, {
+          watermark: watermarkKey,
+          processing: processingKey(processing),
+          maxDistance: this.hashDistanceThreshold,
+          backends,
+          variants
+        });
+        
+        if (existing) {
+          console.log(`♻️  Reusing stored image for ${imageData.url}: ${existing.url}`);
+          await this.recordReuse(existing, keyword, context.apiKeyId);
+          const existingUrls = imageIndex.getBackendUrls(existing);
+          const publicUrl = existingUrls[backends[0]];
+          const existingVariants = this.describeVariants(existing.variants, variants, backends);
+          Object.assign(candidate, {
+            format: this.formatOf(existing.filename),
+            width: existing.width || null,
+            height: existing.height || null,
+            bytes: existing.bytes || null
+          });
+          return {
+            key: existing.filename,
+            publicUrl,
+            urls: Object.fromEntries(backends.map(name => [name, existingUrls[name]])),
+            variants: existingVariants,
+            srcsets: buildSrcsets({ url: publicUrl, width: existing.width, format: this.formatOf(existing.filename) }, existingVariants),
+            format: this.formatOf(existing.filename),
+            originalUrl: imageData.url,
+            title: imageData.title,
+            storedBytes: 0,
+            reused: true
+          };
+        }
+      }
+      
+      // Decode, resize, watermark and encode the image and its variants in one pass
+      const { buffer: processedBuffer, info, variants: rendered } = await this.processImage(imageBuffer, {
+        processing,
+        watermark,
+        variants
+      });
       
-      // Process and optimize image
-      const processedBuffer = await this.processImage(imageBuffer, watermarkText);
+      candidate.stage = 'store';
       
-      // Generate file path and name
-      const { filePath, publicUrl } = this.generateFilePaths(keyword, index);
+      // Store under the same keys on every requested backend. The extension and content
+      // type come from the requested format: sharp reports AVIF output as 'heif'.
+      const format = processing.encode.format;
+      const key = storageLayout.buildRelativePath({ keyword, index, buffer: processedBuffer, extension: FORMAT_EXTENSIONS[format] });
+      const stored = await this.storeObjects(backends, [
+        { key, buffer: processedBuffer, contentType: CONTENT_TYPES[format] },
+        ...rendered.map(({ variant, buffer }) => ({
+          key: variantKey(key, variant),
+          buffer,
+          contentType: CONTENT_TYPES[variant.format]
+        }))
+      ]);
+      const urls = stored[0];
+      const publicUrl = urls[backends[0]];
       
-      // Ensure directory exists
-      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const variantRecords = {};
+      rendered.forEach(({ variant, buffer, info }, i) => {
+        variantRecords[variant.name] = {
+          key: variantKey(key, variant),
+          url: stored[i + 1][backends[0]],
+          urls: stored[i + 1],
+          width: info.width,
+          height: info.height,
+          format: variant.format,
+          bytes: buffer.length,
+          spec: variantSpecId(variant)
+        };
+      });
       
-      // Save image to disk
-      await fs.writeFile(filePath, processedBuffer);
+      console.log(`✅ Successfully stored image ${index + 1}: ${publicUrl}${rendered.length ? ` (+${rendered.length} variants)` : ''}`);
+      
+      // Record metadata so the image can be reused without scraping again
+      await this.recordImage(processedBuffer, {
+        keyword,
+        url: publicUrl,
+        urls,
+        variants: rendered.length ? variantRecords : null,
+        filename: key,
+        original_url: imageData.url,
+        source: imageData.source,
+        title: imageData.title,
+        watermark: watermarkService.label(watermark),
+        watermark_key: watermarkKey,
+        processing_key: processingKey(processing),
+        api_key_id: context.apiKeyId || null,
+        width: info.width,
+        height: info.height,
+        phash
+      });
       
-      console.log(`✅ Successfully stored image ${index + 1}: ${publicUrl}`);
+      const storedVariants = this.describeVariants(variantRecords, variants, backends);
+      Object.assign(candidate, { format, width: info.width, height: info.height, bytes: processedBuffer.length });
       
       return {
-        localPath: filePath,
-        publicUrl: publicUrl,
+        key,
+        publicUrl,
+        urls,
+        variants: storedVariants,
+        srcsets: buildSrcsets({ url: publicUrl, width: info.width, format }, storedVariants),
+        format,
         originalUrl: imageData.url,
-        title: imageData.title
+        title: imageData.title,
+        storedBytes: processedBuffer.length + rendered.reduce((sum, { buffer }) => sum + buffer.length, 0),
+        reused: false
       };
       
     } catch (error) {
-      console.error(`❌ Failed to store image ${index + 1}:`, error.message);
+      // A failed image must not block near-duplicates from other hosts that could replace it
+      if (claimedHash) this.releaseHash(claimedHash, context);
+      
+      if (error.code !== 'DUPLICATE_IMAGE') {
+        console.error(`❌ Failed to store image ${index + 1}:`, error.message);
+      }
       throw error;
     }
   }
 
+  /**
+   * Get the validated original of a candidate, downloading it only once when concurrent
+   * requests (differing only in watermark) share an originals map
+   * @param {string} url - Image URL
+   * @param {Map|null} originals - Shared promises of validated originals by URL
+   * @param {Object} candidate - Candidate report; gets original_shared and the failing stage
+   * @returns {Promise<Object>} { buffer, format, width, height, bytes }
+   */
+  async fetchOriginal(url, originals, candidate = {}) {
+    let pending = originals && originals.get(url);
+
+    if (pending) {
+      candidate.original_shared = true;
+    } else {
+      pending = this.loadOriginal(url);
+      if (originals) originals.set(url, pending);
+    }
+
+    try {
+      return await pending;
+    } catch (error) {
+      candidate.stage = error.stage || candidate.stage;
+      throw error;
+    }
+  }
+
+  /**
+   * Download an image and validate it
+   * @param {string} url - Image URL
+   * @returns {Promise<Object>} { buffer, format, width, height, bytes } - errors carry the
+   *   stage (download or validate) they happened in
+   */
+  async loadOriginal(url) {
+    let stage = 'download';
+
+    try {
+      const download = await this.downloadImage(url);
+      stage = 'validate';
+      const original = await imageValidator.validate(download.buffer, { contentType: download.contentType });
+      return { ...original, bytes: download.buffer.length };
+    } catch (error) {
+      error.stage = stage;
+      throw error;
+    }
+  }
+
+  /**
+   * Store several objects on several backends, all or nothing. Keys an index record
+   * already uses are left in place when rolling back.
+   * @param {Array} backends - Backend names
+   * @param {Array} objects - Array of { key, buffer, contentType }
+   * @returns {Promise<Array>} Per object, a map of backend name to public URL
+   */
+  async storeObjects(backends, objects) {
+    const stored = [];
+
+    try {
+      for (const object of objects) {
+        stored.push(await this.putToBackends(backends, object.key, object.buffer, object.contentType));
+      }
+    } catch (error) {
+      await Promise.allSettled(objects.slice(0, stored.length).map(async object => {
+        if (await imageIndex.isKeyReferenced(object.key)) return;
+        await Promise.allSettled(backends.map(name => storage.getBackend(name).delete(object.key)));
+      }));
+      throw error;
+    }
+
+    return stored;
+  }
+
+  /**
+   * Public shape of stored variants, limited to the requested variants and backends
+   * @param {Object} records - Stored variants keyed by name (from the index)
+   * @param {Array} variants - Requested variant specs
+   * @param {Array} backends - Requested backends; the first one provides `url`
+   * @returns {Object} Variants keyed by name ({ url, urls, width, height, format })
+   */
+  describeVariants(records, variants, backends) {
+    const described = {};
+
+    for (const variant of variants) {
+      const record = records && records[variant.name];
+      if (!record) continue;
+
+      described[variant.name] = {
+        url: record.urls[backends[0]],
+        urls: Object.fromEntries(backends.map(name => [name, record.urls[name]])),
+        width: record.width,
+        height: record.height,
+        format: record.format
+      };
+    }
+
+    return described;
+  }
+
+  /**
+   * Image format of a stored file from its extension
+   * @param {string} key - Storage key
+   * @returns {string} Format name
+   */
+  formatOf(key) {
+    const extension = String(key || '').split('.').pop().toLowerCase();
+    return extension === 'jpg' ? 'jpeg' : extension;
+  }
+
+  /**
+   * Write an object to several backends. If any write fails, the copies that did
+   * succeed are removed again so a failed image leaves nothing behind, unless an index
+   * record already uses the key (identical bytes under the content-hash layout).
+   * @param {Array} backends - Backend names
+   * @param {string} key - Object key
+   * @param {Buffer} buffer - Contents
+   * @param {string} contentType - MIME type
+   * @returns {Promise<Object>} Map of backend name to public URL
+   */
+  async putToBackends(backends, key, buffer, contentType) {
+    const results = await Promise.allSettled(
+      backends.map(name => storage.getBackend(name).put(key, buffer, { contentType }))
+    );
+    const failedIndex = results.findIndex(result => result.status === 'rejected');
+
+    if (failedIndex !== -1) {
+      if (!(await imageIndex.isKeyReferenced(key))) {
+        await Promise.allSettled(results.map((result, i) => (
+          result.status === 'fulfilled' ? storage.getBackend(backends[i]).delete(key) : null
+        )));
+      }
+      throw new Error(`Storage backend "${backends[failedIndex]}" failed: ${results[failedIndex].reason.message}`);
+    }
+
+    return Object.fromEntries(backends.map((name, i) => [name, results[i].value.url]));
+  }
+
+  /**
+   * Compute the perceptual hash of a downloaded image
+   * @param {Buffer} imageBuffer - Downloaded image buffer
+   * @returns {Promise<string|null>} Hash or null if the image cannot be decoded
+   */
+  async computeHash(imageBuffer) {
+    try {
+      return await computeDHash(imageBuffer);
+    } catch (error) {
+      console.warn('⚠️ Could not compute perceptual hash:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Register a hash for this request, or throw if a near-duplicate was already accepted.
+   * Runs synchronously so concurrent downloads cannot both claim the same image.
+   * @param {string} phash - Perceptual hash
+   * @param {Object} context - Per-request state ({ seenHashes })
+   */
+  claimHash(phash, context) {
+    const duplicateOf = context.seenHashes.find(seen => hammingDistance(seen, phash) <= this.hashDistanceThreshold);
+    
+    if (duplicateOf) {
+      const error = new Error(`Near-duplicate of another image in this request (${phash} ~ ${duplicateOf})`);
+      error.code = 'DUPLICATE_IMAGE';
+      throw error;
+    }
+    
+    context.seenHashes.push(phash);
+  }
+
+  /**
+   * Give up a hash claimed by an image that then failed to process or store
+   * @param {string} phash - Perceptual hash passed to claimHash
+   * @param {Object} context - Per-request state ({ seenHashes })
+   */
+  releaseHash(phash, context) {
+    const position = context.seenHashes.indexOf(phash);
+    if (position !== -1) context.seenHashes.splice(position, 1);
+  }
+
+  /**
+   * Index a reused image under the current keyword and API key so keyword lookups find it
+   * and it is tagged for every key that received it
+   * @param {Object} existing - Matching index record
+   * @param {string} keyword - Current search keyword
+   * @param {string|null} apiKeyId - API key of the current request
+   * @returns {Promise<void>}
+   */
+  async recordReuse(existing, keyword, apiKeyId = null) {
+    try {
+      if (await imageIndex.findByUrl(existing.url, { keyword, apiKeyId })) return;
+
+      const { id, created_at, ...entry } = existing;
+      await imageIndex.add({ ...entry, keyword, api_key_id: apiKeyId });
+    } catch (error) {
+      console.error('⚠️ Failed to record reused image in index:', error.message);
+    }
+  }
+
+  /**
+   * Tag images returned to a request that joined another request's pipeline
+   * @param {Array} urls - Public URLs of the returned images
+   * @param {string} keyword - Search keyword
+   * @param {string|null} apiKeyId - API key of the joining request
+   * @returns {Promise<void>}
+   */
+  async tagImages(urls, keyword, apiKeyId = null) {
+    for (const url of urls) {
+      const existing = await imageIndex.findByUrl(url);
+      if (existing) await this.recordReuse(existing, keyword, apiKeyId);
+    }
+  }
+
   /**
    * Download image from URL
    * @param {string} imageUrl - URL of the image
-   * @returns {Promise<Buffer>} Image buffer
+   * @returns {Promise<Object>} { buffer, contentType } - throws with code DOWNLOAD_TIMEOUT,
+   *   FILE_TOO_LARGE, EMPTY_RESPONSE or DOWNLOAD_FAILED
    */
   async downloadImage(imageUrl) {
     try {
-      const response = await axios.get(imageUrl, {
+      const response = await axios.get(imageUrl, httpFixtures.wrap({
         responseType: 'arraybuffer',
         timeout: this.timeout,
         headers: {
@@ -127,7 +560,7 @@ class VPSImageStorage {
         },
         maxContentLength: this.maxFileSize,
         maxBodyLength: this.maxFileSize
-      });
+      }));
 
       if (response.status !== 200) {
         throw new Error(`HTTP ${response.status}: Failed to download image`);
@@ -135,130 +568,141 @@ class VPSImageStorage {
 
       const buffer = Buffer.from(response.data);
       
-      // Validate that it's actually an image
-      if (buffer.length < 100) {
-        throw new Error('Downloaded file is too small to be a valid image');
+      // Content is checked by imageValidator; this only catches empty bodies
+      if (buffer.length === 0) {
+        throw imageValidator.createError('Downloaded file is empty', 'EMPTY_RESPONSE');
       }
 
-      return buffer;
+      return { buffer, contentType: response.headers['content-type'] || null };
       
     } catch (error) {
+      if (error.code === 'EMPTY_RESPONSE') throw error;
       if (error.code === 'ECONNABORTED') {
-        throw new Error('Download timeout - image took too long to download');
+        throw imageValidator.createError('Download timeout - image took too long to download', 'DOWNLOAD_TIMEOUT');
       }
-      throw new Error(`Download failed: ${error.message}`);
+      if (/maxContentLength/.test(error.message)) {
+        throw imageValidator.createError(`Download failed: file exceeds ${this.maxFileSize} bytes`, 'FILE_TOO_LARGE');
+      }
+      throw imageValidator.createError(`Download failed: ${error.message}`, 'DOWNLOAD_FAILED');
     }
   }
 
   /**
-   * Process and optimize image using Sharp
-   * @param {Buffer} imageBuffer - Raw image buffer
-   * @param {string} watermarkText - Optional watermark text
-   * @returns {Promise<Buffer>} Processed image buffer
+   * Run an image through the processing pipeline
+   * @param {Buffer} imageBuffer - Downloaded image
+   * @param {Object} options - { processing, watermark, variants }
+   * @returns {Promise<Object>} { buffer, info, variants } - throws UNDECODABLE_IMAGE / WATERMARK_FAILED
    */
-  async processImage(imageBuffer, watermarkText = null) {
-    try {
-      // Get image metadata
-      const metadata = await sharp(imageBuffer).metadata();
-      console.log(`🔧 Processing image: ${metadata.width}x${metadata.height}, format: ${metadata.format}`);
-
-      // Process image: resize if too large, convert to JPEG, optimize
-      let processedImage = sharp(imageBuffer);
-
-      // Resize if image is too large (max 1920px width)
-      if (metadata.width > 1920) {
-        processedImage = processedImage.resize(1920, null, {
-          withoutEnlargement: true,
-          fit: 'inside'
-        });
-      }
-
-      // Convert to WebP with optimization
-      let processedBuffer = await processedImage
-        .webp({
-          quality: 85,
-          effort: 6
-        })
-        .toBuffer();
-
-      // Apply watermark if text is provided
-      if (watermarkText) {
-        processedBuffer = await this.applyWatermark(processedBuffer, watermarkText);
-      }
-
-      console.log(`✨ Image processed: ${imageBuffer.length} bytes -> ${processedBuffer.length} bytes`);
-      return processedBuffer;
+  async processImage(imageBuffer, options = {}) {
+    const pipeline = new ImagePipeline(options);
+    const result = await pipeline.run(imageBuffer);
 
-    } catch (error) {
-      console.error('⚠️ Image processing failed, using original:', error.message);
-      // If processing fails, return original buffer
-      return imageBuffer;
+    console.log(`🔧 Processed ${result.source.format} ${result.source.width}x${result.source.height} -> ${result.info.format} ${result.info.width}x${result.info.height} [${pipeline.steps.join(' → ')}]`);
+    console.log(`✨ Image processed: ${imageBuffer.length} bytes -> ${result.buffer.length} bytes`);
+    if (options.watermark) {
+      console.log(`✨ Watermark "${watermarkService.label(options.watermark)}" applied to image`);
     }
+
+    return result;
   }
 
   /**
-   * Generate file paths and public URL
-   * @param {string} keyword - Search keyword
-   * @param {number} index - Image index
-   * @returns {Object} Object with filePath and publicUrl
+   * Record stored image metadata in the image index
+   * @param {Buffer} imageBuffer - Stored image buffer
+   * @param {Object} entry - Image metadata (keyword, url, original_url, source, title, watermark, watermark_key, processing_key, api_key_id, width, height)
+   * @returns {Promise<Object|null>} Index record or null if indexing failed
    */
-  generateFilePaths(keyword, index) {
-    const timestamp = Date.now();
-    const uuid = uuidv4().split('-')[0]; // Use first part of UUID
-    
-    const filename = `${timestamp}_${uuid}_${index + 1}.webp`;
-    const filePath = path.join(this.uploadDir, filename);
-    const publicUrl = `${this.baseUrl}/images/${filename}`;
-    
-    return { filePath, publicUrl };
+  async recordImage(imageBuffer, entry) {
+    try {
+      let width = entry.width || null;
+      let height = entry.height || null;
+      
+      // Dimensions are known after processing; read them only when the caller did not pass them
+      if (!width || !height) {
+        try {
+          const metadata = await sharp(imageBuffer).metadata();
+          width = metadata.width || null;
+          height = metadata.height || null;
+        } catch (error) {
+          console.warn('⚠️ Could not read stored image dimensions:', error.message);
+        }
+      }
+      
+      return await imageIndex.add({
+        ...entry,
+        width,
+        height,
+        bytes: imageBuffer.length
+      });
+    } catch (error) {
+      // The file is already on disk, so a failed index write must not fail the upload
+      console.error('⚠️ Failed to record image in index:', error.message);
+      return null;
+    }
   }
 
   /**
-   * Get storage statistics
-   * @param {Array} results - Processing results
+   * Summarize candidate reports. Candidates never attempted (skipped, cancelled)
+   * are not part of the total.
+   * @param {Array} candidates - Candidate reports from processMultipleImages
    * @returns {Object} Statistics object
    */
-  getProcessingStats(results) {
-    const successful = results.filter(r => r && r.url).length;
-    const failed = results.length - successful;
+  getProcessingStats(candidates) {
+    const count = status => candidates.filter(candidate => candidate.status === status).length;
+    const stored = count('stored');
+    const reused = count('reused');
+    const duplicates = count('duplicate');
+    const failed = count('failed');
+    const total = stored + reused + duplicates + failed;
+    const successful = stored + reused;
+    
+    const failedByStage = {};
+    for (const candidate of candidates) {
+      if (candidate.status === 'failed') {
+        failedByStage[candidate.stage] = (failedByStage[candidate.stage] || 0) + 1;
+      }
+    }
     
     return {
-      total: results.length,
+      total,
       successful,
+      stored,
+      reused,
+      duplicates,
       failed,
-      success_rate: results.length > 0 ? (successful / results.length * 100).toFixed(1) : 0
+      failed_by_stage: failedByStage,
+      skipped: candidates.length - total,
+      success_rate: total > 0 ? Number((successful / total * 100).toFixed(1)) : 0
     };
   }
 
   /**
    * Clean up old images (optional utility method)
    * @param {number} maxAgeHours - Maximum age in hours
+   * @param {string} backendName - Backend to clean up (default: STORAGE_BACKEND)
    * @returns {Promise<number>} Number of files deleted
    */
-  async cleanupOldImages(maxAgeHours = 24) {
+  async cleanupOldImages(maxAgeHours = 24, backendName = this.defaultBackend) {
     try {
       const maxAge = Date.now() - (maxAgeHours * 60 * 60 * 1000);
+      const backend = storage.getBackend(backendName);
       let deletedCount = 0;
       
-      const cleanupDirectory = async (dirPath) => {
-        const items = await fs.readdir(dirPath, { withFileTypes: true });
-        
-        for (const item of items) {
-          const itemPath = path.join(dirPath, item.name);
-          
-          if (item.isDirectory()) {
-            await cleanupDirectory(itemPath);
-          } else if (item.isFile()) {
-            const stats = await fs.stat(itemPath);
-            if (stats.mtime.getTime() < maxAge) {
-              await fs.unlink(itemPath);
-              deletedCount++;
-            }
-          }
+      // A key can be shared with a newer record (a reused image, or identical bytes under
+      // the content-hash layout), so it stays until every record using it is old
+      const liveKeys = new Set((await imageIndex.load())
+        .filter(record => new Date(record.created_at).getTime() >= maxAge)
+        .flatMap(record => imageIndex.getKeys(record)));
+      
+      // Backends never list the image index, redirect map or caches
+      for (const object of await backend.list()) {
+        // Objects without a modification time (Firebase listings) are kept
+        if (object.modified && new Date(object.modified).getTime() < maxAge && !liveKeys.has(object.key)) {
+          await backend.delete(object.key);
+          deletedCount++;
         }
-      };
+      }
       
-      await cleanupDirectory(this.uploadDir);
       console.log(`🧹 Cleaned up ${deletedCount} old images`);
       return deletedCount;
       
@@ -267,87 +711,6 @@ class VPSImageStorage {
       return 0;
     }
   }
-
-  /**
-   * Apply watermark text to image at multiple positions
-   * @param {Buffer} imageBuffer - Image buffer
-   * @param {string} watermarkText - Text to use as watermark
-   * @returns {Promise<Buffer>} Watermarked image buffer
-   */
-  async applyWatermark(imageBuffer, watermarkText) {
-    try {
-      const image = sharp(imageBuffer);
-      const metadata = await image.metadata();
-      const { width, height } = metadata;
-
-      // Calculate font size based on image dimensions (responsive sizing)
-      const fontSize = Math.max(Math.floor(width / 25), 20);
-      const padding = Math.floor(fontSize * 0.5);
-
-      // Create semi-transparent watermark text SVG
-      const watermarkSvg = Buffer.from(`
-        <svg width="${width}" height="${height}">
-          <style>
-            .watermark { 
-              fill: white; 
-              font-size: ${fontSize}px; 
-              font-family: Arial, sans-serif; 
-              font-weight: bold;
-              opacity: 0.4;
-              paint-order: stroke fill;
-              stroke: rgba(0,0,0,0.3);
-              stroke-width: 2px;
-            }
-          </style>
-          <!-- Top Left -->
-          <text x="${padding}" y="${fontSize + padding}" class="watermark">${this.escapeXml(watermarkText)}</text>
-          
-          <!-- Top Right -->
-          <text x="${width - padding}" y="${fontSize + padding}" text-anchor="end" class="watermark">${this.escapeXml(watermarkText)}</text>
-          
-          <!-- Center -->
-          <text x="${width / 2}" y="${height / 2}" text-anchor="middle" class="watermark">${this.escapeXml(watermarkText)}</text>
-          
-          <!-- Bottom Left -->
-          <text x="${padding}" y="${height - padding}" class="watermark">${this.escapeXml(watermarkText)}</text>
-          
-          <!-- Bottom Right -->
-          <text x="${width - padding}" y="${height - padding}" text-anchor="end" class="watermark">${this.escapeXml(watermarkText)}</text>
-        </svg>
-      `);
-
-      // Composite watermark onto image
-      const watermarkedBuffer = await image
-        .composite([{
-          input: watermarkSvg,
-          top: 0,
-          left: 0
-        }])
-        .toBuffer();
-
-      console.log(`✨ Watermark "${watermarkText}" applied to image`);
-      return watermarkedBuffer;
-
-    } catch (error) {
-      console.error('⚠️ Watermark application failed:', error.message);
-      // Return original image if watermarking fails
-      return imageBuffer;
-    }
-  }
-
-  /**
-   * Escape XML special characters for SVG
-   * @param {string} text - Text to escape
-   * @returns {string} Escaped text
-   */
-  escapeXml(text) {
-    return text
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&apos;');
-  }
 }
 
 module.exports = new VPSImageStorage();
\ No newline at end of file
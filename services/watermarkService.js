@@ -0,0 +1,552 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const imageValidator = require('./imageValidator');
+
+const POSITIONS = ['top_left', 'top_right', 'bottom_left', 'bottom_right', 'center', 'corners_center', 'tiled'];
+const LOGO_EXTENSIONS = ['.png', '.svg'];
+const NAME_PATTERN = /^[a-z0-9_-]{1,64}$/;
+
+// A plain text watermark renders exactly like the original five-spot layout
+const DEFAULTS = {
+  text: null,
+  logo: null,
+  position: 'corners_center',
+  opacity: 0.4,
+  color: 'white',
+  font_family: 'Arial, sans-serif',
+  font_size: null, // Scales with the image width
+  rotation: 0,
+  scale: 0.2 // Logo width as a fraction of the image width
+};
+
+class WatermarkService {
+  constructor() {
+    this.libraryDir = process.env.WATERMARK_DIR || './data/watermarks';
+    this.logoDir = path.join(this.libraryDir, 'logos');
+    this.presetsFile = path.join(this.libraryDir, 'presets.json');
+    this.presets = null;
+    this.positions = POSITIONS;
+  }
+
+  /**
+   * Validate and normalize the `watermark` field of a request. Accepts a text string,
+   * an options object, or `{ preset: "<id>", ...overrides }`.
+   * @param {string|Object} value - Raw watermark field
+   * @returns {Object} { watermark } (null when absent) or { error } with a message
+   */
+  normalize(value) {
+    if (value === undefined || value === null) return { watermark: null };
+
+    if (typeof value === 'string') {
+      return { watermark: value.trim() ? { ...DEFAULTS, text: value.trim() } : null };
+    }
+
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      return { error: 'watermark must be a string or an object' };
+    }
+
+    let options = value;
+    if (value.preset !== undefined) {
+      const preset = this.getPreset(value.preset);
+      if (!preset) {
+        return { error: `Unknown watermark preset: ${value.preset}` };
+      }
+      const { preset: presetId, ...overrides } = value;
+      options = { ...preset.options, ...overrides };
+    }
+
+    return this.normalizeOptions(options);
+  }
+
+  /**
+   * Validate watermark options and fill in defaults
+   * @param {Object} options - Raw options
+   * @returns {Object} { watermark } or { error }
+   */
+  normalizeOptions(options) {
+    const watermark = { ...DEFAULTS };
+
+    if (options.text !== undefined && options.text !== null) {
+      if (typeof options.text !== 'string' || !options.text.trim() || options.text.length > 100) {
+        return { error: 'watermark.text must be a non-empty string of at most 100 characters' };
+      }
+      watermark.text = options.text.trim();
+    }
+
+    if (options.logo !== undefined && options.logo !== null) {
+      const data = typeof options.logo === 'string' ? this.readLogo(options.logo) : null;
+      if (!data) {
+        return { error: `Unknown watermark logo: ${options.logo}` };
+      }
+      watermark.logo = options.logo;
+      this.attachLogo(watermark, data);
+    }
+
+    if (!watermark.text === !watermark.logo) {
+      return { error: 'watermark needs either text or logo (not both)' };
+    }
+
+    if (options.position !== undefined) {
+      if (!POSITIONS.includes(options.position)) {
+        return { error: `watermark.position must be one of: ${POSITIONS.join(', ')}` };
+      }
+      watermark.position = options.position;
+    }
+
+    const numbers = [
+      ['opacity', 0, 1],
+      ['font_size', 6, 500],
+      ['rotation', -360, 360],
+      ['scale', 0.01, 1]
+    ];
+    for (const [name, min, max] of numbers) {
+      if (options[name] === undefined || options[name] === null) continue;
+
+      const number = Number(options[name]);
+      if (!Number.isFinite(number) || number < min || number > max) {
+        return { error: `watermark.${name} must be a number between ${min} and ${max}` };
+      }
+      watermark[name] = number;
+    }
+
+    if (options.color !== undefined) {
+      if (typeof options.color !== 'string' || !/^(#[0-9a-f]{3,8}|[a-z]{3,20})$/i.test(options.color)) {
+        return { error: 'watermark.color must be a hex color (#rrggbb) or a color name' };
+      }
+      watermark.color = options.color;
+    }
+
+    if (options.font_family !== undefined) {
+      if (typeof options.font_family !== 'string' || !/^[\w\s,'-]{1,100}$/.test(options.font_family)) {
+        return { error: 'watermark.font_family may only contain letters, digits, spaces, commas, quotes and dashes' };
+      }
+      watermark.font_family = options.font_family;
+    }
+
+    return { watermark };
+  }
+
+  /**
+   * Carry the logo bytes read during validation on the watermark, so every image of the
+   * request is rendered with the same logo even if the library changes meanwhile. Not
+   * enumerable: kept out of responses and persisted jobs.
+   * @param {Object} watermark - Normalized watermark
+   * @param {Buffer} data - Logo file contents
+   * @returns {Object} The watermark
+   */
+  attachLogo(watermark, data) {
+    Object.defineProperty(watermark, 'logo_data', { value: data, enumerable: false, configurable: true });
+    return watermark;
+  }
+
+  /**
+   * Read the logo of a normalized watermark restored from JSON (a persisted job), which
+   * lost the bytes read during validation
+   * @param {Object} watermark - Normalized watermark
+   * @returns {Object} The watermark with its logo bytes - throws WATERMARK_LOGO_MISSING
+   *   when the logo was removed from the library
+   */
+  loadLogo(watermark) {
+    if (!watermark || !watermark.logo || watermark.logo_data) return watermark;
+
+    const data = this.readLogo(watermark.logo);
+    if (!data) {
+      throw this.createError(`Watermark logo "${watermark.logo}" no longer exists`, 'WATERMARK_LOGO_MISSING');
+    }
+
+    return this.attachLogo(watermark, data);
+  }
+
+  /**
+   * Short label stored with images and shown in listings
+   * @param {Object|string} watermark - Normalized watermark (or text from jobs queued before options existed)
+   * @returns {string|null} Text, `logo:<name>` or null
+   */
+  label(watermark) {
+    if (!watermark) return null;
+    if (typeof watermark === 'string') return watermark;
+    return watermark.text || `logo:${watermark.logo}`;
+  }
+
+  /**
+   * Identify a watermark so stored images are only reused when they carry exactly
+   * the same one. Plain text with default settings keeps the bare text, matching
+   * images stored before watermark options existed.
+   * @param {Object} watermark - Normalized watermark
+   * @returns {string|null} Watermark key
+   */
+  fingerprint(watermark) {
+    if (!watermark) return null;
+
+    const isPlainText = Object.keys(DEFAULTS)
+      .every(name => name === 'text' || watermark[name] === DEFAULTS[name]);
+    if (isPlainText) return watermark.text;
+
+    const hash = crypto.createHash('sha256').update(JSON.stringify(
+      Object.keys(DEFAULTS).map(name => watermark[name])
+    ));
+    if (watermark.logo) hash.update(watermark.logo_data);
+
+    return `wm_${hash.digest('hex').slice(0, 16)}`;
+  }
+
+  /**
+   * Build the sharp composite layers of a watermark for an image of the given size
+   * @param {Object} watermark - Normalized watermark
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {Promise<Array>} sharp composite inputs
+   */
+  async overlays(watermark, width, height) {
+    return watermark.logo
+      ? this.logoOverlays(watermark, width, height)
+      : [{ input: this.textOverlay(watermark, width, height), top: 0, left: 0 }];
+  }
+
+  /**
+   * Render a text watermark as a full-size SVG overlay
+   * @param {Object} watermark - Normalized watermark
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {Buffer} SVG
+   */
+  textOverlay(watermark, width, height) {
+    const fontSize = watermark.font_size || Math.max(Math.floor(width / 25), 20);
+    const padding = Math.floor(fontSize * 0.5);
+    const text = this.escapeXml(watermark.text);
+
+    const spots = [];
+    if (watermark.position === 'tiled') {
+      // Staggered grid, every label turned to the diagonal
+      const stepX = Math.max(Math.ceil(watermark.text.length * fontSize * 0.7), fontSize * 4);
+      const stepY = fontSize * 4;
+      const rotation = watermark.rotation || -30;
+      for (let row = 0, y = fontSize; y < height + stepY; row++, y += stepY) {
+        for (let x = (row % 2) * (stepX / 2) - stepX / 2; x < width + stepX; x += stepX) {
+          spots.push({ x, y, anchor: 'middle', rotation });
+        }
+      }
+    } else {
+      const anchors = {
+        top_left: { x: padding, y: fontSize + padding, anchor: 'start' },
+        top_right: { x: width - padding, y: fontSize + padding, anchor: 'end' },
+        center: { x: width / 2, y: height / 2, anchor: 'middle' },
+        bottom_left: { x: padding, y: height - padding, anchor: 'start' },
+        bottom_right: { x: width - padding, y: height - padding, anchor: 'end' }
+      };
+      const names = watermark.position === 'corners_center' ? Object.keys(anchors) : [watermark.position];
+      for (const name of names) {
+        spots.push({ ...anchors[name], rotation: watermark.rotation });
+      }
+    }
+
+    const elements = spots.map(({ x, y, anchor, rotation }) => {
+      const transform = rotation ? ` transform="rotate(${rotation} ${x} ${y})"` : '';
+      return `<text x="${x}" y="${y}" text-anchor="${anchor}"${transform} class="watermark">${text}</text>`;
+    });
+
+    return Buffer.from(`
+      <svg width="${width}" height="${height}">
+        <style>
+          .watermark {
+            fill: ${watermark.color};
+            font-size: ${fontSize}px;
+            font-family: ${watermark.font_family};
+            font-weight: bold;
+            opacity: ${watermark.opacity};
+            paint-order: stroke fill;
+            stroke: rgba(0,0,0,0.3);
+            stroke-width: 2px;
+          }
+        </style>
+        ${elements.join('\n        ')}
+      </svg>
+    `);
+  }
+
+  /**
+   * Build composite layers for a logo watermark
+   * @param {Object} watermark - Normalized watermark
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {Promise<Array>} sharp composite inputs
+   */
+  async logoOverlays(watermark, width, height) {
+    const logoWidth = Math.max(Math.round(width * watermark.scale), 8);
+    const rotation = watermark.position === 'tiled' ? (watermark.rotation || -30) : watermark.rotation;
+
+    let logo = sharp(watermark.logo_data)
+      .resize({ width: logoWidth, height: height, fit: 'inside' })
+      .ensureAlpha();
+    if (rotation) {
+      logo = sharp(await logo.png().toBuffer()).rotate(rotation, { background: { r: 0, g: 0, b: 0, alpha: 0 } });
+    }
+
+    // Scale the alpha channel by the opacity
+    const { data, info } = await logo
+      .composite([{
+        input: Buffer.from([0, 0, 0, Math.round(255 * watermark.opacity)]),
+        raw: { width: 1, height: 1, channels: 4 },
+        tile: true,
+        blend: 'dest-in'
+      }])
+      .png()
+      .toBuffer({ resolveWithObject: true });
+
+    // Never larger than the image itself
+    const input = info.width > width || info.height > height
+      ? await sharp(data).resize({ width, height, fit: 'inside' }).toBuffer()
+      : data;
+    const { width: w, height: h } = await sharp(input).metadata();
+
+    if (watermark.position === 'tiled') {
+      // Keep the padded tile within the image, as sharp requires
+      const gap = Math.max(Math.min(Math.round(w / 2), Math.floor((width - w) / 2), Math.floor((height - h) / 2)), 0);
+      const tile = await sharp(input)
+        .extend({ top: gap, bottom: gap, left: gap, right: gap, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+        .toBuffer();
+      return [{ input: tile, tile: true, top: 0, left: 0 }];
+    }
+
+    const padding = Math.round(Math.min(width, height) * 0.02);
+    const spots = {
+      top_left: { left: padding, top: padding },
+      top_right: { left: width - w - padding, top: padding },
+      center: { left: Math.round((width - w) / 2), top: Math.round((height - h) / 2) },
+      bottom_left: { left: padding, top: height - h - padding },
+      bottom_right: { left: width - w - padding, top: height - h - padding }
+    };
+    const names = watermark.position === 'corners_center' ? Object.keys(spots) : [watermark.position];
+
+    return names.map(name => ({
+      input,
+      left: Math.max(spots[name].left, 0),
+      top: Math.max(spots[name].top, 0)
+    }));
+  }
+
+  /**
+   * Find a logo file in the library
+   * @param {string} name - Logo name
+   * @returns {string|null} File path or null if missing
+   */
+  findLogo(name) {
+    if (!NAME_PATTERN.test(name)) return null;
+
+    for (const extension of LOGO_EXTENSIONS) {
+      const filePath = path.join(this.logoDir, `${name}${extension}`);
+      if (fs.existsSync(filePath)) return filePath;
+    }
+
+    return null;
+  }
+
+  /**
+   * Read a logo file from the library
+   * @param {string} name - Logo name
+   * @returns {Buffer|null} File contents or null if missing
+   */
+  readLogo(name) {
+    const filePath = this.findLogo(name);
+    if (!filePath) return null;
+
+    try {
+      return fs.readFileSync(filePath);
+    } catch (error) {
+      // Deleted between the lookup and the read
+      return null;
+    }
+  }
+
+  /**
+   * List logos in the library
+   * @returns {Array} Array of { name, format, bytes }
+   */
+  listLogos() {
+    let files = [];
+    try {
+      files = fs.readdirSync(this.logoDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    return files
+      .filter(file => LOGO_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .map(file => ({
+        name: path.basename(file, path.extname(file)),
+        format: path.extname(file).slice(1).toLowerCase(),
+        bytes: fs.statSync(path.join(this.logoDir, file)).size
+      }));
+  }
+
+  /**
+   * Add or replace a logo in the library
+   * @param {string} name - Logo name
+   * @param {Buffer} buffer - PNG or SVG contents
+   * @returns {Promise<Object>} { name, format, bytes }
+   */
+  async saveLogo(name, buffer) {
+    if (!NAME_PATTERN.test(name)) {
+      throw this.createError('Logo name must be 1-64 characters of a-z, 0-9, _ or -', 'INVALID_LOGO');
+    }
+
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      throw this.createError('Logo must be a PNG or SVG image', 'INVALID_LOGO');
+    }
+
+    if (metadata.format !== 'png' && metadata.format !== 'svg') {
+      throw this.createError('Logo must be a PNG or SVG image', 'INVALID_LOGO');
+    }
+
+    // SVG logos are rendered server-side; refuse anything that could run or fetch
+    if (metadata.format === 'svg' && imageValidator.isUnsafeSvg(buffer.toString('utf8'))) {
+      throw this.createError('SVG logos may not contain scripts, event handlers or external references', 'INVALID_LOGO');
+    }
+
+    this.deleteLogo(name);
+
+    const filePath = path.join(this.logoDir, `${name}.${metadata.format}`);
+    fs.mkdirSync(this.logoDir, { recursive: true });
+    fs.writeFileSync(`${filePath}.tmp`, buffer);
+    fs.renameSync(`${filePath}.tmp`, filePath);
+
+    console.log(`🖋️  Saved watermark logo "${name}" (${metadata.format}, ${buffer.length} bytes)`);
+    return { name, format: metadata.format, bytes: buffer.length };
+  }
+
+  /**
+   * Remove a logo from the library
+   * @param {string} name - Logo name
+   * @returns {boolean} True if a file was removed
+   */
+  deleteLogo(name) {
+    const filePath = this.findLogo(name);
+    if (!filePath) return false;
+
+    fs.unlinkSync(filePath);
+    return true;
+  }
+
+  /**
+   * Load presets from disk on first use
+   * @returns {Object} Map of preset id to preset
+   */
+  loadPresets() {
+    if (this.presets) return this.presets;
+
+    try {
+      this.presets = JSON.parse(fs.readFileSync(this.presetsFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('❌ Failed to load watermark presets:', error.message);
+      }
+      this.presets = {};
+    }
+
+    return this.presets;
+  }
+
+  /**
+   * List stored presets
+   * @returns {Array} Presets sorted by id
+   */
+  listPresets() {
+    return Object.values(this.loadPresets()).sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Get a preset by id
+   * @param {string} id - Preset id
+   * @returns {Object|null} Preset or null
+   */
+  getPreset(id) {
+    const presets = this.loadPresets();
+    // Own keys only, so ids such as "toString" never resolve to Object.prototype members
+    return Object.hasOwn(presets, id) ? presets[id] : null;
+  }
+
+  /**
+   * Create or replace a named preset
+   * @param {string} id - Preset id
+   * @param {Object} options - Watermark options (same fields as the request)
+   * @returns {Object} Stored preset { id, options, created_at, updated_at }
+   */
+  savePreset(id, options) {
+    if (!NAME_PATTERN.test(id)) {
+      throw this.createError('Preset id must be 1-64 characters of a-z, 0-9, _ or -', 'INVALID_PRESET');
+    }
+
+    const { preset, ...raw } = options || {};
+    const { watermark, error } = this.normalizeOptions(raw);
+    if (error) throw this.createError(error, 'INVALID_PRESET');
+
+    const presets = this.loadPresets();
+    const now = new Date().toISOString();
+    presets[id] = {
+      id,
+      options: watermark,
+      created_at: Object.hasOwn(presets, id) ? presets[id].created_at : now,
+      updated_at: now
+    };
+    this.writePresets();
+
+    return presets[id];
+  }
+
+  /**
+   * Delete a preset
+   * @param {string} id - Preset id
+   * @returns {boolean} True if a preset was removed
+   */
+  deletePreset(id) {
+    const presets = this.loadPresets();
+    if (!Object.hasOwn(presets, id)) return false;
+
+    delete presets[id];
+    this.writePresets();
+    return true;
+  }
+
+  /**
+   * Persist presets atomically
+   */
+  writePresets() {
+    fs.mkdirSync(this.libraryDir, { recursive: true });
+    fs.writeFileSync(`${this.presetsFile}.tmp`, JSON.stringify(this.presets, null, 2));
+    fs.renameSync(`${this.presetsFile}.tmp`, this.presetsFile);
+  }
+
+  /**
+   * Create an error carrying an API error code
+   * @param {string} message - Error message
+   * @param {string} code - API error code
+   * @returns {Error} Error instance
+   */
+  createError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = 400;
+    return error;
+  }
+
+  /**
+   * Escape XML special characters for SVG
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeXml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+module.exports = new WatermarkService();
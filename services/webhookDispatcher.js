@@ -0,0 +1,332 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const fs = require('fs').promises;
+const net = require('net');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Callbacks are client-supplied URLs, so they must not reach this host or its network:
+// loopback, private (RFC 1918, unique local), link-local, shared (CGNAT), multicast and
+// the other special-purpose ranges. IPv4-mapped IPv6 addresses match the IPv4 entries;
+// NAT64 addresses (64:ff9b::/96) are refused outright, as a gateway would reach any IPv4 host.
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.88.99.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['64:ff9b:1::', 48, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001::', 32, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['2002::', 16, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['fec0::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_RANGES) {
+  blockedAddresses.addSubnet(address, prefix, type);
+}
+
+class WebhookDispatcher {
+  constructor() {
+    this.secret = process.env.WEBHOOK_SECRET || '';
+    this.maxAttempts = Math.max(parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5, 1);
+    this.baseDelay = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 2000; // 2 seconds
+    this.maxDelay = 5 * 60 * 1000; // 5 minutes
+    this.timeout = 15000; // 15 seconds
+    this.deadLetterFile = process.env.WEBHOOK_DEAD_LETTER_FILE || './data/webhooks/dead-letters.json';
+    // For deployments whose callback receivers live on the private network
+    this.allowPrivateUrls = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+    this.deadLetters = null;
+    this.writeQueue = Promise.resolve();
+
+    if (!this.secret) {
+      console.warn('⚠️ No WEBHOOK_SECRET found in environment variables, callbacks will be unsigned');
+    }
+  }
+
+  /**
+   * Validate a callback URL supplied by a client
+   * @param {string} callbackUrl - URL to validate
+   * @returns {boolean} True if the URL is an absolute http(s) URL
+   */
+  isValidCallbackUrl(callbackUrl) {
+    if (!callbackUrl || typeof callbackUrl !== 'string') return false;
+
+    try {
+      const parsed = new URL(callbackUrl);
+      return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check a callback URL supplied by a client: it must be an absolute http(s) URL whose
+   * host resolves only to public addresses (unless WEBHOOK_ALLOW_PRIVATE_URLS=true)
+   * @param {string} callbackUrl - URL to check
+   * @returns {Promise<string|null>} Why the URL is refused, or null if it may be used
+   */
+  async checkCallbackUrl(callbackUrl) {
+    if (!this.isValidCallbackUrl(callbackUrl)) {
+      return 'callback_url must be an absolute http(s) URL';
+    }
+
+    try {
+      await this.resolvePublicAddresses(new URL(callbackUrl).hostname);
+      return null;
+    } catch (error) {
+      return `callback_url ${error.message}`;
+    }
+  }
+
+  /**
+   * Resolve a callback host, refusing it when any address is loopback, private,
+   * link-local or otherwise reserved. Deliveries also use this as their DNS lookup,
+   * so a host cannot pass the check and then resolve somewhere else on connect.
+   * @param {string} hostname - Host name or IP literal (IPv6 in brackets)
+   * @returns {Promise<Array>} Addresses as { address, family }
+   */
+  async resolvePublicAddresses(hostname) {
+    const host = hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+
+    if (net.isIP(host)) {
+      addresses = [{ address: host, family: net.isIP(host) }];
+    } else {
+      try {
+        addresses = await dns.lookup(host, { all: true, verbatim: true });
+      } catch (error) {
+        throw this.createBlockedError(`host ${host} could not be resolved (${error.code || error.message})`);
+      }
+    }
+
+    if (this.allowPrivateUrls) return addresses;
+
+    const blocked = addresses.find(({ address, family }) => blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+    if (blocked) {
+      throw this.createBlockedError(`host ${host} resolves to a non-public address (${blocked.address})`);
+    }
+
+    return addresses;
+  }
+
+  /**
+   * Create the error for a callback destination that may not be used
+   * @param {string} message - Error message
+   * @returns {Error} Error with code CALLBACK_URL_BLOCKED
+   */
+  createBlockedError(message) {
+    const error = new Error(message);
+    error.code = 'CALLBACK_URL_BLOCKED';
+    return error;
+  }
+
+  /**
+   * Compute the HMAC-SHA256 signature for a payload
+   * @param {string} body - Serialized JSON body
+   * @param {string} timestamp - Unix timestamp (seconds) sent with the request
+   * @returns {string} Signature header value (sha256=<hex>)
+   */
+  sign(body, timestamp) {
+    const digest = crypto
+      .createHmac('sha256', this.secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Deliver a payload in the background, retrying with exponential backoff. Pending
+   * retries live in memory only: a restart drops them without adding a dead letter.
+   * @param {string} callbackUrl - Destination URL
+   * @param {Object} payload - JSON payload
+   * @param {Object} context - Extra fields stored with a dead letter (e.g. job_id)
+   */
+  dispatch(callbackUrl, payload, context = {}) {
+    const delivery = {
+      id: uuidv4(),
+      callback_url: callbackUrl,
+      payload,
+      ...context,
+      attempts: 0,
+      errors: []
+    };
+
+    this.deliver(delivery).catch(error => {
+      console.error(`❌ Webhook delivery ${delivery.id} crashed:`, error.message);
+    });
+
+    return delivery.id;
+  }
+
+  /**
+   * Attempt delivery until it succeeds or attempts run out. The destination is checked
+   * again before every attempt; a blocked one goes to the dead-letter list without retries.
+   * @param {Object} delivery - Delivery record
+   * @returns {Promise<boolean>} True if delivered
+   */
+  async deliver(delivery) {
+    const body = JSON.stringify(delivery.payload);
+
+    while (delivery.attempts < this.maxAttempts) {
+      delivery.attempts++;
+
+      try {
+        await this.resolvePublicAddresses(new URL(delivery.callback_url).hostname);
+
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+          'Content-Type': 'application/json',
+          'User-Agent': 'image-scraper-webhook/1.0',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Timestamp': timestamp
+        };
+
+        if (this.secret) {
+          headers['X-Webhook-Signature'] = this.sign(body, timestamp);
+        }
+
+        await axios.post(delivery.callback_url, body, {
+          headers,
+          timeout: this.timeout,
+          maxRedirects: 0,
+          // Must be an async function: axios only adapts those to the callback-style lookup
+          lookup: async hostname => this.resolvePublicAddresses(hostname)
+        });
+
+        console.log(`📬 Webhook ${delivery.id} delivered to ${delivery.callback_url} (attempt ${delivery.attempts})`);
+        return true;
+
+      } catch (error) {
+        const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+        delivery.errors.push({ attempt: delivery.attempts, error: reason, at: new Date().toISOString() });
+        console.error(`❌ Webhook ${delivery.id} attempt ${delivery.attempts}/${this.maxAttempts} failed:`, reason);
+
+        if (delivery.attempts >= this.maxAttempts || this.isBlockedError(error)) break;
+
+        // Exponential backoff with jitter
+        const waitTime = Math.min(this.baseDelay * Math.pow(2, delivery.attempts - 1), this.maxDelay) + Math.random() * 1000;
+        console.log(`⏳ Retrying webhook in ${Math.round(waitTime / 1000)}s...`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      }
+    }
+
+    await this.addDeadLetter(delivery);
+    return false;
+  }
+
+  /**
+   * Check whether a delivery failed because its destination is not allowed
+   * @param {Error} error - Error from a delivery attempt (axios wraps lookup errors)
+   * @returns {boolean} True if retrying cannot help
+   */
+  isBlockedError(error) {
+    return error.code === 'CALLBACK_URL_BLOCKED' || Boolean(error.cause && error.cause.code === 'CALLBACK_URL_BLOCKED');
+  }
+
+  /**
+   * Load the dead-letter list from disk (once)
+   * @returns {Promise<Array>} Dead letters
+   */
+  async loadDeadLetters() {
+    if (this.deadLetters) return this.deadLetters;
+
+    try {
+      this.deadLetters = JSON.parse(await fs.readFile(this.deadLetterFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('❌ Failed to load webhook dead letters:', error.message);
+      }
+      this.deadLetters = [];
+    }
+
+    return this.deadLetters;
+  }
+
+  /**
+   * Persist the dead-letter list
+   * @returns {Promise<void>}
+   */
+  async saveDeadLetters() {
+    const snapshot = JSON.stringify(this.deadLetters, null, 2);
+
+    const write = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(this.deadLetterFile), { recursive: true });
+      await fs.writeFile(`${this.deadLetterFile}.tmp`, snapshot);
+      await fs.rename(`${this.deadLetterFile}.tmp`, this.deadLetterFile);
+    });
+    this.writeQueue = write.catch(() => {});
+
+    await write;
+  }
+
+  /**
+   * Record a delivery that exhausted its retries
+   * @param {Object} delivery - Failed delivery
+   * @returns {Promise<void>}
+   */
+  async addDeadLetter(delivery) {
+    const deadLetters = await this.loadDeadLetters();
+    deadLetters.push({ ...delivery, failed_at: new Date().toISOString() });
+
+    try {
+      await this.saveDeadLetters();
+    } catch (error) {
+      console.error('❌ Failed to persist webhook dead letter:', error.message);
+    }
+
+    console.error(`💀 Webhook ${delivery.id} moved to dead-letter list after ${delivery.attempts} attempts`);
+  }
+
+  /**
+   * List dead letters, newest first
+   * @returns {Promise<Array>} Dead letters
+   */
+  async listDeadLetters() {
+    const deadLetters = await this.loadDeadLetters();
+    return [...deadLetters].reverse();
+  }
+
+  /**
+   * Remove a dead letter and queue it for delivery again
+   * @param {string} id - Dead letter (delivery) id
+   * @returns {Promise<Object|null>} Requeued delivery or null if unknown
+   */
+  async retryDeadLetter(id) {
+    const deadLetters = await this.loadDeadLetters();
+    const index = deadLetters.findIndex(letter => letter.id === id);
+    if (index === -1) return null;
+
+    const [letter] = deadLetters.splice(index, 1);
+    await this.saveDeadLetters();
+
+    const { failed_at, ...delivery } = letter;
+    delivery.attempts = 0;
+    this.deliver(delivery).catch(error => {
+      console.error(`❌ Webhook delivery ${delivery.id} crashed:`, error.message);
+    });
+
+    return delivery;
+  }
+}
+
+module.exports = new WebhookDispatcher();
@@ -0,0 +1,232 @@
+/**
+ * API key authentication, admin endpoints, quotas and usage accounting.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { configure, useServer } = require('./helpers/server');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+configure({ API_AUTH: 'required', ADMIN_API_TOKEN: ADMIN_TOKEN });
+
+const app = require('..');
+const apiKeys = require('../services/apiKeys');
+const jobManager = require('../services/jobManager');
+
+describe('API keys', () => {
+  const { request } = useServer(app);
+  let issued;
+
+  const admin = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+  it('requires a key on API routes but not on the docs', async () => {
+    const missing = await request('POST', '/api/search-images', { body: { keyword: 'red panda' } });
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.code, 'API_KEY_REQUIRED');
+
+    const invalid = await request('GET', '/api/usage', { headers: { 'X-API-Key': 'isk_not-a-real-key' } });
+    assert.equal(invalid.status, 401);
+    assert.equal(invalid.body.code, 'INVALID_API_KEY');
+
+    const docs = await request('GET', '/api/docs');
+    assert.equal(docs.status, 200);
+  });
+
+  it('guards the admin routes with the admin token', async () => {
+    const { status, body } = await request('GET', '/api/admin/keys', { headers: { Authorization: 'Bearer wrong' } });
+
+    assert.equal(status, 401);
+    assert.equal(body.code, 'INVALID_ADMIN_TOKEN');
+  });
+
+  it('issues keys and stores only their hash', async () => {
+    const { status, body } = await request('POST', '/api/admin/keys', {
+      headers: admin,
+      body: { name: 'acme', requests_per_day: 1, images_per_day: 10 }
+    });
+
+    assert.equal(status, 201);
+    assert.match(body.api_key, /^isk_/);
+    assert.equal(body.key.quotas.requests_per_day, 1);
+    assert.equal(body.key.hash, undefined);
+    assert.ok(!fs.readFileSync(process.env.API_KEYS_FILE, 'utf8').includes(body.api_key));
+    issued = body;
+  });
+
+  it('counts searches, images and storage, and tags stored images with the key', async () => {
+    const headers = { 'X-API-Key': issued.api_key };
+    const search = await request('POST', '/api/search-images', { headers, body: { keyword: 'red panda', count: 1 } });
+    assert.equal(search.status, 200, search.body.error);
+
+    const usage = await request('GET', '/api/usage', { headers });
+    assert.equal(usage.status, 200);
+    assert.equal(usage.body.key.id, issued.key.id);
+    assert.equal(usage.body.today.requests, 1);
+    assert.equal(usage.body.today.images, 1);
+    assert.ok(usage.body.total.storage_bytes > 0);
+    assert.equal(usage.body.remaining.requests_today, 0);
+
+    const tagged = await request('GET', '/api/admin/images/red%20panda', { headers: admin });
+    assert.equal(tagged.status, 200);
+    assert.equal(tagged.body.images[0].api_key_id, issued.key.id);
+  });
+
+  it('lists only the images of the calling key, without key ids', async () => {
+    const own = await request('GET', '/api/images/red%20panda', { headers: { 'X-API-Key': issued.api_key } });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.total, 1);
+    assert.equal(own.body.images[0].api_key_id, undefined);
+
+    const stranger = { 'X-API-Key': (await apiKeys.create({ name: 'stranger' })).key };
+    const other = await request('GET', '/api/images/red%20panda', { headers: stranger });
+    assert.equal(other.status, 200);
+    assert.equal(other.body.total, 0);
+    assert.deepEqual(other.body.images, []);
+  });
+
+  it('rejects requests over quota with 429 and Retry-After', async () => {
+    const { status, headers, body } = await request('POST', '/api/search-images', {
+      headers: { 'X-API-Key': issued.api_key },
+      body: { keyword: 'red panda', count: 1 }
+    });
+
+    assert.equal(status, 429);
+    assert.equal(body.code, 'QUOTA_EXCEEDED');
+    assert.equal(body.quota, 'requests_per_day');
+    assert.ok(Number(headers.get('retry-after')) > 0);
+  });
+
+  it('lets only one of two parallel reservations take the last request of the day', async () => {
+    const { record } = await apiKeys.create({ name: 'last-request', requests_per_day: 1, images_per_day: 0, storage_bytes: 0 });
+
+    const results = await Promise.all([apiKeys.reserve(record, 1), apiKeys.reserve(record, 1)]);
+    assert.equal(results.filter(result => result.reservation).length, 1);
+    assert.equal(results.find(result => result.error).error.quota, 'requests_per_day');
+
+    const usage = await apiKeys.counters(record.id);
+    assert.equal(usage.days[apiKeys.today()].requests, 1);
+  });
+
+  it('reserves images and storage up front and refunds what a request did not use', async () => {
+    const created = await apiKeys.create({ name: 'reserved', requests_per_day: 0, images_per_day: 3, storage_bytes: 0 });
+    const headers = { 'X-API-Key': created.key };
+
+    // Both requests fit on their own, but only one fits while the other is running
+    const responses = await Promise.all([1, 2].map(() =>
+      request('POST', '/api/search-images', { headers, body: { keyword: 'red panda', count: 2 } })
+    ));
+    assert.deepEqual(responses.map(response => response.status).sort(), [200, 429]);
+    assert.equal(responses.find(response => response.status === 429).body.quota, 'images_per_day');
+
+    const failed = await request('POST', '/api/search-images', { headers, body: { keyword: 'unrecorded keyword', count: 1 } });
+    assert.equal(failed.status, 500);
+
+    const usage = await request('GET', '/api/usage', { headers });
+    assert.equal(usage.body.today.images, 2);
+    assert.equal(usage.body.total.storage_bytes, responses.find(response => response.status === 200).body.stored_bytes);
+
+    const small = await apiKeys.create({ name: 'small', requests_per_day: 0, images_per_day: 0, storage_bytes: 1000 });
+    const { status, body } = await request('POST', '/api/search-images', { headers: { 'X-API-Key': small.key }, body: { keyword: 'red panda', count: 1 } });
+    assert.equal(status, 429);
+    assert.equal(body.quota, 'storage_bytes');
+  });
+
+  it('refunds the reservation of a job that could not be created', async t => {
+    const created = await apiKeys.create({ name: 'job-storage-full', requests_per_day: 0, images_per_day: 10, storage_bytes: 0 });
+    const headers = { 'X-API-Key': created.key };
+    t.mock.method(jobManager, 'createJob', async () => {
+      throw new Error('ENOSPC: no space left on device');
+    });
+
+    const queued = await request('POST', '/api/jobs', { headers, body: { keyword: 'red panda', count: 3 } });
+    assert.equal(queued.status, 500);
+    const called = await request('POST', '/api/search-images', {
+      headers,
+      body: { keyword: 'red panda', count: 3, callback_url: 'http://93.184.215.14/hook' }
+    });
+    assert.equal(called.status, 500);
+
+    const usage = await request('GET', '/api/usage', { headers });
+    assert.equal(usage.body.today.images, 0);
+    assert.equal(usage.body.total.storage_bytes, 0);
+  });
+
+  it('does not count requests rejected as invalid', async () => {
+    const headers = { 'X-API-Key': (await apiKeys.create({ name: 'invalid' })).key };
+
+    const { status, body } = await request('POST', '/api/search-images', {
+      headers,
+      body: { keyword: 'red panda', count: 1, callback_url: 'ftp://example.com/hook' }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_CALLBACK_URL');
+
+    const usage = await request('GET', '/api/usage', { headers });
+    assert.equal(usage.body.today.requests, 0);
+  });
+
+  it('hides jobs from other API keys', async () => {
+    const unlimited = { requests_per_day: 0, images_per_day: 0, storage_bytes: 0 };
+    const owner = { 'X-API-Key': (await apiKeys.create({ ...unlimited, name: 'owner' })).key };
+    const other = { 'X-API-Key': (await apiKeys.create({ ...unlimited, name: 'other' })).key };
+
+    const created = await request('POST', '/api/jobs', { headers: owner, body: { keyword: 'red panda', count: 1 } });
+    assert.equal(created.status, 202, created.body.error);
+    const url = `/api/jobs/${created.body.job_id}`;
+
+    assert.equal((await request('GET', url, { headers: other })).status, 404);
+    assert.equal((await request('DELETE', url, { headers: other })).status, 404);
+
+    // Let the job finish so it does not outlive the test's temporary directory
+    let job;
+    do {
+      job = (await request('GET', url, { headers: owner })).body.job;
+      if (!['done', 'failed', 'cancelled'].includes(job.state)) await new Promise(resolve => setTimeout(resolve, 50));
+    } while (!['done', 'failed', 'cancelled'].includes(job.state));
+    assert.equal(job.state, 'done');
+  });
+
+  it('keeps webhook dead letters for admins', async () => {
+    const tenant = { 'X-API-Key': (await apiKeys.create({ name: 'tenant' })).key };
+
+    assert.equal((await request('GET', '/api/admin/webhooks/dead-letters', { headers: tenant })).status, 401);
+    assert.equal((await request('POST', '/api/admin/webhooks/dead-letters/unknown/retry', { headers: tenant })).status, 401);
+
+    const { status, body } = await request('GET', '/api/admin/webhooks/dead-letters', { headers: admin });
+    assert.equal(status, 200);
+    assert.deepEqual(body.dead_letters, []);
+  });
+
+  it('lets tenants read the watermark library but only admins change it', async () => {
+    const tenant = { 'X-API-Key': (await apiKeys.create({ name: 'designer' })).key };
+    const preset = { text: 'Shared', position: 'center' };
+
+    assert.equal((await request('PUT', '/api/admin/watermarks/presets/shared', { headers: tenant, body: preset })).status, 401);
+    assert.equal((await request('PUT', '/api/watermarks/presets/shared', { headers: tenant, body: preset })).status, 404);
+
+    const saved = await request('PUT', '/api/admin/watermarks/presets/shared', { headers: admin, body: preset });
+    assert.equal(saved.status, 200, saved.body.error);
+
+    const read = await request('GET', '/api/watermarks/presets/shared', { headers: tenant });
+    assert.equal(read.status, 200);
+    assert.equal(read.body.preset.id, 'shared');
+
+    assert.equal((await request('DELETE', '/api/admin/watermarks/presets/shared', { headers: tenant })).status, 401);
+    assert.equal((await request('DELETE', '/api/admin/watermarks/presets/shared', { headers: admin })).status, 200);
+  });
+
+  it('reports usage per key to admins and revokes keys', async () => {
+    const list = await request('GET', '/api/admin/keys', { headers: admin });
+    const report = list.body.keys.find(entry => entry.key.id === issued.key.id);
+    assert.equal(report.today.requests, 1);
+
+    const revoked = await request('DELETE', `/api/admin/keys/${issued.key.id}`, { headers: admin });
+    assert.equal(revoked.status, 200);
+    assert.ok(revoked.body.key.revoked_at);
+
+    const { status, body } = await request('GET', '/api/usage', { headers: { 'X-API-Key': issued.api_key } });
+    assert.equal(status, 401);
+    assert.equal(body.code, 'INVALID_API_KEY');
+  });
+});
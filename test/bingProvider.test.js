@@ -0,0 +1,46 @@
+/**
+ * Tests for the Bing provider's pagination through the async endpoint. Pages are stubbed
+ * on the scraper, since Bing is not part of the recorded fixtures.
+ */
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { configure } = require('./helpers/server');
+
+const { tmpDir } = configure();
+
+const imageSearchService = require('../services/imageSearchService');
+
+/**
+ * Build a results page with one tile per image URL
+ * @param {Array} images - Image URLs
+ * @returns {string} HTML
+ */
+function resultsPage(images) {
+  return images.map(image => `<a class="iusc" m='${JSON.stringify({ murl: image, t: 'Red panda' })}'></a>`).join('');
+}
+
+describe('Bing pagination', () => {
+  const provider = imageSearchService.imageScraper.providers.bing;
+
+  after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+  it('advances the offset by every result Bing returned, duplicates included', async t => {
+    const image = n => `https://images.example.com/red-panda/${n}.jpg`;
+    const pages = {
+      3: [image(2), image(3), image(4)], // repeats the last result of the first page
+      6: [image(5), image(6), image(7)]
+    };
+    const get = t.mock.method(imageSearchService.imageScraper, 'get', async url => {
+      const first = Number(new URL(url).searchParams.get('first'));
+      return { data: resultsPage(pages[first] || []) };
+    });
+
+    const results = [{ image: image(1) }, { image: image(2) }];
+    const pageCount = await provider.fetchMorePages(results, 'red panda', null, { maxPages: 3 });
+
+    assert.equal(pageCount, 3);
+    assert.deepEqual(get.mock.calls.map(call => new URL(call.arguments[0]).searchParams.get('first')), ['3', '6']);
+    assert.deepEqual(results.map(result => result.image), [1, 2, 3, 4, 5, 6, 7].map(image));
+  });
+});
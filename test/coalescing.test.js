@@ -0,0 +1,101 @@
+/**
+ * Tests for coalescing of concurrent searches: identical requests share one pipeline,
+ * requests differing only in watermark share the downloaded originals.
+ */
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { configure, useServer } = require('./helpers/server');
+
+configure();
+
+const app = require('..');
+const apiKeys = require('../services/apiKeys');
+const vpsImageStorage = require('../services/vpsImageStorage');
+const imageSearchService = require('../services/imageSearchService');
+const imageIndex = require('../services/imageIndex');
+
+describe('search coalescing', () => {
+  const server = useServer(app);
+  const { search } = server;
+  let otherKey;
+
+  before(async () => {
+    otherKey = await server.createKey('other');
+  });
+
+  /**
+   * Count image downloads while running a function
+   * @param {Function} fn - Async function
+   * @returns {Promise<Object>} { result, downloads }
+   */
+  async function countDownloads(fn) {
+    const original = vpsImageStorage.downloadImage;
+    let downloads = 0;
+    vpsImageStorage.downloadImage = function (...args) {
+      downloads++;
+      return original.apply(this, args);
+    };
+
+    try {
+      return { result: await fn(), downloads };
+    } finally {
+      vpsImageStorage.downloadImage = original;
+    }
+  }
+
+  /**
+   * Count the candidates a search tried to download
+   * @param {Object} body - Search response
+   * @returns {number} Attempted candidates
+   */
+  function attempted(body) {
+    return body.candidates.filter(candidate => !['pending', 'skipped'].includes(candidate.status)).length;
+  }
+
+  it('runs identical concurrent searches once and returns the result to every caller', async () => {
+    const { result: responses, downloads } = await countDownloads(() => Promise.all([
+      search({ keyword: 'red panda', count: 2 }),
+      search({ keyword: '  Red Panda ', count: 2 }, otherKey)
+    ]));
+
+    for (const { status, body } of responses) assert.equal(status, 200, body.error);
+
+    const [first, second] = responses.map(response => response.body);
+    assert.deepEqual(responses.map(response => response.body.coalesced).sort(), ['request', null].sort());
+    assert.deepEqual(second.images.map(image => image.url), first.images.map(image => image.url));
+    assert.equal(downloads, attempted(first));
+
+    // Both keys are tagged on the shared images
+    const ids = await Promise.all([server.apiKey, otherKey].map(key => apiKeys.verify(key).then(record => record.id)));
+    for (const image of first.images) {
+      for (const id of ids) assert.ok(await imageIndex.findByUrl(image.url, { keyword: 'red panda', apiKeyId: id }));
+    }
+  });
+
+  it('shares downloaded originals between searches differing only in watermark', async () => {
+    const { result: responses, downloads } = await countDownloads(() => Promise.all([
+      search({ keyword: 'red panda', count: 2, watermark: 'first' }),
+      search({ keyword: 'red panda', count: 2, watermark: 'second' })
+    ]));
+
+    for (const { status, body } of responses) assert.equal(status, 200, body.error);
+
+    const [first, second] = responses.map(response => response.body);
+    assert.deepEqual([first.watermark, second.watermark], ['first', 'second']);
+    assert.deepEqual(responses.map(response => response.body.coalesced).sort(), ['originals', null].sort());
+
+    // Each search stores its own watermarked files from a single download per original
+    assert.notDeepEqual(second.images.map(image => image.url), first.images.map(image => image.url));
+    assert.equal(downloads, attempted(first));
+    assert.ok(responses.some(response => response.body.candidates.some(candidate => candidate.original_shared)));
+  });
+
+  it('keeps background jobs and synchronous requests in separate pipelines', () => {
+    const request = imageSearchService.validateRequest({ keyword: 'red panda', count: 2 }).request;
+    const sync = imageSearchService.coalescingKeys(request, null, {});
+    const job = imageSearchService.coalescingKeys(request, null, { background: true });
+
+    assert.notEqual(job.key, sync.key);
+    assert.notEqual(job.groupKey, sync.groupKey);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Tests for the DuckDuckGo provider's vqd token cache. The search page is replayed from
+ * the "red panda" fixtures in test/fixtures/http/duckduckgo.com.
+ */
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { configure } = require('./helpers/server');
+
+const { tmpDir } = configure();
+
+const imageSearchService = require('../services/imageSearchService');
+
+describe('DuckDuckGo vqd tokens', () => {
+  const provider = imageSearchService.imageScraper.providers.duckduckgo;
+
+  after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+  it('reuses one token for keywords that differ only in case and whitespace', async () => {
+    const first = await provider.getVqd('red panda', null);
+    const second = await provider.getVqd('  Red   PANDA ', null);
+
+    assert.equal(first.reused, false);
+    assert.equal(second.reused, true);
+    assert.equal(second.vqd, first.vqd);
+    assert.deepEqual([...provider.vqdTokens.keys()], ['red panda']);
+  });
+
+  it('keeps at most DDG_VQD_CACHE_SIZE tokens, dropping the oldest', async t => {
+    // No page is recorded for this keyword, so the page load and extraction are stubbed
+    t.mock.method(imageSearchService.imageScraper, 'get', async () => ({ data: '' }));
+    t.mock.method(provider, 'extractVqd', async () => 'snow-leopard-token');
+    provider.maxVqdTokens = 1;
+
+    try {
+      await provider.getVqd('snow leopard', null);
+      assert.deepEqual([...provider.vqdTokens.keys()], ['snow leopard']);
+    } finally {
+      provider.maxVqdTokens = 200;
+    }
+  });
+});
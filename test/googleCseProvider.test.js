@@ -0,0 +1,56 @@
+/**
+ * Tests for the Google Custom Search provider. The API response is a fixture in
+ * test/fixtures/http/www.googleapis.com pointing at the "red panda" images.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { configure, useServer } = require('./helpers/server');
+
+configure({
+  SEARCH_PROVIDER: 'google',
+  GOOGLE_CSE_API_KEY: 'test-key',
+  GOOGLE_CSE_CX: 'test-cx'
+});
+
+const app = require('..');
+const imageSearchService = require('../services/imageSearchService');
+
+describe('Google Custom Search provider', () => {
+  const { search } = useServer(app);
+
+  it('searches through the Custom Search API', async () => {
+    const { status, body } = await search({ keyword: 'red panda', count: 2 });
+
+    assert.equal(status, 200, body.error);
+    assert.equal(body.provider, 'google');
+    assert.equal(body.uploaded_count, 2);
+
+    const candidate = body.candidates.find(item => item.original_url.endsWith('/1.jpg'));
+    assert.equal(candidate.source, 'https://zoo.example.com/animals/red-panda-2');
+    assert.ok(body.images.some(image => image.title === 'Red panda climbing a tree'));
+  });
+
+  it('rejects filters that set the same Custom Search parameter', async () => {
+    const { status, body } = await search({ keyword: 'red panda', type: 'transparent', color: 'monochrome' });
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.equal(body.code, 'CONFLICTING_FILTERS');
+    assert.match(body.error, /imgColorType/);
+  });
+
+  it('fails with a clear message when the key or search engine id is missing', async () => {
+    const provider = imageSearchService.imageScraper.providers.google;
+    const { apiKey: configuredKey } = provider;
+    provider.apiKey = '';
+
+    try {
+      const { status, body } = await search({ keyword: 'red panda', count: 1, cache: 'bypass' });
+
+      assert.notEqual(status, 200);
+      assert.match(body.error, /set GOOGLE_CSE_API_KEY and GOOGLE_CSE_CX/);
+    } finally {
+      provider.apiKey = configuredKey;
+    }
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Shared setup for the end-to-end suites: an isolated configuration (replayed HTTP
+ * fixtures from test/fixtures/http, such as the "red panda" search, with storage and state
+ * files in a temporary directory), a test server on a random port and an API key without quotas.
+ *
+ * Usage:
+ *   const { configure, useServer } = require('./helpers/server');
+ *   const { tmpDir } = configure({ SOME_SETTING: 'value' }); // before requiring the app
+ *   const app = require('..');
+ *   describe('...', () => {
+ *     const server = useServer(app); // server.baseUrl, server.apiKey, server.request(method, url, options),
+ *                                    // server.search(body), server.createKey(name, quotas)
+ *   });
+ */
+const { before, after } = require('node:test');
+const { Console } = require('console');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Under `node --test` a test file's stdout carries the runner's serialized messages, and
+// Node 20 misreads output that starts with a multi-byte character (our emoji log lines)
+// when it follows a message in the same chunk, failing the whole file with "Unable to
+// deserialize cloned data". Service logs go to stderr instead, which is never parsed.
+globalThis.console = new Console({ stdout: process.stderr, stderr: process.stderr });
+
+let tmpDir = null;
+
+// Quotas of the keys created for tests unless a test asks for others
+const UNLIMITED_QUOTAS = { requests_per_day: 0, images_per_day: 0, storage_bytes: 0 };
+
+/**
+ * Point every service at replayed fixtures and a fresh temporary directory. Services
+ * read their configuration at require time, so call this before requiring the app.
+ * @param {Object} overrides - Extra or replaced environment variables
+ * @returns {Object} { tmpDir }
+ */
+function configure(overrides = {}) {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'imagescrapper-test-'));
+
+  Object.assign(process.env, {
+    HTTP_FIXTURES: 'replay',
+    HTTP_FIXTURES_DIR: path.join(__dirname, '..', 'fixtures', 'http'),
+    SEARCH_PROVIDER: 'duckduckgo',
+    SEARCH_FALLBACK_PROVIDERS: '',
+    SEARCH_CACHE_TTL_SECONDS: '0',
+    SEARCH_CACHE_DIR: path.join(tmpDir, 'search-cache'),
+    PROXY_LIST: '',
+    STORAGE_BACKEND: 'local',
+    VPS_UPLOAD_DIR: path.join(tmpDir, 'images'),
+    VPS_BASE_URL: 'http://localhost',
+    JOBS_DIR: path.join(tmpDir, 'jobs'),
+    WATERMARK_DIR: path.join(tmpDir, 'watermarks'),
+    WEBHOOK_DEAD_LETTER_FILE: path.join(tmpDir, 'webhooks', 'dead-letters.json'),
+    CLIENT_SEARCH_RATE_LIMIT_PER_MINUTE: '0',
+    API_KEYS_FILE: path.join(tmpDir, 'api-keys.json'),
+    API_USAGE_FILE: path.join(tmpDir, 'api-usage.json'),
+    ...overrides
+  });
+
+  return { tmpDir };
+}
+
+/**
+ * Start the app and issue an API key before the suite's tests, and stop the app (removing
+ * the temporary directory) afterwards. Call inside a describe block.
+ * @param {Object} app - Express app
+ * @returns {Object} { baseUrl, apiKey, request, search, createKey } - baseUrl and apiKey are
+ *   set once the server listens
+ */
+function useServer(app) {
+  const server = { baseUrl: null, apiKey: null };
+  let listener;
+
+  before(async () => {
+    listener = app.listen(0);
+    await new Promise(resolve => listener.once('listening', resolve));
+    server.baseUrl = `http://127.0.0.1:${listener.address().port}`;
+    server.apiKey = await server.createKey('test');
+  });
+
+  after(async () => {
+    await new Promise(resolve => listener.close(resolve));
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Call the test server with a JSON body
+   * @param {string} method - HTTP method
+   * @param {string} url - Path
+   * @param {Object} options - { body, headers }
+   * @returns {Promise<Object>} { status, headers, body }
+   */
+  server.request = async (method, url, { body, headers = {} } = {}) => {
+    const response = await fetch(`${server.baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  /**
+   * POST a search request
+   * @param {Object} body - Request body
+   * @param {string} key - API key (default: server.apiKey)
+   * @returns {Promise<Object>} { status, headers, body }
+   */
+  server.search = (body, key = server.apiKey) =>
+    server.request('POST', '/api/search-images', { body, headers: { 'X-API-Key': key } });
+
+  /**
+   * Issue an API key, without quotas unless given
+   * @param {string} name - Key name
+   * @param {Object} quotas - requests_per_day, images_per_day, storage_bytes
+   * @returns {Promise<string>} Plaintext key
+   */
+  server.createKey = async (name, quotas = {}) => {
+    // Required lazily: services read their configuration when first loaded
+    const apiKeys = require('../../services/apiKeys');
+    return (await apiKeys.create({ name, ...UNLIMITED_QUOTAS, ...quotas })).key;
+  };
+
+  return server;
+}
+
+module.exports = { configure, useServer };
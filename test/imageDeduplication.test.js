@@ -0,0 +1,121 @@
+/**
+ * Perceptual-hash deduplication within a request (claimHash) and against stored images
+ * (imageIndex.findSimilar), and keys shared by several records (identical bytes under the
+ * content-hash layout). Image bytes are replayed from test/fixtures/http;
+ * mirror.example.org serves the same bytes as images.example.com.
+ */
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { configure } = require('./helpers/server');
+
+const { tmpDir } = configure({ DOWNLOAD_CONCURRENCY: '1' });
+
+const vpsImageStorage = require('../services/vpsImageStorage');
+const imageIndex = require('../services/imageIndex');
+const { variantSpecId } = require('../services/imageVariants');
+const storage = require('../services/storage');
+
+const HASH = 'f0f0f0f0f0f0f0f0';
+const NEAR_HASH = 'f0f0f0f0f0f0f0f3'; // 2 bits away
+const FAR_HASH = '0f0f0f0f0f0f0f0f'; // every bit differs
+const THUMB = { name: 'thumb', width: 200, height: null, fit: 'inside', format: 'webp', quality: 80 };
+
+describe('image deduplication', () => {
+  after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+  it('rejects a near-duplicate of a hash claimed earlier in the request', () => {
+    const context = { seenHashes: [] };
+    vpsImageStorage.claimHash(HASH, context);
+
+    assert.throws(() => vpsImageStorage.claimHash(NEAR_HASH, context), { code: 'DUPLICATE_IMAGE' });
+    vpsImageStorage.claimHash(FAR_HASH, context);
+    assert.deepEqual(context.seenHashes, [HASH, FAR_HASH]);
+
+    // A released hash no longer blocks its near-duplicates
+    vpsImageStorage.releaseHash(HASH, context);
+    vpsImageStorage.claimHash(NEAR_HASH, context);
+    assert.deepEqual(context.seenHashes, [FAR_HASH, NEAR_HASH]);
+  });
+
+  it('reuses only stored images with the same watermark, processing, backends and variants', async () => {
+    const stored = {
+      keyword: 'reuse rules',
+      phash: HASH,
+      watermark_key: 'wm',
+      processing_key: 'webp:q80',
+      urls: { local: 'http://localhost/images/reuse.webp', s3: 'https://bucket.s3.example.com/images/reuse.webp' },
+      variants: { thumb: { key: 'reuse_thumb.webp', format: 'webp', spec: variantSpecId(THUMB) } }
+    };
+    const match = await imageIndex.add({ ...stored, url: stored.urls.local, filename: 'reuse.webp' });
+    const options = { watermark: 'wm', processing: 'webp:q80', maxDistance: 5, backends: ['local', 's3'], variants: [THUMB] };
+
+    assert.equal((await imageIndex.findSimilar(NEAR_HASH, options)).id, match.id);
+    assert.equal(await imageIndex.findSimilar(FAR_HASH, options), null);
+    assert.equal(await imageIndex.findSimilar(HASH, { ...options, watermark: null }), null);
+    assert.equal(await imageIndex.findSimilar(HASH, { ...options, watermark: 'other' }), null);
+    assert.equal(await imageIndex.findSimilar(HASH, { ...options, processing: null }), null);
+    assert.equal(await imageIndex.findSimilar(HASH, { ...options, backends: ['local', 'firebase'] }), null);
+    assert.equal(await imageIndex.findSimilar(HASH, { ...options, variants: [{ ...THUMB, width: 400 }] }), null);
+    assert.equal(await imageIndex.findSimilar(HASH, { ...options, variants: [{ ...THUMB, name: 'card' }] }), null);
+
+    // The closest of several matching copies wins
+    const exact = await imageIndex.add({ ...stored, phash: NEAR_HASH, url: 'http://localhost/images/exact.webp', filename: 'exact.webp' });
+    assert.equal((await imageIndex.findSimilar(NEAR_HASH, options)).id, exact.id);
+    assert.equal((await imageIndex.findSimilar(HASH, options)).id, match.id);
+  });
+
+  it('accepts a near-duplicate from another host when the first copy fails to store', async t => {
+    const storeObjects = t.mock.method(vpsImageStorage, 'storeObjects');
+    storeObjects.mock.mockImplementationOnce(async () => {
+      throw new Error('Backend unavailable');
+    });
+
+    const { images, candidates } = await vpsImageStorage.processMultipleImages([
+      { url: 'https://images.example.com/red-panda/1.jpg', title: 'Red panda' },
+      { url: 'https://mirror.example.org/red-panda/1.jpg', title: 'Red panda (mirror)' }
+    ], 'red panda', null, { targetCount: 1 });
+
+    assert.equal(candidates[0].status, 'failed');
+    assert.equal(candidates[0].stage, 'store');
+    assert.equal(candidates[1].status, 'stored');
+    assert.equal(images.length, 1);
+    assert.equal(images[0].original_url, 'https://mirror.example.org/red-panda/1.jpg');
+  });
+
+  it('keeps a shared key another record uses when rolling back a failed store', async t => {
+    const local = storage.getBackend('local');
+    const shared = { key: 'content/ab/abcdef.webp', buffer: Buffer.from('shared'), contentType: 'image/webp' };
+    await local.put(shared.key, shared.buffer);
+    await imageIndex.add({ keyword: 'shared key', url: local.publicUrl(shared.key), filename: shared.key });
+
+    const put = t.mock.method(local, 'put');
+    put.mock.mockImplementation(async (key, buffer) => {
+      if (key.endsWith('_thumb.webp')) throw new Error('Disk full');
+      return { key, url: local.publicUrl(key) };
+    });
+
+    await assert.rejects(vpsImageStorage.storeObjects(['local'], [
+      shared,
+      { key: 'content/ab/abcdef_thumb.webp', buffer: Buffer.from('thumb'), contentType: 'image/webp' }
+    ]), /Disk full/);
+    assert.ok(fs.existsSync(local.resolvePath(shared.key)), 'shared key was deleted');
+  });
+
+  it('cleans up old files only when no newer record uses them', async () => {
+    const local = storage.getBackend('local');
+    const old = new Date(Date.now() - 48 * 60 * 60 * 1000);
+    await local.put('cleanup/orphan.webp', Buffer.from('orphan'));
+    await local.put('cleanup/shared.webp', Buffer.from('shared'));
+    await imageIndex.add({ keyword: 'cleanup', url: local.publicUrl('cleanup/shared.webp'), filename: 'cleanup/shared.webp' });
+    for (const key of ['cleanup/orphan.webp', 'cleanup/shared.webp']) {
+      fs.utimesSync(local.resolvePath(key), old, old);
+    }
+
+    await vpsImageStorage.cleanupOldImages(24, 'local');
+
+    assert.ok(!fs.existsSync(path.join(process.env.VPS_UPLOAD_DIR, 'cleanup', 'orphan.webp')));
+    assert.ok(fs.existsSync(path.join(process.env.VPS_UPLOAD_DIR, 'cleanup', 'shared.webp')));
+  });
+});
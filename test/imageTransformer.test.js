@@ -0,0 +1,97 @@
+/**
+ * Tests for on-the-fly transforms of stored images: which requests need a signature and
+ * the size cap on the variant cache.
+ */
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { configure, useServer } = require('./helpers/server');
+
+const { tmpDir } = configure({
+  TRANSFORM_SIGNING_SECRET: 'test-secret',
+  TRANSFORM_ALLOWED_SIZES: '64,x48',
+  // Room for a single small variant, so every new one evicts the previous
+  TRANSFORM_CACHE_MAX_BYTES: '1'
+});
+
+const app = require('..');
+const imageTransformer = require('../services/imageTransformer');
+
+describe('GET /images/:file transforms', () => {
+  const server = useServer(app);
+  let key;
+
+  before(async () => {
+    const { body } = await server.search({ keyword: 'red panda', count: 1 });
+    key = new URL(body.images[0].url).pathname.replace(/^\/images\//, '');
+  });
+
+  /**
+   * Request a transform of the stored image
+   * @param {string} query - Query string
+   * @returns {Promise<Object>} { status, body } - body is parsed only for JSON errors
+   */
+  async function transform(query) {
+    const response = await fetch(`${server.baseUrl}/images/${key}?${query}`, { headers: { Accept: 'image/webp' } });
+    const json = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, body: json ? await response.json() : await response.arrayBuffer() };
+  }
+
+  /**
+   * List the files in the transform cache
+   * @returns {Array} File names
+   */
+  function cachedFiles() {
+    const dir = path.join(tmpDir, 'images', '.cache', 'transforms');
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).flatMap(sub => fs.readdirSync(path.join(dir, sub)));
+  }
+
+  it('serves allowed sizes without a signature', async () => {
+    assert.equal((await transform('w=64')).status, 200);
+    assert.equal((await transform('h=48&fit=inside')).status, 200);
+  });
+
+  it('needs a signature for other sizes and for a quality', async () => {
+    for (const query of ['w=65', 'w=64&h=48', 'w=64&q=50', 'format=png']) {
+      const { status, body } = await transform(query);
+
+      assert.equal(status, 403, query);
+      assert.equal(body.code, 'INVALID_SIGNATURE');
+    }
+
+    const signed = new URL(imageTransformer.buildUrl(key, { w: 100, q: 50 }, server.baseUrl));
+    assert.equal((await transform(signed.searchParams.toString())).status, 200);
+  });
+
+  it('evicts the least recently used variants beyond TRANSFORM_CACHE_MAX_BYTES', async () => {
+    await transform('w=64&format=jpeg');
+    await transform('w=64&format=png');
+
+    const files = cachedFiles();
+    assert.deepEqual(files.map(file => path.extname(file)), ['.png']);
+    assert.equal(imageTransformer.cacheEntries.size, 1);
+  });
+
+  it('does not evict a variant while it is being sent', async () => {
+    const variant = await imageTransformer.getVariant(key, { w: 64, format: 'jpeg' });
+    assert.equal((await transform('w=64&format=png')).status, 200);
+    assert.ok(fs.existsSync(variant.filePath), 'pinned variant was evicted');
+
+    variant.release();
+    assert.equal((await transform('w=64&format=webp')).status, 200);
+    assert.ok(!fs.existsSync(variant.filePath));
+  });
+
+  it('reads originals from local disk when another backend is the default', async () => {
+    const defaultBackend = process.env.STORAGE_BACKEND;
+    process.env.STORAGE_BACKEND = 's3';
+
+    try {
+      assert.equal((await transform('w=64&fit=contain')).status, 200);
+    } finally {
+      process.env.STORAGE_BACKEND = defaultBackend;
+    }
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Inbound per-client rate limits and the global search queue.
+ */
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { configure, useServer } = require('./helpers/server');
+
+configure({
+  SEARCH_CACHE_TTL_SECONDS: '3600',
+  CLIENT_SEARCH_RATE_LIMIT_PER_MINUTE: '1',
+  CLIENT_SEARCH_RATE_LIMIT_BURST: '1',
+  SEARCH_MAX_CONCURRENT: '1',
+  SEARCH_QUEUE_SIZE: '0'
+});
+
+const app = require('..');
+const searchScheduler = require('../services/searchScheduler');
+
+describe('rate limits', () => {
+  const server = useServer(app);
+  const { search } = server;
+  let keys;
+
+  before(async () => {
+    keys = [await server.createKey('first'), await server.createKey('second')];
+  });
+
+  it('turns searches away with 429 when every slot is busy and the queue is full', async () => {
+    // Different counts, so the searches are not coalesced into one
+    const responses = await Promise.all(keys.map((key, index) => search({ keyword: 'red panda', count: index + 1 }, key)));
+    const rejected = responses.find(response => response.status === 429);
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [200, 429]);
+    assert.equal(rejected.body.code, 'SEARCH_QUEUE_FULL');
+    assert.ok(Number(rejected.headers.get('retry-after')) >= 1);
+  });
+
+  it('limits searches per client with 429 and Retry-After', async () => {
+    const { status, headers, body } = await search({ keyword: 'red panda', count: 1 }, keys[0]);
+
+    assert.equal(status, 429);
+    assert.equal(body.code, 'RATE_LIMITED');
+    assert.ok(Number(headers.get('retry-after')) > 0);
+    assert.equal(headers.get('ratelimit-remaining'), '0');
+  });
+
+  it('answers searches from the cache without waiting for a slot', async () => {
+    const key = await server.createKey('cached');
+    const release = await searchScheduler.acquire();
+
+    try {
+      const { status, body } = await search({ keyword: 'red panda', count: 1 }, key);
+
+      assert.equal(status, 200, body.error);
+      assert.equal(body.cache.status, 'hit');
+    } finally {
+      release();
+    }
+  });
+
+  it('reports scheduler state', async () => {
+    const { status, body } = await server.request('GET', '/api/scheduler', { headers: { 'X-API-Key': keys[1] } });
+
+    assert.equal(status, 200);
+    assert.equal(body.active, 0);
+    assert.equal(body.max_concurrent, 1);
+    assert.ok(body.providers.duckduckgo);
+    assert.ok(body.proxies.direct);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Error codes of imageSearchService.validateRequest, returned as 400 responses by both
+ * POST /api/search-images and POST /api/jobs before anything is searched or queued.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { configure, useServer } = require('./helpers/server');
+
+configure();
+
+const app = require('..');
+
+const INVALID_REQUESTS = [
+  ['a missing keyword', { keyword: undefined }, 'INVALID_KEYWORD'],
+  ['a one character keyword', { keyword: 'a' }, 'KEYWORD_TOO_SHORT'],
+  ['an unknown provider', { provider: 'altavista' }, 'INVALID_PROVIDER'],
+  ['an unknown size filter', { size: 'enormous' }, 'INVALID_FILTER'],
+  ['a negative minimum width', { min_width: -1 }, 'INVALID_FILTER'],
+  ['a malformed domain', { allow_domains: ['not a host!'] }, 'INVALID_DOMAIN_LIST'],
+  ['an unknown storage backend', { storage: 'ftp' }, 'INVALID_STORAGE_BACKEND'],
+  ['a storage backend that is not configured', { storage: ['local', 's3'] }, 'STORAGE_BACKEND_NOT_CONFIGURED'],
+  ['an unknown watermark position', { watermark: { text: 'x', position: 'nowhere' } }, 'INVALID_WATERMARK'],
+  ['an unknown watermark preset', { watermark: { preset: 'missing' } }, 'INVALID_WATERMARK'],
+  ['an unsupported output format', { format: 'bmp' }, 'INVALID_PROCESSING'],
+  ['a quality above 100', { quality: 500 }, 'INVALID_PROCESSING'],
+  ['a variant without dimensions', { variants: [{ name: 'x' }] }, 'INVALID_VARIANTS'],
+  ['an unknown cache mode', { cache: 'sometimes' }, 'INVALID_CACHE_MODE']
+];
+
+describe('request validation', () => {
+  const server = useServer(app);
+
+  for (const [description, body, code] of INVALID_REQUESTS) {
+    it(`rejects ${description} with ${code}`, async () => {
+      const request = { keyword: 'red panda', count: 1, ...body };
+
+      for (const url of ['/api/search-images', '/api/jobs']) {
+        const { status, body: response } = await server.request('POST', url, {
+          headers: { 'X-API-Key': server.apiKey },
+          body: request
+        });
+
+        assert.equal(status, 400, `${url}: ${JSON.stringify(response)}`);
+        assert.equal(response.success, false);
+        assert.equal(response.code, code, `${url}: ${response.error}`);
+      }
+    });
+  }
+});
@@ -0,0 +1,165 @@
+/**
+ * End-to-end tests for POST /api/search-images. DuckDuckGo pages, i.js JSON and image
+ * bytes are replayed from test/fixtures/http (HTTP_FIXTURES=replay), and images are
+ * stored in a temporary upload dir, so the suite runs offline.
+ *
+ * Re-record fixtures with: node scripts/record-http-fixtures.js "<keyword>" --dir=test/fixtures/http
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { execFile } = require('child_process');
+const { configure, useServer } = require('./helpers/server');
+
+const execFileAsync = promisify(execFile);
+
+configure();
+
+const app = require('..');
+const imageIndex = require('../services/imageIndex');
+const storageLayout = require('../services/storageLayout');
+
+describe('POST /api/search-images', () => {
+  const server = useServer(app);
+  const { search } = server;
+
+  it('rejects a request without a keyword', async () => {
+    const { status, body } = await search({ count: 2 });
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.equal(body.code, 'INVALID_KEYWORD');
+  });
+
+  it('rejects a storage backend that is not configured', async () => {
+    const { status, body } = await search({ keyword: 'red panda', count: 1, storage: ['local', 's3'] });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'STORAGE_BACKEND_NOT_CONFIGURED');
+    assert.match(body.error, /S3_BUCKET/);
+  });
+
+  it('searches, downloads and stores images, backfilling failed candidates', async () => {
+    const { status, body } = await search({ keyword: 'red panda', count: 2 });
+
+    assert.equal(status, 200, body.error);
+    assert.equal(body.success, true);
+    assert.equal(body.provider, 'duckduckgo');
+    assert.equal(body.uploaded_count, 2);
+    assert.equal(body.images.length, 2);
+
+    // broken.jpg is served as text/html, so a later candidate takes its place
+    const broken = body.candidates.find(candidate => candidate.original_url.endsWith('/broken.jpg'));
+    assert.equal(broken.status, 'failed');
+    assert.equal(broken.stage, 'validate');
+    assert.equal(broken.code, 'INVALID_CONTENT_TYPE');
+    assert.ok(body.stats.failed >= 1);
+
+    for (const image of body.images) {
+      assert.equal(image.format, 'webp');
+      assert.equal(image.reused, false);
+
+      const file = path.join(process.env.VPS_UPLOAD_DIR, new URL(image.url).pathname.replace(/^\/images\//, ''));
+      assert.ok(fs.existsSync(file), `${file} was not written`);
+    }
+  });
+
+  it('serves stored images', async () => {
+    const { body } = await search({ keyword: 'red panda', count: 1 });
+    const response = await fetch(`${server.baseUrl}${new URL(body.images[0].url).pathname}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/webp');
+    assert.ok((await response.arrayBuffer()).byteLength > 0);
+  });
+
+  it('reuses stored images for a repeated search', async () => {
+    const { status, body } = await search({ keyword: 'red panda', count: 2 });
+
+    assert.equal(status, 200, body.error);
+    assert.equal(body.reused_count, 2);
+    assert.ok(body.images.every(image => image.reused));
+  });
+
+  it('picks up a layout migration run while the server is up', async () => {
+    const previous = await server.request('GET', '/api/images/red%20panda', { headers: { 'X-API-Key': server.apiKey } });
+    // Objects on other backends are not moved, so their URLs (an S3 prefix of "images"
+    // also puts /images/<key> in them) must survive unchanged
+    const s3Urls = new Map();
+    await imageIndex.rewrite(record => {
+      s3Urls.set(record.id, `https://bucket.s3.example.com/images/${record.filename}`);
+      return { ...record, urls: { ...imageIndex.getBackendUrls(record), s3: s3Urls.get(record.id) } };
+    });
+
+    await execFileAsync(process.execPath, [path.join(__dirname, '..', 'scripts', 'migrate-storage-layout.js'), '--layout=keyword-date'], {
+      env: process.env,
+      timeout: 30000
+    });
+    // Skip the 30 second wait between checks for a changed index file
+    imageIndex.lastRefreshCheck = 0;
+
+    const { status, body } = await server.request('GET', '/api/images/red%20panda', { headers: { 'X-API-Key': server.apiKey } });
+
+    assert.equal(status, 200);
+    assert.equal(body.total, previous.body.total);
+    for (const image of body.images) {
+      assert.match(new URL(image.url).pathname, /^\/images\/red_panda\/\d{4}-\d{2}-\d{2}\//);
+      assert.equal((await fetch(`${server.baseUrl}${new URL(image.url).pathname}`)).status, 200);
+    }
+    for (const record of await imageIndex.load()) {
+      assert.equal(record.urls.s3, s3Urls.get(record.id));
+      assert.equal(record.urls.local, record.url);
+    }
+
+    // Old URLs, with their transform parameters, redirect permanently to the moved files
+    storageLayout.lastRedirectCheck = 0;
+    for (const image of previous.body.images) {
+      const moved = body.images.find(candidate => candidate.id === image.id);
+      const response = await fetch(`${server.baseUrl}${new URL(image.url).pathname}?w=100`, { redirect: 'manual' });
+
+      assert.equal(response.status, 301);
+      assert.equal(response.headers.get('location'), `${new URL(moved.url).pathname}?w=100`);
+    }
+  });
+
+  it('does not redirect paths named after Object.prototype members', async () => {
+    for (const name of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+      assert.equal(storageLayout.resolveRedirect(name), null);
+
+      const response = await fetch(`${server.baseUrl}/images/${name}`, { redirect: 'manual' });
+      assert.equal(response.status, 404, name);
+    }
+  });
+
+  it('appends to the index only after a rewrite by another process releases the lock', async () => {
+    // Stand in for the migration script: hold the lock, then replace the file
+    fs.writeFileSync(imageIndex.lockFile, '');
+    const pending = imageIndex.add({ keyword: 'index lock', url: 'http://localhost/images/appended.webp', filename: 'appended.webp' });
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    const rewritten = fs.readFileSync(imageIndex.indexFile, 'utf8').trim().split('\n')
+      .map(line => JSON.stringify({ ...JSON.parse(line), title: 'Migrated' }));
+    assert.ok(!rewritten.some(line => line.includes('appended.webp')), 'appended while the lock was held');
+    fs.writeFileSync(`${imageIndex.indexFile}.tmp`, rewritten.join('\n') + '\n');
+    fs.renameSync(`${imageIndex.indexFile}.tmp`, imageIndex.indexFile);
+    fs.unlinkSync(imageIndex.lockFile);
+
+    await pending;
+    const records = await imageIndex.load();
+    const onDisk = fs.readFileSync(imageIndex.indexFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+    assert.equal(records.length, rewritten.length + 1);
+    assert.deepEqual(records.map(record => record.id), onDisk.map(record => record.id));
+    assert.ok(records.filter(record => record.filename !== 'appended.webp').every(record => record.title === 'Migrated'));
+  });
+
+  it('fails when the provider has no results for the keyword', async () => {
+    const { status, body } = await search({ keyword: 'unrecorded keyword', count: 1 });
+
+    assert.equal(status, 500);
+    assert.equal(body.success, false);
+    assert.match(body.error, /No HTTP fixture recorded/);
+  });
+});
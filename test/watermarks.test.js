@@ -0,0 +1,71 @@
+/**
+ * Tests for logo watermarks: the logo is read once when the request is validated, so
+ * removing it from the library later cannot break the request. Also covers preset lookup.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { configure, useServer } = require('./helpers/server');
+
+configure();
+
+const app = require('..');
+const watermarkService = require('../services/watermarkService');
+
+describe('watermarks', () => {
+  const server = useServer(app);
+
+  /**
+   * Put a small PNG logo in the library
+   * @param {string} name - Logo name
+   * @returns {Promise<string>} File path
+   */
+  async function writeLogo(name) {
+    const filePath = path.join(process.env.WATERMARK_DIR, 'logos', `${name}.png`);
+    const png = await sharp({ create: { width: 40, height: 20, channels: 4, background: { r: 255, g: 0, b: 0, alpha: 1 } } }).png().toBuffer();
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, png);
+    return filePath;
+  }
+
+  it('stores images with a logo watermark', async () => {
+    await writeLogo('brand');
+
+    const { status, body } = await server.search({ keyword: 'red panda', count: 1, watermark: { logo: 'brand', position: 'bottom_right' } });
+
+    assert.equal(status, 200, body.error);
+    assert.equal(body.watermark, 'logo:brand');
+    assert.equal(body.watermark_options.logo_data, undefined);
+  });
+
+  it('keeps using the logo read at validation after it is deleted', async () => {
+    const filePath = await writeLogo('removed');
+    const { watermark } = watermarkService.normalize({ logo: 'removed' });
+    const key = watermarkService.fingerprint(watermark);
+
+    fs.unlinkSync(filePath);
+
+    assert.equal(watermarkService.fingerprint(watermark), key);
+    assert.equal((await watermarkService.overlays(watermark, 200, 100)).length, 5);
+
+    // A job restored from disk has to read the logo again, and gets a clear error
+    const restored = JSON.parse(JSON.stringify(watermark));
+    assert.throws(() => watermarkService.loadLogo(restored), { code: 'WATERMARK_LOGO_MISSING' });
+  });
+
+  it('rejects preset ids named after Object.prototype members', () => {
+    for (const id of ['toString', 'constructor', 'hasOwnProperty', '__proto__']) {
+      assert.equal(watermarkService.getPreset(id), null);
+      assert.match(watermarkService.normalize({ preset: id }).error, /Unknown watermark preset/);
+      assert.equal(watermarkService.deletePreset(id), false);
+    }
+
+    const saved = watermarkService.savePreset('constructor', { text: 'Built', position: 'center' });
+    assert.equal(typeof saved.created_at, 'string');
+    assert.equal(watermarkService.normalize({ preset: 'constructor' }).watermark.text, 'Built');
+    assert.equal(watermarkService.deletePreset('constructor'), true);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Tests for callback URL checks: callbacks may only reach public addresses, both when a
+ * request is submitted and when a delivery is attempted.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { configure, useServer } = require('./helpers/server');
+
+configure({ WEBHOOK_MAX_ATTEMPTS: '3', WEBHOOK_RETRY_BASE_MS: '10' });
+
+const app = require('..');
+const webhookDispatcher = require('../services/webhookDispatcher');
+
+describe('webhook callbacks', () => {
+  const server = useServer(app);
+
+  it('rejects callback URLs that point at the server or its network', async () => {
+    const urls = [
+      'http://127.0.0.1:3000/hook',
+      'http://localhost/hook',
+      'http://10.1.2.3/hook',
+      'http://192.168.0.10/hook',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://[::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook',
+      'http://[64:ff9b::7f00:1]/hook',
+      'http://[64:ff9b::a00:1]/hook',
+      'http://[fd00::1]/hook',
+      'http://0.0.0.0/hook'
+    ];
+
+    for (const url of urls) {
+      for (const path of ['/api/search-images', '/api/jobs']) {
+        const { status, body } = await server.request('POST', path, {
+          headers: { 'X-API-Key': server.apiKey },
+          body: { keyword: 'red panda', count: 1, callback_url: url }
+        });
+
+        assert.equal(status, 400, `${path} ${url}`);
+        assert.equal(body.code, 'INVALID_CALLBACK_URL');
+        assert.match(body.error, /non-public address/);
+      }
+    }
+  });
+
+  it('accepts public callback hosts', async () => {
+    assert.equal(await webhookDispatcher.checkCallbackUrl('https://93.184.216.34/hook'), null);
+    assert.equal(await webhookDispatcher.checkCallbackUrl('http://[2606:2800:220:1::]/hook'), null);
+  });
+
+  it('checks the destination again before delivering, without retrying a blocked one', async () => {
+    const delivery = {
+      id: 'blocked-delivery',
+      callback_url: 'http://127.0.0.1:9/hook',
+      payload: { success: true },
+      attempts: 0,
+      errors: []
+    };
+
+    assert.equal(await webhookDispatcher.deliver(delivery), false);
+    assert.equal(delivery.attempts, 1);
+    assert.match(delivery.errors[0].error, /non-public address/);
+
+    const deadLetters = await webhookDispatcher.listDeadLetters();
+    assert.equal(deadLetters[0].id, 'blocked-delivery');
+  });
+
+  it('refuses to connect when the host resolves differently after the check', async () => {
+    const original = webhookDispatcher.resolvePublicAddresses;
+    let lookups = 0;
+    // The first lookup (the check) sees a public address, the one made on connect sees loopback
+    webhookDispatcher.resolvePublicAddresses = function (hostname) {
+      lookups++;
+      return lookups === 1 ? Promise.resolve([{ address: '93.184.216.34', family: 4 }]) : original.call(this, hostname);
+    };
+
+    try {
+      const delivery = { id: 'rebound-delivery', callback_url: 'http://localhost:9/hook', payload: {}, attempts: 0, errors: [] };
+
+      assert.equal(await webhookDispatcher.deliver(delivery), false);
+      assert.equal(delivery.attempts, 1);
+      assert.equal(lookups, 2);
+      assert.match(delivery.errors[0].error, /non-public address/);
+    } finally {
+      webhookDispatcher.resolvePublicAddresses = original;
+    }
+  });
+});